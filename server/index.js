@@ -0,0 +1,928 @@
+// server/index.js
+/**
+ * 🇭🇷 Tutor–Student Scheduler – opcionalni lokalni HTTP backend
+ *
+ * Isti model podataka kao i aplikacija (users, assignments, slots, history, announcements,
+ * notifications, emailLog, ...) preko JSON REST API-ja, spremljen u jednu JSON datoteku.
+ * Bez ovisnosti – samo Node (>= 18).
+ *
+ *   npm run server                      # http://127.0.0.1:8787, podaci u server/data/tss-db.json
+ *   PORT=9000 TSS_DATA_FILE=/put/db.json npm run server
+ *   TSS_HOST=0.0.0.0 TSS_ORIGINS=http://192.168.1.10:5173 npm run server   # pristup iz mreže
+ *
+ * Klijent: VITE_TSS_API_URL=http://<računalo>:8787 npm run dev
+ *
+ * Sigurnost:
+ *   - prijava ide preko POST /api/login; svaki drugi zahtjev nosi "Authorization: Bearer <token>"
+ *     (SSE: ?token=), a poslužitelj provjerava sesiju (opoziv, neaktivnost, najdulje trajanje)
+ *   - klijentima se nikad ne šalju hashevi lozinki ni tokena; od sesija klijent vidi samo svoju
+ *   - svaka izmjena zapisa provjerava se prema ulozi (ista pravila kao POLICY u aplikaciji): npr. student
+ *     mijenja samo svoje mjesto na terminu i svoje obavijesti, tutor svoje termine i objave – ostalo je 403
+ *   - lozinke pri registraciji i promjeni hashira poslužitelj (uz provjeru jačine); hash novog računa
+ *     ili reseta od klijenta mora imati točne PBKDF2 parametre
+ *   - revizijski zapis (auditLog) je samo za dodavanje; stare zapise briše poslužitelj
+ *     (AUDIT_KEEP_DAYS dana, najviše AUDIT_MAX_ENTRIES)
+ *   - bez prijave: samo postavke (za obrazac registracije), prijava i novi zahtjev za registraciju;
+ *     praznu bazu (prvo pokretanje) smije napuniti i klijent bez prijave
+ *   - tijelo zahtjeva je ograničeno (TSS_MAX_BODY_MB, zadano 10 MB)
+ *
+ * API (kolekcija = ključ u bazi):
+ *   GET    /api/health
+ *   POST   /api/login                     {identifier, password} → {token, sessionId, userId}
+ *   POST   /api/logout                    {all?: true} – opoziva trenutnu (ili sve) sesije korisnika
+ *   POST   /api/password                  {current, password} – promjena vlastite lozinke (hash računa poslužitelj)
+ *   POST   /api/registrations             novi zahtjev za registraciju (bez prijave; lozinka u čistom tekstu)
+ *   GET    /api/db                        cijela baza (prema ulozi); zaglavlje X-TSS-Session = id sesije
+ *   PATCH  /api/db                        {set: {kolekcija: vrijednost}, remove: [kolekcija], ifMatch?: {kolekcija: ETag}}
+ *                                         – atomarno; 412 ako se neki ETag iz ifMatch ne podudara
+ *   GET    /api/:col                      kolekcija; ETag = revizija kolekcije
+ *   PUT    /api/:col                      zamjena kolekcije; uz If-Match samo ako se revizija podudara (412)
+ *   DELETE /api/:col
+ *   GET    /api/:col/:id                  zapis liste (po id-u) ili ključ mape
+ *   POST   /api/:col                      novi zapis liste (id se generira ako ga nema)
+ *   PUT    /api/:col/:id                  zamjena zapisa / vrijednosti ključa mape
+ *   PATCH  /api/:col/:id                  djelomična izmjena; {expect: {...}, patch: {...}} → 409 ako expect ne odgovara
+ *   DELETE /api/:col/:id
+ *   GET    /api/events                    Server-Sent Events: {from, rev, changes, removed}
+ *   POST   /api/backups                   sprema sirovu kopiju uz datoteku baze
+ */
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID, randomBytes, createHash, pbkdf2, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+// zadano samo ovo računalo; za pristup iz mreže treba izričito TSS_HOST=0.0.0.0
+const HOST = process.env.TSS_HOST || "127.0.0.1";
+const ORIGINS = (process.env.TSS_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+const MAX_BODY = (Number(process.env.TSS_MAX_BODY_MB) || 10) * 1024 * 1024;
+const DATA_FILE = path.resolve(
+  process.env.TSS_DATA_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "tss-db.json")
+);
+const COLLECTION_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/*******************
+ * Pohrana (JSON)   *
+ *******************/
+function readFileDB() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return { data: {}, revs: {}, rev: 0 };
+    throw e;
+  }
+}
+
+const state = readFileDB(); // {data, revs: {kolekcija: n}, rev}
+
+// zapis preko privremene datoteke da prekid ne ostavi pola JSON-a
+function persist() {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = DATA_FILE + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const etag = (col) => `"${state.revs[col] || 0}"`;
+
+/** Primjenjuje izmjene, sprema datoteku i javlja ih svim SSE klijentima. */
+function commit(from, set = {}, remove = []) {
+  state.rev++;
+  Object.entries(set).forEach(([k, v]) => {
+    state.data[k] = v;
+    state.revs[k] = state.rev;
+  });
+  remove.forEach((k) => {
+    delete state.data[k];
+    state.revs[k] = state.rev;
+  });
+  persist();
+  broadcast({ from, rev: state.rev, changes: set, removed: remove });
+}
+
+/*******************
+ * SSE              *
+ *******************/
+const clients = new Map(); // res -> token sesije (ili null bez prijave)
+
+// svaki klijent dobiva promjene prikazane prema svojoj sesiji
+function broadcast(msg) {
+  clients.forEach((token, res) => {
+    const session = sessionFor(token);
+    if (session && sessionStatus(session) !== "ok") {
+      // završena sesija dobiva još samo svoj zapis (da se klijent odjavi) i veza se zatvara
+      const own = redact("sessions", list("sessions"), { session });
+      res.write(`data: ${JSON.stringify({ ...msg, changes: { sessions: own }, removed: [] })}\n\n`);
+      clients.delete(res);
+      res.end();
+      return;
+    }
+    const who = whoFor(token);
+    res.write(`data: ${JSON.stringify({ ...msg, changes: viewOf(msg.changes, who) })}\n\n`);
+  });
+}
+setInterval(() => clients.forEach((token, res) => res.write(": ping\n\n")), 25000).unref();
+
+/*******************
+ * Prijava i sesije *
+ *******************/
+// Isti formati kao u aplikaciji: lozinka {algo, iterations, salt, hash} (PBKDF2-SHA-256),
+// a u bazi je samo base64 SHA-256 hash tokena sesije.
+const pbkdf2Async = promisify(pbkdf2);
+const PBKDF2 = { algo: "PBKDF2-SHA-256", iterations: 210000 };
+const DUMMY_PASSWORD = {
+  iterations: PBKDF2.iterations,
+  salt: Buffer.alloc(16).toString("base64"),
+  hash: Buffer.alloc(32).toString("base64"),
+};
+const SESSION_TOUCH_MS = 60 * 1000;
+const SESSION_KEEP_DAYS = 7;
+// isto čuvanje revizijskog zapisa kao u aplikaciji (AUDIT_KEEP_DAYS, AUDIT_MAX_ENTRIES)
+const AUDIT_KEEP_DAYS = 365;
+const AUDIT_MAX_ENTRIES = 20000;
+
+const newId = () => randomUUID().slice(0, 8);
+const hashToken = (token) => createHash("sha256").update(token).digest("base64");
+const list = (key) => (Array.isArray(state.data[key]) ? state.data[key] : []);
+const byId = (items) => new Map((Array.isArray(items) ? items : []).map((x) => [x?.id, x]));
+
+// za nepostojeće korisnike računa se isti posao, pa odgovor traje jednako
+async function verifyPassword(password, record) {
+  const r = record?.hash ? record : DUMMY_PASSWORD;
+  const hash = await pbkdf2Async(String(password ?? ""), Buffer.from(r.salt, "base64"), r.iterations, 32, "sha256");
+  const expected = Buffer.from(r.hash, "base64");
+  return hash.length === expected.length && timingSafeEqual(hash, expected) && r !== DUMMY_PASSWORD;
+}
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await pbkdf2Async(password, salt, PBKDF2.iterations, 32, "sha256");
+  return { ...PBKDF2, salt: salt.toString("base64"), hash: hash.toString("base64") };
+}
+
+// hash koji donosi klijent (novi račun, reset lozinke) mora imati točno parametre aplikacije –
+// inače bi npr. golemi broj iteracija pri svakoj prijavi tog računa zauzeo poslužitelj
+const validHash = (ph) =>
+  ph?.algo === PBKDF2.algo &&
+  ph.iterations === PBKDF2.iterations &&
+  typeof ph.salt === "string" &&
+  typeof ph.hash === "string" &&
+  Buffer.from(ph.salt, "base64").length === 16 &&
+  Buffer.from(ph.hash, "base64").length === 32;
+
+// ista pravila kao passwordProblems u aplikaciji
+const PASSWORD_MIN_LENGTH = 8;
+const WEAK_PASSWORDS = ["test123", "admin123", "lozinka", "password", "12345678", "qwertzui"];
+function passwordProblems(password, user) {
+  const problems = [];
+  const lower = password.toLowerCase();
+  if (password.length < PASSWORD_MIN_LENGTH) problems.push(`najmanje ${PASSWORD_MIN_LENGTH} znakova`);
+  if (!/[a-zčćđšž]/i.test(password) || !/\d/.test(password)) problems.push("barem jedno slovo i jedna znamenka");
+  if (WEAK_PASSWORDS.includes(lower)) problems.push("ne smije biti poznata demo/česta lozinka");
+  const personal = [user?.username, user?.email?.split("@")[0]].filter((x) => x && x.length >= 3);
+  if (personal.some((p) => lower.includes(p.toLowerCase()))) problems.push("ne smije sadržavati korisničko ime ili email");
+  return problems;
+}
+
+/** Lozinka iz zahtjeva → zapis za bazu; slaba lozinka je 400 */
+async function newPasswordHash(password, user) {
+  if (typeof password !== "string" || !password) throw new HttpError(400, "Unesite lozinku.");
+  const problems = passwordProblems(password, user);
+  if (problems.length) throw new HttpError(400, "Lozinka mora imati: " + problems.join(", ") + ".");
+  return hashPassword(password);
+}
+
+/** "ok" | "revoked" | "deactivated" | "idle" | "expired" – ista pravila kao sessionStatus u aplikaciji */
+function sessionStatus(session, now = Date.now()) {
+  if (session.endReason === "deactivated") return "deactivated";
+  if (session.revokedAt) return "revoked";
+  const user = list("users").find((u) => u.id === session.userId);
+  if (!user || user.deactivatedAt) return "deactivated";
+  const { sessionIdleMinutes = 30, sessionMaxHours = 12 } = state.data.settings || {};
+  if (now - Date.parse(session.lastActivityAt) > sessionIdleMinutes * 60 * 1000) return "idle";
+  if (now - Date.parse(session.createdAt) > sessionMaxHours * 60 * 60 * 1000) return "expired";
+  return "ok";
+}
+
+const sessionFor = (token) => (token ? list("sessions").find((s) => s.tokenHash === hashToken(token)) || null : null);
+
+/** {user, session} za važeću sesiju, inače null */
+function whoFor(token) {
+  const session = sessionFor(token);
+  if (!session || sessionStatus(session) !== "ok") return null;
+  return { user: list("users").find((u) => u.id === session.userId), session };
+}
+
+// kao whoFor, uz produženje aktivnosti (najviše jednom u minuti, bez obavijesti klijentima)
+function authenticate(token) {
+  const who = whoFor(token);
+  if (who && Date.now() - Date.parse(who.session.lastActivityAt) >= SESSION_TOUCH_MS) {
+    who.session.lastActivityAt = new Date().toISOString();
+    persist();
+  }
+  return who;
+}
+
+/** Završava sesije za koje reasonOf(s) vrati razlog; vraća novu listu ili null ako nema promjene. */
+function revokeWhere(sessions, reasonOf) {
+  const at = new Date().toISOString();
+  let changed = false;
+  const next = sessions.map((s) => {
+    const reason = !s.revokedAt && reasonOf(s);
+    if (!reason) return s;
+    changed = true;
+    return { ...s, revokedAt: at, endReason: reason };
+  });
+  return changed ? next : null;
+}
+
+function pruneAudit(entries, now = Date.now()) {
+  const keepFrom = now - AUDIT_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter((e) => Date.parse(e.at) > keepFrom).slice(-AUDIT_MAX_ENTRIES);
+}
+const withAudit = (...entries) => pruneAudit([...list("auditLog"), ...entries]);
+
+const auditEntry = (action, entityId, actorId) => ({
+  id: newId(),
+  at: new Date().toISOString(),
+  actorId,
+  action,
+  entity: "user",
+  entityId,
+  before: null,
+  after: null,
+});
+
+/*******************
+ * Prikaz po ulozi  *
+ *******************/
+// Bez prijave klijent vidi samo postavke (obrazac registracije), ostale kolekcije su prazne.
+// Prijavljeni vide sve osim tajni: hashevi lozinki se izostavljaju, a od sesija samo vlastita, bez hasha tokena.
+const PUBLIC_KEYS = ["schemaVersion", "settings"];
+
+const omit = (key) => (x) => {
+  if (!x || typeof x !== "object" || !(key in x)) return x;
+  const { [key]: _secret, ...rest } = x;
+  return rest;
+};
+
+function redact(key, value, who) {
+  if (!who) {
+    if (PUBLIC_KEYS.includes(key)) return value;
+    return Array.isArray(value) ? [] : value && typeof value === "object" ? {} : value;
+  }
+  if (key === "sessions") return (Array.isArray(value) ? value : []).filter((s) => s?.id === who.session.id).map(omit("tokenHash"));
+  if (key === "users" || key === "registrations") return Array.isArray(value) ? value.map(omit("passwordHash")) : value;
+  return value;
+}
+
+const viewOf = (data, who) => Object.fromEntries(Object.entries(data || {}).map(([k, v]) => [k, redact(k, v, who)]));
+
+/*******************
+ * Pravila zapisa   *
+ *******************/
+// Kolekcije koje smije mijenjati samo navedena uloga (ostale provjerava RECORD_RULES po zapisu)
+const WRITERS = {
+  settings: ["admin"],
+  subjects: ["admin", "coordinator"],
+  registrations: ["admin", "coordinator"],
+  closures: ["admin", "coordinator", "tutor"],
+};
+
+// tajnu koju klijent nije dobio (ključ izostavljen) poslužitelj zadržava
+const keepSecret = (next, prev, key) => (next && prev && !(key in next) && key in prev ? { ...next, [key]: prev[key] } : next);
+
+// Na vlastitom računu korisnik mijenja samo osobne podatke (ime, korisničko ime, email);
+// tko predaje (tutor, admin) uz to i potvrđivanje rezervacija (booking:configure u aplikaciji)
+const OWN_LOCKED = ["passwordHash", "role", "deactivatedAt", "mustChangePassword", "bookingRules", "department", "subjects"];
+
+// Admin upravlja svim računima, koordinator tutorima i studentima svog odjela (deptUser u aplikaciji);
+// ostali mijenjaju samo vlastiti zapis (lozinka ide preko /api/password uz trenutnu).
+function mergeUsers(incoming, { user: actor }) {
+  if (!Array.isArray(incoming)) throw new HttpError(400, "Kolekcija users mora biti lista.");
+  const current = list("users");
+  const prev = byId(current);
+  const regs = byId(list("registrations")); // odobreni zahtjev predaje svoj hash novom računu
+  const inDept = (u) =>
+    ["tutor", "student"].includes(u?.role) &&
+    !!actor.department &&
+    (u.department ? u.department === actor.department : departmentsOf(u.id, current, state.data.assignments).includes(actor.department));
+  const manages = (u) => actor.role === "admin" || (actor.role === "coordinator" && inDept(u));
+  const next = [];
+  incoming.forEach((u) => {
+    if (!u?.id || next.some((x) => x.id === u.id)) return;
+    const old = prev.get(u.id);
+    if (u.id === actor.id && old) {
+      const own = { ...u };
+      const locked = ["tutor", "admin"].includes(actor.role) ? OWN_LOCKED : [...OWN_LOCKED, "requireApproval"];
+      locked.forEach((k) => (k in old ? (own[k] = old[k]) : delete own[k]));
+      return next.push(own);
+    }
+    // tutor studentima koje podučava postavlja samo iznimke od pravila rezerviranja (booking:override)
+    if (actor.role === "tutor" && old?.role === "student" && (state.data.assignments?.[old.id] || []).some((e) => e.tutorId === actor.id)) {
+      return next.push(u.bookingRules === undefined ? omit("bookingRules")(old) : { ...old, bookingRules: u.bookingRules });
+    }
+    if (!manages(u) || (old && !manages(old))) return old && next.push(old);
+    const merged = keepSecret(u, old || regs.get(u.id), "passwordHash");
+    // novi hash (račun, reset lozinke) računa klijent – prihvaća se samo s ispravnim parametrima
+    if (merged.passwordHash && !same(merged.passwordHash, (old || regs.get(u.id))?.passwordHash) && !validHash(merged.passwordHash)) {
+      throw new HttpError(400, "Neispravan zapis lozinke.");
+    }
+    next.push(merged);
+  });
+  // račun smije obrisati samo onaj tko njime upravlja (i nikad vlastiti)
+  current.forEach((u) => {
+    if (!next.some((x) => x.id === u.id) && (u.id === actor.id || !manages(u))) next.push(u);
+  });
+  return next;
+}
+
+/*******************
+ * Pravila po zapisu *
+ *******************/
+// Isti smisao kao POLICY u aplikaciji: za svaki dodani, izmijenjeni ili obrisani zapis kolekcije
+// pravilo (id, prije, poslije, ctx) odlučuje smije li ga prijavljeni korisnik tako promijeniti.
+// Admin smije sve; zapis koji ne prođe odbija cijeli zahtjev (403). Dio obrade (lista čekanja,
+// arhiviranje, zastarjeli zahtjevi za premještanje) radi svaka otvorena kartica, pa su ti
+// prijelazi dopušteni svima, ali samo u obliku koji aplikacija stvarno zapisuje.
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const changedKeys = (b, a) => [...new Set([...Object.keys(b || {}), ...Object.keys(a || {})])].filter((k) => !same(b?.[k], a?.[k]));
+const onlyKeys = (b, a, keys) => changedKeys(b, a).every((k) => keys.includes(k));
+const asMap = (v) => (Array.isArray(v) ? new Map(v.map((x) => [x?.id, x])) : new Map(Object.entries(v && typeof v === "object" ? v : {})));
+
+/** [id, prije, poslije] za svaki promijenjeni zapis liste (po id-u) ili ključ mape */
+function changedRecords(prev, next) {
+  const a = asMap(prev);
+  const b = asMap(next);
+  return [...new Set([...a.keys(), ...b.keys()])].filter((id) => !same(a.get(id), b.get(id))).map((id) => [id, a.get(id), b.get(id)]);
+}
+
+/** Odjeli korisnika kao departmentsOf u aplikaciji: student bez odjela pripada odjelima svojih tutora */
+function departmentsOf(userId, users, assignments) {
+  const u = users.find((x) => x.id === userId);
+  if (!u) return [];
+  if (u.department) return [u.department];
+  if (u.role !== "student") return [];
+  const tutors = (assignments?.[userId] || []).map((e) => users.find((x) => x.id === e.tutorId));
+  return [...new Set(tutors.map((t) => t?.department).filter(Boolean))];
+}
+
+const seatsOf = (s) => (Number(s?.capacity) > 1 ? s.attendees || [] : s?.reservedBy ? [s.reservedBy] : []);
+const activeHold = (s, now) => !!s?.heldFor && Date.parse(s.holdUntil) > now;
+const SEAT_KEYS = ["reservedBy", "attendees", "pending", "requestMessage", "heldFor", "holdUntil"];
+
+// Student na postojećem objavljenom terminu svog tutora mijenja samo svoje mjesto: rezervacija,
+// zahtjev za potvrdu, otkazivanje, premještanje i vlastito zadržavanje s liste čekanja
+function ownSeat(b, a, ctx) {
+  const me = ctx.user.id;
+  if (ctx.user.role !== "student" || !b || !a || !onlyKeys(b, a, SEAT_KEYS)) return false;
+  const others = (s) => [s.reservedBy, ...(s.attendees || [])].filter((x) => x && x !== me).sort();
+  if (!same(others(b), others(a))) return false;
+  if (!same([b.heldFor, b.holdUntil], [a.heldFor, a.holdUntil]) && !(b.heldFor === me && a.heldFor == null)) return false;
+  const joined = seatsOf(a).includes(me) && !seatsOf(b).includes(me);
+  if (joined) {
+    if (!a.published || !ctx.teaches(a.tutorId, me) || seatsOf(a).length > Math.max(1, Number(a.capacity) || 1)) return false;
+    if (activeHold(b, ctx.now) && b.heldFor !== me) return false;
+    // tutor koji potvrđuje rezervacije dobiva zahtjev (pending), osim pri premještanju koje je predložio
+    const approval = Number(a.capacity) > 1 ? false : !!ctx.users.find((u) => u.id === a.tutorId)?.requireApproval;
+    if (approval && !a.pending && !ctx.rescheduleTo(me, a.id)) return false;
+  } else if (a.reservedBy === me && b.pending && !a.pending) return false; // zahtjev ne potvrđuje sam
+  return true;
+}
+
+// Obrada liste čekanja (bilo koja kartica): zadržavanje za studenta koji čeka tog tutora,
+// ili otpuštanje isteklog / više nepotrebnog zadržavanja
+function waitlistHold(b, a, ctx) {
+  if (!b || !a || !onlyKeys(b, a, ["heldFor", "holdUntil"])) return false;
+  if (a.heldFor) return !activeHold(b, ctx.now) && ctx.waiting(a.heldFor, a.tutorId);
+  return !activeHold(b, ctx.now) || !ctx.offered(b.heldFor, b.id);
+}
+
+// Arhiviranje (bilo koja kartica): prošli termin se briše iz slots i sprema u history
+const archived = (b, a, ctx) => !!b && !a && Date.parse(b.when) < ctx.now && asMap(ctx.value("history")).has(b.id);
+
+// Prijelazi upisa na listi čekanja koje radi obrada liste (processWaitlist)
+const WAITLIST_STEPS = {
+  "waiting>offered": (b, a, ctx) => ctx.slot(a.offeredSlotId)?.heldFor === b.studentId,
+  "offered>waiting": () => true,
+  "offered>fulfilled": (b, a, ctx) => seatsOf(ctx.slot(b.offeredSlotId)).includes(b.studentId),
+  "offered>expired": (b, a, ctx) => Date.parse(b.holdUntil) <= ctx.now,
+  // datum je lokalni dan klijenta, pa se uspoređuje s danom po UTC-u uključivo
+  "waiting>expired": (b, a, ctx) => b.date <= new Date(ctx.now).toISOString().slice(0, 10),
+};
+
+const staffBoth = (b, a, ctx) => (!b || ctx.staffFor(b.tutorId)) && (!a || ctx.staffFor(a.tutorId));
+const setOf = (x) => new Set(Array.isArray(x) ? x : []);
+// poslije = prije + vlastiti id (npr. readBy)
+const addsSelf = (before, after, me) => same([...new Set([...setOf(before), me])].sort(), [...setOf(after)].sort());
+
+const RECORD_RULES = {
+  slots: (id, b, a, ctx) => staffBoth(b, a, ctx) || ownSeat(b, a, ctx) || waitlistHold(b, a, ctx) || archived(b, a, ctx),
+  history: (id, b, a, ctx) =>
+    staffBoth(b, a, ctx) ||
+    (!b && Date.parse(a.when) < ctx.now && list("slots").some((s) => s.id === id && s.tutorId === a.tutorId && s.when === a.when)),
+  announcements: (id, b, a, ctx) =>
+    staffBoth(b, a, ctx) || (!!b && !!a && onlyKeys(b, a, ["readBy"]) && addsSelf(b.readBy, a.readBy, ctx.user.id)),
+  hiddenAnnouncements: (userId, b, a, ctx) => userId === ctx.user.id,
+  // tuđim korisnicima se obavijesti samo dodaju (nepročitane); svoje se čitaju i brišu
+  notifications: (userId, b, a, ctx) => {
+    if (userId === ctx.user.id) return true;
+    const before = asMap(b);
+    const after = asMap(a);
+    return (
+      [...before].every(([nid, n]) => same(n, after.get(nid))) &&
+      [...after].every(([nid, n]) => before.has(nid) || n?.read === false)
+    );
+  },
+  emailLog: (id, b, a) => !b && !!a,
+  cancellations: (id, b, a, ctx) => !b && !!a && (a.studentId === ctx.user.id || ctx.staffFor(a.tutorId)),
+  waitlist: (id, b, a, ctx) => {
+    const me = ctx.user.id;
+    if ((!b || b.studentId === me) && (!a || a.studentId === me)) return !a || !!b || ctx.teaches(a.tutorId, me);
+    const step = b && a && onlyKeys(b, a, ["status", "offeredSlotId", "holdUntil"]) && WAITLIST_STEPS[`${b.status}>${a.status}`];
+    return !!step && step(b, a, ctx);
+  },
+  reschedules: (id, b, a, ctx) => {
+    const me = ctx.user.id;
+    const party = (r) => r.studentId === me || r.proposedBy === me || ctx.staffFor(r.tutorId);
+    if (!b) return a.proposedBy === me && party(a);
+    if (!a || !onlyKeys(b, a, ["status", "chosenSlotId", "decidedAt"])) return false;
+    return party(b) || (b.status === "pending" && a.status === "expired");
+  },
+  availability: (tutorId, b, a, ctx) => ctx.staffFor(tutorId),
+  // upis mijenja koordinator odjela i studenta i tutora (assignment:update)
+  assignments: (studentId, b, a, ctx) => {
+    const key = (e) => `${e?.subjectId}:${e?.tutorId}`;
+    const before = new Map((Array.isArray(b) ? b : []).map((e) => [key(e), e]));
+    const after = new Map((Array.isArray(a) ? a : []).map((e) => [key(e), e]));
+    const touched = [...before.keys(), ...after.keys()].filter((k) => before.has(k) !== after.has(k));
+    return ctx.user.role === "coordinator" && touched.every((k) => ctx.inDept(studentId, (before.get(k) || after.get(k)).tutorId));
+  },
+  // centar zatvara samo admin; odsutnost tutora (tutorId) uređuju on i koordinator odjela
+  closures: (id, b, a, ctx) => [b, a].every((c) => !c || (c.tutorId != null && ctx.staffFor(c.tutorId))),
+  subjects: (id, b, a, ctx) => [b, a].every((x) => !x || (!!ctx.user.department && x.department === ctx.user.department)),
+  registrations: (id, b, a, ctx) => [b, a].every((r) => !r || (!!ctx.user.department && r.department === ctx.user.department)),
+};
+
+// Pojedinačne vrijednosti koje zapisuje svaka kartica (arhiviranje, migracija baze)
+const SCALAR_RULES = {
+  lastArchiveAt: () => true,
+  schemaVersion: (prev, next) => Number(next) >= Number(prev ?? 0),
+};
+
+function recordContext(set, { user }) {
+  const now = Date.now();
+  const value = (k) => (k in set ? set[k] : state.data[k]);
+  const users = Array.isArray(set.users) ? set.users : list("users");
+  const assignments = state.data.assignments || {};
+  const inDept = (...ids) =>
+    !!user.department && ids.every((id) => !!id && departmentsOf(id, users, assignments).includes(user.department));
+  const waitlist = () => (Array.isArray(value("waitlist")) ? value("waitlist") : []);
+  return {
+    user,
+    now,
+    users,
+    value,
+    inDept,
+    staffFor: (tutorId) =>
+      user.role === "admin" || (user.role === "coordinator" && inDept(tutorId)) || (user.role === "tutor" && tutorId === user.id),
+    teaches: (tutorId, studentId) => (assignments[studentId] || []).some((e) => e.tutorId === tutorId),
+    slot: (id) => (Array.isArray(value("slots")) ? value("slots") : []).find((s) => s?.id === id),
+    waiting: (studentId, tutorId) =>
+      waitlist().some((e) => e.studentId === studentId && e.tutorId === tutorId && ["waiting", "offered"].includes(e.status)),
+    offered: (studentId, slotId) =>
+      waitlist().some((e) => e.studentId === studentId && e.status === "offered" && e.offeredSlotId === slotId),
+    rescheduleTo: (studentId, slotId) =>
+      list("reschedules").some((r) => r.studentId === studentId && r.status === "pending" && (r.options || []).includes(slotId)),
+  };
+}
+
+/** Baca 403 za prvu izmjenu kolekcije koju korisnik ne smije napraviti. */
+function checkRecords(name, next, who, ctx) {
+  if (who.user.role === "admin") return;
+  if (SCALAR_RULES[name]) {
+    if (!SCALAR_RULES[name](state.data[name], next)) throw new HttpError(403, `Nemate ovlasti mijenjati ${name}.`);
+    return;
+  }
+  const rule = RECORD_RULES[name];
+  if (!rule) throw new HttpError(403, `Nemate ovlasti mijenjati ${name}.`);
+  const prev = state.data[name];
+  if (prev !== undefined && Array.isArray(prev) !== Array.isArray(next)) throw new HttpError(400, `Neispravan oblik kolekcije ${name}.`);
+  const denied = changedRecords(prev, next).find(([id, b, a]) => !rule(id, b, a, ctx));
+  if (denied) throw new HttpError(403, `Nemate ovlasti mijenjati ${name} (${denied[0]}).`);
+}
+
+// Klijent vidi samo svoju sesiju: smije joj osvježiti aktivnost ili je završiti
+function mergeSessions(incoming, { session }) {
+  const mine = (Array.isArray(incoming) ? incoming : []).find((s) => s?.id === session.id);
+  if (!mine) return list("sessions");
+  const seen = Math.min(Date.parse(mine.lastActivityAt) || 0, Date.now());
+  return list("sessions").map((s) =>
+    s.id !== session.id
+      ? s
+      : {
+          ...s,
+          lastActivityAt: seen > Date.parse(s.lastActivityAt) ? new Date(seen).toISOString() : s.lastActivityAt,
+          ...(!s.revokedAt && mine.revokedAt ? { revokedAt: new Date().toISOString(), endReason: String(mine.endReason || "logout") } : {}),
+        }
+  );
+}
+
+// Revizijski zapis je samo za dodavanje: prihvaćaju se novi zapisi (akter je prijavljeni korisnik
+// ili sustav), postojeći se ne mogu izmijeniti ni obrisati, a stare briše samo poslužitelj
+function appendAudit(incoming, { user }) {
+  if (!Array.isArray(incoming)) throw new HttpError(400, "Kolekcija auditLog mora biti lista.");
+  const known = new Set(list("auditLog").map((e) => e.id));
+  const added = incoming
+    .filter((e) => e?.id && typeof e.action === "string" && !known.has(e.id) && !Number.isNaN(Date.parse(e.at)))
+    .map((e) => ({ ...e, at: new Date(Math.min(Date.parse(e.at), Date.now())).toISOString(), actorId: e.actorId == null ? null : user.id }));
+  return withAudit(...added);
+}
+
+// Promjena lozinke, deaktivacija ili brisanje korisnika završava sve njegove sesije
+function revokeForUserChanges(users, sessions) {
+  const next = byId(users);
+  const reasons = new Map();
+  list("users").forEach((u) => {
+    const n = next.get(u.id);
+    if (!n) reasons.set(u.id, "deleted");
+    else if (n.deactivatedAt && !u.deactivatedAt) reasons.set(u.id, "deactivated");
+    else if (JSON.stringify(n.passwordHash ?? null) !== JSON.stringify(u.passwordHash ?? null)) reasons.set(u.id, "password-reset");
+  });
+  return reasons.size ? revokeWhere(sessions, (s) => reasons.get(s.userId)) : null;
+}
+
+/** Provjerava i priprema izmjenu kolekcija prema ulozi; vraća {set, remove} za commit(). */
+function authorize(set, remove, who) {
+  Object.keys(set).forEach(collectionName);
+  remove.forEach(collectionName);
+  if (!who) {
+    // prvo pokretanje: praznu bazu (bez korisnika) smije napuniti i klijent bez prijave
+    if (list("users").length === 0) return { set, remove };
+    throw new HttpError(401, "Potrebna je prijava.");
+  }
+  const role = who.user.role;
+  if (remove.length && role !== "admin") throw new HttpError(403, "Kolekcije smije brisati samo administrator.");
+  if (remove.includes("auditLog")) throw new HttpError(403, "Revizijski zapis se ne može obrisati.");
+  Object.keys(set).forEach((k) => {
+    if (WRITERS[k] && !WRITERS[k].includes(role)) throw new HttpError(403, `Nemate ovlasti mijenjati ${k}.`);
+  });
+  const out = {};
+  // korisnici prvi: pravila ostalih kolekcija gledaju odjele prihvaćenih računa
+  if ("users" in set) out.users = mergeUsers(set.users, who);
+  const ctx = recordContext({ ...set, ...out }, who);
+  Object.entries(set).forEach(([k, v]) => {
+    if (k === "users") return;
+    if (k === "sessions") out.sessions = mergeSessions(v, who);
+    else if (k === "auditLog") out.auditLog = appendAudit(v, who);
+    else if (k === "registrations") {
+      const prev = byId(list("registrations"));
+      out.registrations = Array.isArray(v) ? v.map((r) => keepSecret(r, prev.get(r?.id), "passwordHash")) : v;
+      checkRecords(k, out.registrations, who, ctx);
+    } else {
+      checkRecords(k, v, who, ctx);
+      out[k] = v;
+    }
+  });
+  if (out.users) {
+    const sessions = revokeForUserChanges(out.users, out.sessions || list("sessions"));
+    if (sessions) out.sessions = sessions;
+  }
+  return { set: out, remove };
+}
+
+/*******************
+ * HTTP pomoćnici   *
+ *******************/
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// CORS samo za dopuštene izvore (TSS_ORIGINS); ostali preglednici ne mogu čitati odgovore
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin || !ORIGINS.includes(origin)) return {};
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type,If-Match,X-TSS-Client,Authorization",
+    "Access-Control-Expose-Headers": "ETag,X-TSS-Session",
+    Vary: "Origin",
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...corsHeaders(res.req), "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  if (Number(req.headers["content-length"]) > MAX_BODY) throw new HttpError(413, "Zahtjev je prevelik.");
+  let raw = "";
+  let size = 0;
+  // višak se čita do kraja i odbacuje, da se odgovor 413 još može poslati
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= MAX_BODY) raw += chunk;
+  }
+  if (size > MAX_BODY) throw new HttpError(413, "Zahtjev je prevelik.");
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "Tijelo zahtjeva nije ispravan JSON.");
+  }
+}
+
+function collectionName(col) {
+  if (!COLLECTION_RE.test(col)) throw new HttpError(400, `Neispravan naziv kolekcije: ${col}`);
+  return col;
+}
+
+function findItem(col, id) {
+  const value = state.data[col];
+  if (value === undefined) throw new HttpError(404, `Kolekcija ${col} ne postoji.`);
+  if (Array.isArray(value)) {
+    const idx = value.findIndex((x) => x?.id === id);
+    return { value, idx, item: idx >= 0 ? value[idx] : undefined };
+  }
+  if (value && typeof value === "object") return { value, item: value[id] };
+  throw new HttpError(400, `Kolekcija ${col} nema zapise.`);
+}
+
+const matches = (item, expect) =>
+  Object.entries(expect || {}).every(([k, v]) => JSON.stringify(item?.[k] ?? null) === JSON.stringify(v));
+
+/*******************
+ * Rute             *
+ *******************/
+async function login(req, res) {
+  const { identifier, password } = (await readBody(req)) || {};
+  const key = String(identifier || "").trim().toLowerCase();
+  const same = (x) => !!x && x.toLowerCase() === key;
+  const user = list("users").find((u) => same(u.email) || same(u.username));
+  // bez računa: možda postoji zahtjev za registraciju (na čekanju ili odbijen)
+  const reg = user
+    ? null
+    : list("registrations")
+        .filter((r) => r.status !== "approved" && (same(r.email) || same(r.username)))
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))[0];
+  if (!(await verifyPassword(password, (user || reg)?.passwordHash))) {
+    throw new HttpError(401, "Pogrešno korisničko ime ili lozinka.");
+  }
+  if (reg) {
+    throw new HttpError(
+      403,
+      reg.status === "pending"
+        ? "Vaš zahtjev za registraciju još čeka odobrenje."
+        : "Vaš zahtjev za registraciju je odbijen. Razlog: " + reg.reason
+    );
+  }
+  if (user.deactivatedAt) throw new HttpError(403, "Račun je deaktiviran. Obratite se administratoru.");
+
+  const token = randomBytes(32).toString("base64url");
+  const now = new Date();
+  const keepFrom = now.getTime() - SESSION_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const session = {
+    id: newId(),
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    lastActivityAt: now.toISOString(),
+    revokedAt: null,
+    endReason: null,
+  };
+  commit(null, {
+    sessions: [...list("sessions").filter((s) => !s.revokedAt || Date.parse(s.revokedAt) > keepFrom), session],
+    auditLog: withAudit(auditEntry("session:login", user.id, user.id)),
+  });
+  return send(res, 200, { token, sessionId: session.id, userId: user.id });
+}
+
+// Samostalna registracija bez prijave: iste provjere kao registerStudent u aplikaciji
+async function register(req, res) {
+  const body = (await readBody(req)) || {};
+  const text = (x) => (typeof x === "string" ? x.trim() : "");
+  const name = text(body.name);
+  const username = text(body.username);
+  const email = text(body.email).toLowerCase();
+  if (!name || !username || !email || !body.password) throw new HttpError(400, "Ispunite sva obavezna polja.");
+  const domains = String(state.data.settings?.registrationDomains || "")
+    .split(",")
+    .map((d) => d.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+  const domain = email.split("@")[1] || "";
+  if (!domains.some((d) => domain === d || domain.endsWith("." + d))) {
+    throw new HttpError(400, `Registracija je moguća samo sa sveučilišnom adresom (@${domains.join(", @")}).`);
+  }
+  const same = (a, b) => !!a && a.toLowerCase() === b.toLowerCase();
+  const others = [...list("users"), ...list("registrations").filter((r) => r.status === "pending")];
+  if (others.some((x) => same(x.username, username))) throw new HttpError(409, "Korisničko ime je zauzeto.");
+  if (others.some((x) => same(x.email, email))) throw new HttpError(409, "Email je već registriran.");
+  const passwordHash = await newPasswordHash(body.password, { username, email });
+
+  const reg = {
+    id: newId(),
+    name,
+    username,
+    email,
+    department: text(body.department) || null,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+    status: "pending",
+  };
+  // potvrda studentu i obavijest adminima i koordinatorima odjela (kao notifyReviewers u aplikaciji)
+  const at = reg.createdAt;
+  const title = "Novi zahtjev za registraciju";
+  const message = `${name} (${email}) traži studentski račun${reg.department ? ` – ${reg.department}` : ""}.`;
+  const notifications = { ...(state.data.notifications || {}) };
+  const emails = [
+    { id: newId(), to: email, subject: "Zahtjev za registraciju zaprimljen", body: `Pozdrav ${name}, vaš zahtjev je zaprimljen i čeka odobrenje.`, at },
+  ];
+  list("users")
+    .filter((u) => !u.deactivatedAt && (u.role === "admin" || (u.role === "coordinator" && !!u.department && u.department === reg.department)))
+    .forEach((u) => {
+      notifications[u.id] = [{ id: newId(), read: false, createdAt: at, type: "system", title, message }, ...(notifications[u.id] || [])];
+      emails.unshift({ id: newId(), to: u.email, subject: title, body: message, at });
+    });
+  commit(null, { registrations: [...list("registrations"), reg], notifications, emailLog: [...emails, ...list("emailLog")] });
+  return send(res, 201, { id: reg.id });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const from = req.headers["x-tss-client"] || null;
+  // EventSource ne može slati zaglavlja, pa SSE token dolazi u adresi
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "") || url.searchParams.get("token") || null;
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (parts[0] !== "api") throw new HttpError(404, "Nepoznata ruta.");
+  const [, col, id] = parts;
+
+  if (col === "health") return send(res, 200, { ok: true, rev: state.rev });
+  if (col === "login" && req.method === "POST") return login(req, res);
+  if (col === "registrations" && id === undefined && req.method === "POST") return register(req, res);
+
+  if (col === "logout" && req.method === "POST") {
+    const { all = false } = (await readBody(req)) || {};
+    const session = sessionFor(token);
+    const sessions =
+      session &&
+      revokeWhere(list("sessions"), (s) =>
+        all ? s.userId === session.userId && "logout-all" : s.id === session.id && "logout"
+      );
+    if (sessions) commit(null, { sessions });
+    return send(res, 204);
+  }
+
+  if (col === "events" && req.method === "GET") {
+    res.writeHead(200, { ...corsHeaders(req), "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.write(`: rev ${state.rev}\n\n`);
+    clients.set(res, whoFor(token) ? token : null);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+
+  const who = authenticate(token);
+
+  if (col === "password" && req.method === "POST") {
+    if (!who) throw new HttpError(401, "Potrebna je prijava.");
+    const { current, password } = (await readBody(req)) || {};
+    if (!(await verifyPassword(current, who.user.passwordHash))) throw new HttpError(403, "Trenutna lozinka nije ispravna.");
+    if (password === current) throw new HttpError(400, "Nova lozinka mora se razlikovati od trenutne.");
+    const passwordHash = await newPasswordHash(password, who.user);
+    commit(null, {
+      users: list("users").map((u) => (u.id === who.user.id ? { ...u, passwordHash, mustChangePassword: false } : u)),
+      auditLog: withAudit(auditEntry("user:password", who.user.id, who.user.id)),
+    });
+    return send(res, 204);
+  }
+
+  if (col === "backups" && req.method === "POST") {
+    if (who?.user.role !== "admin") throw new HttpError(403, "Kopije sprema samo administrator.");
+    const body = await readBody(req);
+    const file = DATA_FILE.replace(/\.json$/, "") + `.backup-${Date.now()}.json`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(body ?? null));
+    return send(res, 201, { file: path.basename(file) });
+  }
+
+  if (col === "db") {
+    if (req.method === "GET") {
+      return send(res, 200, viewOf(state.data, who), { ETag: `"${state.rev}"`, "X-TSS-Session": who?.session.id || "" });
+    }
+    if (req.method === "PATCH") {
+      const body = (await readBody(req)) || {};
+      // ifMatch: {kolekcija: ETag} – zapis samo ako nitko u međuvremenu nije mijenjao te kolekcije
+      if (Object.entries(body.ifMatch || {}).some(([k, tag]) => tag !== etag(k))) {
+        throw new HttpError(412, "Podaci su u međuvremenu promijenjeni.");
+      }
+      const { set, remove } = authorize(body.set || {}, body.remove || [], who);
+      commit(from, set, remove);
+      // spremljeno stanje (npr. bez odbijenih izmjena) – klijent ga uzima kao novu osnovu
+      return send(res, 200, { rev: state.rev, saved: viewOf(set, who) });
+    }
+    throw new HttpError(405, "Metoda nije podržana.");
+  }
+
+  const name = collectionName(col);
+
+  if (id === undefined) {
+    switch (req.method) {
+      case "GET":
+        if (state.data[name] === undefined) throw new HttpError(404, `Kolekcija ${name} ne postoji.`);
+        return send(res, 200, redact(name, state.data[name], who), { ETag: etag(name) });
+      case "PUT": {
+        const ifMatch = req.headers["if-match"];
+        if (ifMatch && ifMatch !== etag(name)) throw new HttpError(412, "Kolekcija je u međuvremenu promijenjena.");
+        commit(from, authorize({ [name]: await readBody(req) }, [], who).set);
+        return send(res, 200, { rev: state.rev }, { ETag: etag(name) });
+      }
+      case "POST": {
+        const items = state.data[name] ?? [];
+        if (!Array.isArray(items)) throw new HttpError(400, `Kolekcija ${name} nije lista.`);
+        const item = { id: newId(), ...(await readBody(req)) };
+        if (items.some((x) => x?.id === item.id)) throw new HttpError(409, `Zapis ${item.id} već postoji.`);
+        commit(from, authorize({ [name]: [...items, item] }, [], who).set);
+        return send(res, 201, item, { ETag: etag(name) });
+      }
+      case "DELETE": {
+        const { remove } = authorize({}, [name], who);
+        commit(from, {}, remove);
+        return send(res, 204);
+      }
+      default:
+        throw new HttpError(405, "Metoda nije podržana.");
+    }
+  }
+
+  const { value, idx, item } = findItem(name, id);
+  const isList = Array.isArray(value);
+  const replace = (next) => {
+    if (isList) {
+      const items = [...value];
+      if (next === undefined) items.splice(idx, 1);
+      else if (idx >= 0) items[idx] = next;
+      else items.push(next);
+      return items;
+    }
+    const map = { ...value };
+    if (next === undefined) delete map[id];
+    else map[id] = next;
+    return map;
+  };
+
+  switch (req.method) {
+    case "GET": {
+      if (item === undefined) throw new HttpError(404, `Zapis ${id} ne postoji.`);
+      const view = redact(name, isList ? [item] : { [id]: item }, who);
+      const shown = isList ? view[0] : view[id];
+      if (shown === undefined) throw new HttpError(who ? 404 : 401, who ? `Zapis ${id} ne postoji.` : "Potrebna je prijava.");
+      return send(res, 200, shown);
+    }
+    case "PUT": {
+      const body = await readBody(req);
+      const next = isList ? { ...body, id } : body;
+      commit(from, authorize({ [name]: replace(next) }, [], who).set);
+      return send(res, 200, next, { ETag: etag(name) });
+    }
+    case "PATCH": {
+      if (item === undefined) throw new HttpError(404, `Zapis ${id} ne postoji.`);
+      const body = (await readBody(req)) || {};
+      const hasExpect = body.expect !== undefined || body.patch !== undefined;
+      if (hasExpect && !matches(item, body.expect)) {
+        const current = isList ? redact(name, [item], who)[0] : redact(name, { [id]: item }, who)[id];
+        return send(res, 409, { error: "Zapis je u međuvremenu promijenjen.", current });
+      }
+      const next = { ...item, ...(hasExpect ? body.patch : body) };
+      commit(from, authorize({ [name]: replace(next) }, [], who).set);
+      return send(res, 200, isList ? redact(name, [next], who)[0] ?? {} : next, { ETag: etag(name) });
+    }
+    case "DELETE":
+      if (item === undefined) throw new HttpError(404, `Zapis ${id} ne postoji.`);
+      commit(from, authorize({ [name]: replace(undefined) }, [], who).set);
+      return send(res, 204);
+    default:
+      throw new HttpError(405, "Metoda nije podržana.");
+  }
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    if (!(e instanceof HttpError)) console.error(e);
+    if (!res.headersSent) send(res, e.status || 500, { error: e.message });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`TSS API: http://${HOST}:${PORT}/api  (podaci: ${DATA_FILE})`);
+});
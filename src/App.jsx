@@ -5,7 +5,7 @@ import React, { useEffect, useMemo, useState } from "react";
  * 🇭🇷 Tutor–Student Scheduler (Demo bez backenda)
  *
  * Sadrži:
- * - Perzistentnu "bazu" (localStorage)
+ * - Perzistentnu "bazu" (IndexedDB, uz localStorage kao rezervu)
  * - Prijavu (email/korisničko ime + lozinka) i odjavu
  * - Uloge: admin, tutor, student
  * - Tutor dodaje termine kao draft i objavljuje ih (“Potvrdi i pošalji”)
@@ -14,6 +14,9 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Admin vidi termine samo od odabranog tutora za aktivni dan
  * - Bojanje dana: zeleni dani s objavljenim slobodnim terminima; crveni kad su svi objavljeni termini rezervirani
  * - Objave (tutor/admin), student može sakriti sebi; notifikacije u aplikaciji + mock e-mail log
+ * - Prošli termini se arhiviraju (store.history) umjesto brisanja; admin bira nakon koliko dana
+ * - Sinkronizacija između otvorenih kartica (BroadcastChannel) uz zaštitu od dvostruke rezervacije
+ * - Opcionalni lokalni poslužitelj (server/index.js) – uključuje se s VITE_TSS_API_URL
  * - Statistika (tjedna + kumulativna), veći grafovi u popupu, tablice u layoutu
  * - Stabilan layout (fiksne visine s internim scrollom, bez pomicanja drugih elemenata)
  */
@@ -23,6 +26,37 @@ import React, { useEffect, useMemo, useState } from "react";
  ********************/
 const uid = () => Math.random().toString(36).slice(2, 10);
 
+// Trajanje termina u minutama; stari termini (prije polja durationMin) trajali su 50 min
+const DEFAULT_SLOT_MINUTES = 50;
+const SLOT_DURATIONS = [30, 45, 50, 60, 90];
+const slotMinutes = (slot) => slot.durationMin ?? DEFAULT_SLOT_MINUTES;
+const slotEnd = (slot) => new Date(new Date(slot.when).getTime() + slotMinutes(slot) * 60 * 1000);
+// Grupni termin (capacity > 1) vodi polaznike u listi `attendees`; pojedinačni termin
+// (bez capacity) i dalje ima jednog studenta u `reservedBy`.
+const slotCapacity = (slot) => slot.capacity ?? 1;
+const isGroupSlot = (slot) => slotCapacity(slot) > 1;
+const attendeesOf = (slot) => (isGroupSlot(slot) ? slot.attendees || [] : slot.reservedBy ? [slot.reservedBy] : []);
+const attends = (slot, studentId) => attendeesOf(slot).includes(studentId);
+const seatsFree = (slot) => Math.max(0, slotCapacity(slot) - attendeesOf(slot).length);
+const seatsLabel = (slot) => `${seatsFree(slot)}/${slotCapacity(slot)} slobodno`;
+const MAX_SLOT_CAPACITY = 20;
+// polja novog termina s capacity mjesta (1 = pojedinačni termin)
+const capacityFields = (capacity) => (capacity > 1 ? { capacity, attendees: [] } : {});
+// izmjena termina kad ga student napušta (otkazivanje, odbijanje, odlazak iz centra)
+const withoutAttendee = (slot, studentId) =>
+  isGroupSlot(slot)
+    ? { attendees: attendeesOf(slot).filter((id) => id !== studentId) }
+    : { reservedBy: null, pending: false, requestMessage: null };
+// prošli nezauzeti termin nije ni slobodan ni popunjen – siv, kao i takav dan u WeekGridu
+const slotBox = (slot) =>
+  slot.pending
+    ? "border-amber-200 bg-amber-50"
+    : seatsFree(slot) === 0
+    ? "border-rose-200 bg-rose-50"
+    : slotEnd(slot) <= new Date()
+    ? "border-slate-200 bg-slate-50"
+    : "border-emerald-200 bg-emerald-50";
+
 function startOfWeek(date = new Date()) {
   const d = new Date(date);
   const day = (d.getDay() + 6) % 7; // 0=pon … 6=ned
@@ -46,6 +80,19 @@ function withTime(baseDate, hour, minute) {
   d.setHours(hour, minute, 0, 0);
   return d;
 }
+/** Lokalni datum kao "YYYY-MM-DD" (za usporedbu dana bez vremenske zone) */
+function toDateKey(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+/** "10:30" -> {hour: 10, minute: 30}; null ako vrijeme nije ispravno */
+function parseClock(text) {
+  const m = /^\s*(\d{1,2})(?:[:.](\d{2}))?\s*$/.exec(text || "");
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
 function fmtDay(d) {
   return d.toLocaleDateString("hr-HR", {
     weekday: "long",
@@ -53,9 +100,9 @@ function fmtDay(d) {
     month: "2-digit",
   });
 }
-function fmtRangeFromISO(iso) {
+function fmtRangeFromISO(iso, minutes = DEFAULT_SLOT_MINUTES) {
   const start = new Date(iso);
-  const end = new Date(start.getTime() + 50 * 60 * 1000);
+  const end = new Date(start.getTime() + minutes * 60 * 1000);
   const datePart = start.toLocaleDateString("hr-HR", {
     weekday: "short",
     day: "2-digit",
@@ -64,6 +111,14 @@ function fmtRangeFromISO(iso) {
   const t = (d) => d.toLocaleTimeString("hr-HR", { hour: "2-digit", minute: "2-digit" });
   return `${datePart} ${t(start)}–${t(end)}`;
 }
+function fmtSlot(slot) {
+  return fmtRangeFromISO(slot.when, slotMinutes(slot));
+}
+function fmtDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h && `${h} h`, m && `${m} min`].filter(Boolean).join(" ") || "0 min";
+}
 function fmtWeekRange(weekStart) {
   const start = new Date(weekStart);
   const end = endOfWeek(weekStart);
@@ -82,81 +137,1244 @@ function slug(name) {
     .replace(/\s+/g, ".");
 }
 
+/**********************
+ * Lozinke (PBKDF2)    *
+ **********************/
+// U bazi je samo {algo, iterations, salt, hash}; lozinka u čistom tekstu se nikad ne sprema.
+const PBKDF2_ITERATIONS = 210000;
+const PBKDF2_HASH = "SHA-256";
+
+const toB64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromB64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: PBKDF2_HASH, salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return { algo: `PBKDF2-${PBKDF2_HASH}`, iterations: PBKDF2_ITERATIONS, salt: toB64(salt), hash: toB64(hash) };
+}
+
+// Usporedba bez ranog izlaska – trajanje ne otkriva koliko se bajtova podudara
+function timingSafeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a[i] ?? 0) ^ (b[i] ?? 0);
+  return diff === 0;
+}
+
+// Za nepostojeće korisnike i račune bez lozinke računa se isti posao, pa odgovor traje jednako
+const DUMMY_PASSWORD_RECORD = {
+  iterations: PBKDF2_ITERATIONS,
+  salt: toB64(new Uint8Array(16)),
+  hash: toB64(new Uint8Array(32)),
+};
+
+async function verifyPassword(password, record) {
+  const r = record?.hash ? record : DUMMY_PASSWORD_RECORD;
+  const hash = await pbkdf2(password, fromB64(r.salt), r.iterations);
+  return timingSafeEqual(hash, fromB64(r.hash)) && r !== DUMMY_PASSWORD_RECORD;
+}
+
+const PASSWORD_MIN_LENGTH = 8;
+const WEAK_PASSWORDS = ["test123", "admin123", "lozinka", "password", "12345678", "qwertzui"];
+
+/** Vraća popis razloga zbog kojih lozinka ne zadovoljava pravila (prazan popis = u redu). */
+function passwordProblems(password, user) {
+  const problems = [];
+  const lower = password.toLowerCase();
+  if (password.length < PASSWORD_MIN_LENGTH) problems.push(`najmanje ${PASSWORD_MIN_LENGTH} znakova`);
+  if (!/[a-zčćđšž]/i.test(password) || !/\d/.test(password)) problems.push("barem jedno slovo i jedna znamenka");
+  if (WEAK_PASSWORDS.includes(lower)) problems.push("ne smije biti poznata demo/česta lozinka");
+  const personal = [user?.username, user?.email?.split("@")[0]].filter((x) => x && x.length >= 3);
+  if (personal.some((p) => lower.includes(p.toLowerCase()))) problems.push("ne smije sadržavati korisničko ime ili email");
+  return problems;
+}
+
+// Privremena lozinka za admin reset (bez znakova koji se lako zamijene: 0/O, 1/l/I)
+function generateTempPassword(length = 10) {
+  const chars = "abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  const pw = Array.from(bytes, (b) => chars[b % chars.length]).join("");
+  return /\d/.test(pw) ? pw : pw.slice(0, -1) + "7";
+}
+
+/**********************
+ * Sesije              *
+ **********************/
+// U pregledniku je samo nasumični token (SESS_KEY); u bazi je njegov SHA-256 hash uz vremena.
+// Sesija vrijedi dok nije opozvana, dok neaktivnost ne prijeđe settings.sessionIdleMinutes
+// i najdulje settings.sessionMaxHours od prijave.
+const SESSION_TOUCH_MS = 60 * 1000; // lastActivityAt se osvježava najviše jednom u minuti
+const SESSION_KEEP_DAYS = 7; // završene sesije se čuvaju (za pregled) pa brišu
+
+async function sha256(text) {
+  return toB64(new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))));
+}
+
+function newSessionToken() {
+  return toB64(crypto.getRandomValues(new Uint8Array(32))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function findSessionByToken(store, token) {
+  // poslužitelj ne šalje hasheve tokena – javlja id sesije kojoj token pripada
+  if (serverSessions()) return store.sessions.find((s) => s.id === storage.sessionId) || null;
+  const tokenHash = await sha256(token);
+  return store.sessions.find((s) => s.tokenHash === tokenHash) || null;
+}
+
+/** "ok" | "missing" | "revoked" | "deactivated" | "idle" | "expired" */
+function sessionStatus(store, session, now = Date.now()) {
+  if (!session) return "missing";
+  if (session.endReason === "deactivated") return "deactivated";
+  if (session.revokedAt) return "revoked";
+  if (store.users.find((u) => u.id === session.userId)?.deactivatedAt) return "deactivated";
+  const { sessionIdleMinutes, sessionMaxHours } = store.settings;
+  if (now - new Date(session.lastActivityAt).getTime() > sessionIdleMinutes * 60 * 1000) return "idle";
+  if (now - new Date(session.createdAt).getTime() > sessionMaxHours * 60 * 60 * 1000) return "expired";
+  return "ok";
+}
+
+async function startSession(store, userId) {
+  const token = newSessionToken();
+  const now = new Date();
+  const keepFrom = now.getTime() - SESSION_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  store.sessions = store.sessions.filter((s) => !s.revokedAt || new Date(s.revokedAt).getTime() > keepFrom);
+  const session = {
+    id: uid(),
+    userId,
+    tokenHash: await sha256(token),
+    createdAt: now.toISOString(),
+    lastActivityAt: now.toISOString(),
+    revokedAt: null,
+    endReason: null,
+  };
+  store.sessions.push(session);
+  appendAudit(store, { action: "session:login", entity: "user", entityId: userId, actorId: userId });
+  publish({ type: "session:start", userId });
+  return { token, session };
+}
+
+function touchSession(store, session, force = false) {
+  const now = Date.now();
+  if (!force && now - new Date(session.lastActivityAt).getTime() < SESSION_TOUCH_MS) return;
+  session.lastActivityAt = new Date(now).toISOString();
+  publish({ type: "session:touch" });
+}
+
+function endSession(store, session, reason) {
+  // s poslužiteljem sesiju završava on (POST /api/logout, istek provjerava pri svakom zahtjevu)
+  if (session.revokedAt || serverSessions()) return;
+  session.revokedAt = new Date().toISOString();
+  session.endReason = reason;
+  appendAudit(store, { action: `session:${reason}`, entity: "user", entityId: session.userId, actorId: session.userId });
+  publish({ type: "session:end", reason });
+}
+
+// Odjava sa svih uređaja / nakon reseta lozinke
+function revokeUserSessions(store, userId, reason) {
+  const active = store.sessions.filter((s) => s.userId === userId && !s.revokedAt);
+  active.forEach((s) => {
+    s.revokedAt = new Date().toISOString();
+    s.endReason = reason;
+  });
+  appendAudit(store, { action: `session:${reason}`, entity: "user", entityId: userId, after: { revoked: active.length } });
+  publish({ type: "session:revoke-all", userId });
+  return active.length;
+}
+
 /*****************
  * Seed podaci   *
  *****************/
 const seedIds = {
   admin: uid(),
+  c1: uid(),
   t1: uid(),
   t2: uid(),
   s1: uid(),
   s2: uid(),
+  math: uid(),
+  physics: uid(),
 };
+const seedSubjects = [
+  { id: seedIds.math, name: "Matematika", department: "Matematika" },
+  { id: seedIds.physics, name: "Fizika", department: "Fizika" },
+];
 const seedUsers = [
-  { id: seedIds.admin, role: "admin", name: "Admin", username: "admin", email: "admin@uni.hr", password: "admin123" },
-  { id: seedIds.t1, role: "tutor", name: "Ivana Tutor", username: "ivana", email: "ivana@uni.hr", password: "test123" },
-  { id: seedIds.t2, role: "tutor", name: "Marko Mentor", username: "marko", email: "marko@uni.hr", password: "test123" },
-  { id: seedIds.s1, role: "student", name: "Ana Student", username: "ana", email: "ana@uni.hr", password: "test123" },
-  { id: seedIds.s2, role: "student", name: "Petar Polaznik", username: "petar", email: "petar@uni.hr", password: "test123" },
+  { id: seedIds.admin, role: "admin", name: "Admin", username: "admin", email: "admin@uni.hr", password: "admin123", department: null },
+  { id: seedIds.c1, role: "coordinator", name: "Kata Koordinator", username: "kata", email: "kata@uni.hr", password: "test123", department: "Matematika" },
+  { id: seedIds.t1, role: "tutor", name: "Ivana Tutor", username: "ivana", email: "ivana@uni.hr", password: "test123", department: "Matematika" },
+  { id: seedIds.t2, role: "tutor", name: "Marko Mentor", username: "marko", email: "marko@uni.hr", password: "test123", department: "Fizika" },
+  { id: seedIds.s1, role: "student", name: "Ana Student", username: "ana", email: "ana@uni.hr", password: "test123", department: "Matematika" },
+  { id: seedIds.s2, role: "student", name: "Petar Polaznik", username: "petar", email: "petar@uni.hr", password: "test123", department: "Fizika" },
 ];
 
 /***********************
  * "Stalna baza" (LS)  *
  ***********************/
-const DB_KEY = "tss_db_v1";
-const SESS_KEY = "tss_session_uid";
+const DB_KEY = "tss_db_v1"; // ključ ostaje isti; verzija sheme je u samom objektu (schemaVersion)
+const DB_BACKUP_KEY = "tss_db_backup";
+const SESS_KEY = "tss_session_token";
+const LEGACY_SESS_KEY = "tss_session_uid"; // stari ključ (samo id korisnika) – briše se
+const SCHEMA_VERSION = 18;
+const DEFAULT_SETTINGS = {
+  archiveAfterDays: 14, // termini stariji od N dana sele se u arhivu (store.history)
+  sessionIdleMinutes: 30, // odjava nakon neaktivnosti
+  sessionMaxHours: 12, // najdulje trajanje sesije od prijave
+  registrationDomains: "uni.hr", // domene emaila dopuštene pri samostalnoj registraciji (odvojene zarezom)
+  cancelCutoffHours: 12, // otkazivanje manje od N sati prije termina je kasno
+  allowLateCancel: true, // kasno otkazivanje dopušteno (i zabilježeno) ili zabranjeno
+  waitlistHoldMinutes: 60, // koliko dugo je oslobođeni termin zadržan za studenta s liste čekanja
+  // pravila rezerviranja po studentu (0 = bez ograničenja); tutor/admin ih može promijeniti pojedinom studentu
+  bookingMaxPerWeek: 0, // najviše rezervacija u jednom tjednu
+  bookingMaxPerMonth: 0, // najviše rezervacija u jednom mjesecu
+  bookingMinLeadHours: 0, // rezervacija najkasnije N sati prije početka
+  bookingHorizonDays: 0, // rezervacija najviše N dana unaprijed
+};
 
-function createInitialDB() {
-  const tutors = seedUsers.filter((u) => u.role === "tutor");
-  const students = seedUsers.filter((u) => u.role === "student");
-  const assignments = {};
-  let i = 0;
-  for (const s of students) assignments[s.id] = tutors[i++ % tutors.length].id;
+async function createInitialDB() {
+  // tutor predaje predmet svog odjela; Ana ima instrukcije iz oba predmeta
+  const subjectOf = (dept) => seedSubjects.find((x) => x.department === dept)?.id;
+  const assignments = {
+    [seedIds.s1]: [
+      { subjectId: seedIds.math, tutorId: seedIds.t1 },
+      { subjectId: seedIds.physics, tutorId: seedIds.t2 },
+    ],
+    [seedIds.s2]: [{ subjectId: seedIds.physics, tutorId: seedIds.t2 }],
+  };
+  // demo računi moraju promijeniti lozinku pri prvoj prijavi
+  const users = await Promise.all(
+    seedUsers.map(async ({ password, ...u }) => ({
+      ...u,
+      ...(teaches(u.role) ? { subjects: u.role === "tutor" ? [subjectOf(u.department)] : [] } : {}),
+      passwordHash: await hashPassword(password),
+      mustChangePassword: true,
+    }))
+  );
 
   return {
-    users: seedUsers,
-    assignments, // studentId -> tutorId
-    // slot: {id, tutorId, when: ISO, reservedBy?: studentId, done:boolean, published:boolean}
+    schemaVersion: SCHEMA_VERSION,
+    users,
+    subjects: structuredClone(seedSubjects), // {id, name, department}; tutor.subjects = [subjectId...]
+    assignments, // studentId -> [{subjectId, tutorId}] (upisi: predmet i tutor)
+    // slot: {id, tutorId, when: ISO, durationMin, reservedBy?: studentId, done:boolean, published:boolean,
+    //   pending:boolean (rezervacija čeka potvrdu tutora), requestMessage?,
+    //   capacity?: broj mjesta (>1 = grupni termin), attendees?: [studentId] (polaznici grupnog termina)}
     slots: [],
+    history: [], // arhivirani termini: slot + {archivedAt}
     announcements: [], // {id, tutorId, title, body, createdAt, recipients:[], readBy:[]}
     notifications: {}, // userId -> []
     emailLog: [],
-    lastWeeklyResetAt: null,
+    settings: { ...DEFAULT_SETTINGS },
+    lastArchiveAt: null,
+    auditLog: [], // {id, at, actorId, action, entity, entityId, before, after, note?} – samo dodavanje
+    sessions: [], // {id, userId, tokenHash, createdAt, lastActivityAt, revokedAt, endReason}
     hiddenAnnouncements: {}, // userId -> [announcementId...]
+    // samostalne registracije: {id, name, username, email, department, passwordHash, createdAt,
+    //   status: "pending"|"approved"|"rejected", reason?, decidedAt?, decidedBy?}
+    registrations: [],
+    // tjedni raspored dostupnosti: tutorId -> {entries: [{id, weekday (0=pon), time "HH:MM", durationMin}],
+    //   from?: "YYYY-MM-DD", until?: "YYYY-MM-DD", skipDates: ["YYYY-MM-DD"...]}
+    availability: {},
+    // otkazivanja rezervacija: {id, slotId, studentId, tutorId, when, durationMin, cancelledAt, late}
+    cancellations: [],
+    // lista čekanja: {id, studentId, tutorId, date: "YYYY-MM-DD", slotId?, createdAt,
+    //   status: "waiting"|"offered"|"fulfilled"|"expired"|"left", offeredSlotId?, holdUntil?}
+    // termin ponuđen s liste ima heldFor (studentId) i holdUntil
+    waitlist: [],
+    // premještanje rezervacije: {id, slotId, studentId, tutorId, proposedBy, options: [slotId...], message,
+    //   createdAt, status: "pending"|"accepted"|"declined"|"withdrawn"|"expired", chosenSlotId?, decidedAt?}
+    reschedules: [],
+    // zatvoreni dani: {id, from, until ("YYYY-MM-DD", uključivo), reason, tutorId (null = cijeli centar,
+    //   inače odsutnost tutora), holiday (generirani državni praznik), createdAt, createdBy}
+    closures: [],
+  };
+}
+
+/**
+ * Migracije sheme, poredane po verziji. Svaki korak prima bazu u verziji `to - 1`
+ * i vraća je (ili Promise s njom) u verziji `to`. Snimke bez `schemaVersion` smatraju se verzijom 0.
+ */
+const MIGRATIONS = [
+  {
+    to: 1,
+    up(db) {
+      db.hiddenAnnouncements = db.hiddenAnnouncements || {};
+      db.emailLog = db.emailLog || [];
+      db.notifications = db.notifications || {};
+      db.announcements = db.announcements || [];
+      db.assignments = db.assignments || {};
+      db.lastWeeklyResetAt = db.lastWeeklyResetAt ?? null;
+      db.slots = (db.slots || []).map((s) => ({ published: false, done: false, reservedBy: null, ...s }));
+      db.users = (db.users || []).map((u) => ({ username: "", password: "", ...u }));
+      return db;
+    },
+  },
+  {
+    // tjedni reset (brisanje) zamijenjen arhivom
+    to: 2,
+    up(db) {
+      db.history = db.history || [];
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      db.lastArchiveAt = db.lastWeeklyResetAt ?? null;
+      delete db.lastWeeklyResetAt;
+      return db;
+    },
+  },
+  {
+    to: 3,
+    up(db) {
+      db.auditLog = db.auditLog || [];
+      return db;
+    },
+  },
+  {
+    // lozinke u čistom tekstu -> PBKDF2; prazna lozinka znači da se račun ne može prijaviti
+    to: 4,
+    async up(db) {
+      db.users = await Promise.all(
+        db.users.map(async ({ password, ...u }) => ({
+          ...u,
+          passwordHash: u.passwordHash ?? (password ? await hashPassword(password) : null),
+        }))
+      );
+      return db;
+    },
+  },
+  {
+    // demo računi koji još imaju demo lozinku moraju je promijeniti
+    to: 5,
+    async up(db) {
+      const demo = Object.fromEntries(seedUsers.map((u) => [u.username, u.password]));
+      db.users = await Promise.all(
+        db.users.map(async (u) => {
+          if (u.mustChangePassword != null) return u;
+          const seedPw = demo[u.username];
+          const stillDemo = !!seedPw && (await verifyPassword(seedPw, u.passwordHash));
+          return { ...u, mustChangePassword: stillDemo };
+        })
+      );
+      return db;
+    },
+  },
+  {
+    to: 6,
+    up(db) {
+      db.sessions = db.sessions || [];
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      return db;
+    },
+  },
+  {
+    // odjel (katedra) korisnika – koordinator uređuje samo svoj odjel
+    to: 7,
+    up(db) {
+      db.users = db.users.map((u) => ({ department: null, ...u }));
+      return db;
+    },
+  },
+  {
+    // deaktivirani računi ostaju u bazi, ali se ne mogu prijaviti
+    to: 8,
+    up(db) {
+      db.users = db.users.map((u) => ({ deactivatedAt: null, ...u }));
+      return db;
+    },
+  },
+  {
+    to: 9,
+    up(db) {
+      db.registrations = db.registrations || [];
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      return db;
+    },
+  },
+  {
+    // svaki termin nosi svoje trajanje (do sada fiksnih 50 min)
+    to: 10,
+    up(db) {
+      const withDuration = (s) => ({ durationMin: DEFAULT_SLOT_MINUTES, ...s });
+      db.slots = db.slots.map(withDuration);
+      db.history = db.history.map(withDuration);
+      return db;
+    },
+  },
+  {
+    to: 11,
+    up(db) {
+      db.availability = db.availability || {};
+      return db;
+    },
+  },
+  {
+    to: 12,
+    up(db) {
+      db.cancellations = db.cancellations || [];
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      return db;
+    },
+  },
+  {
+    to: 13,
+    up(db) {
+      db.waitlist = db.waitlist || [];
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      return db;
+    },
+  },
+  {
+    // tutor može tražiti da svaku rezervaciju potvrdi (user.requireApproval)
+    to: 14,
+    up(db) {
+      db.users = db.users.map((u) => (u.role === "tutor" || u.role === "admin" ? { requireApproval: false, ...u } : u));
+      db.slots = db.slots.map((s) => ({ pending: false, ...s }));
+      return db;
+    },
+  },
+  {
+    // student.bookingRules: iznimke od općih pravila rezerviranja (null = opća pravila)
+    to: 15,
+    up(db) {
+      db.users = db.users.map((u) => (u.role === "student" ? { bookingRules: null, ...u } : u));
+      db.settings = { ...DEFAULT_SETTINGS, ...db.settings };
+      return db;
+    },
+  },
+  {
+    to: 16,
+    up(db) {
+      db.reschedules = db.reschedules || [];
+      return db;
+    },
+  },
+  {
+    to: 17,
+    up(db) {
+      db.closures = db.closures || [];
+      return db;
+    },
+  },
+  {
+    // predmeti: studentId -> tutorId postaje lista upisa [{subjectId, tutorId}]; svaki tutor dobiva
+    // predmet prema svom odjelu (bez odjela "Opće instrukcije") i postojeći studenti upis na njega
+    to: 18,
+    up(db) {
+      db.subjects = db.subjects || [];
+      const subjectFor = (tutor) => {
+        const name = tutor?.department || "Opće instrukcije";
+        let subject = db.subjects.find((x) => x.name === name);
+        if (!subject) db.subjects.push((subject = { id: uid(), name, department: tutor?.department || null }));
+        return subject.id;
+      };
+      const byId = Object.fromEntries(db.users.map((u) => [u.id, u]));
+      const linked = new Set(Object.values(db.assignments).filter((v) => !Array.isArray(v)));
+      db.assignments = Object.fromEntries(
+        Object.entries(db.assignments).map(([sid, v]) =>
+          Array.isArray(v) ? [sid, v] : [sid, [{ subjectId: subjectFor(byId[v]), tutorId: v }]]
+        )
+      );
+      db.users = db.users.map((u) =>
+        teaches(u.role) && !u.subjects
+          ? { ...u, subjects: u.role === "tutor" || linked.has(u.id) ? [subjectFor(u)] : [] }
+          : u
+      );
+      return db;
+    },
+  },
+];
+
+async function migrateDB(db) {
+  let version = db.schemaVersion ?? 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Baza je novije verzije (${version}) od podržane (${SCHEMA_VERSION}).`);
+  }
+  for (const step of MIGRATIONS) {
+    if (step.to <= version) continue;
+    try {
+      db = await step.up(db);
+    } catch (e) {
+      throw new Error(`Migracija na verziju ${step.to} nije uspjela: ${e.message}`);
+    }
+    db.schemaVersion = version = step.to;
+  }
+  return db;
+}
+
+/** Baca grešku s opisom ako baza nema očekivani oblik trenutne sheme. */
+function validateDB(db) {
+  const isObj = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+  const problems = [];
+  if (!isObj(db)) throw new Error("Baza nije objekt.");
+  if (db.schemaVersion !== SCHEMA_VERSION) problems.push(`schemaVersion ${db.schemaVersion}`);
+  ["users", "slots", "history", "announcements", "emailLog", "auditLog", "sessions", "registrations", "cancellations", "waitlist", "reschedules", "closures", "subjects"].forEach((k) => {
+    if (!Array.isArray(db[k])) problems.push(`${k} nije lista`);
+  });
+  ["assignments", "notifications", "hiddenAnnouncements", "settings", "availability"].forEach((k) => {
+    if (!isObj(db[k])) problems.push(`${k} nije objekt`);
+  });
+  if (Array.isArray(db.users) && db.users.some((u) => !u?.id || !u.role)) problems.push("korisnik bez id/uloge");
+  if (Array.isArray(db.users) && db.users.some((u) => "password" in u)) problems.push("lozinka u čistom tekstu");
+  if (
+    Array.isArray(db.slots) &&
+    db.slots.some(
+      (s) =>
+        !s?.id ||
+        !s.tutorId ||
+        isNaN(new Date(s.when)) ||
+        !(s.durationMin > 0) ||
+        (s.capacity != null && !(Number.isInteger(s.capacity) && s.capacity >= 1)) ||
+        (s.capacity > 1 && !Array.isArray(s.attendees))
+    )
+  ) {
+    problems.push("neispravan termin");
+  }
+  if (problems.length) throw new Error("Neispravna baza: " + problems.join(", ") + ".");
+  return db;
+}
+
+// Posljednja greška pri učitavanju (prikazuje se u aplikaciji umjesto tihog resetiranja)
+let dbLoadError = null;
+// Zadani poslužitelj nije bio dostupan pa se radi na lokalnoj kopiji (izmjene ne idu na poslužitelj)
+let serverUnreachable = null;
+
+/***********************
+ * Storage adapteri     *
+ ***********************/
+/**
+ * Adapter: { name, open(), load(), write(db, changed, removed, merge), transact(key, fn), backup(raw, reason) }
+ * - load() vraća sirovu snimku: JSON string (localStorage) ili već parsiran objekt (IndexedDB), ili null
+ * - write() dobiva popis promijenjenih/uklonjenih kolekcija (diff radi saveDB); u istom koraku čita
+ *   spremljenu vrijednost svake, zapisuje merge(key, spremljeno) i vraća {kolekcija: zapisano}
+ * - transact() atomarno čita spremljenu kolekciju, poziva fn(value) i zapisuje je ako fn vrati {ok:true}
+ */
+function createLocalStorageAdapter() {
+  const read = () => JSON.parse(localStorage.getItem(DB_KEY) || "{}");
+  return {
+    name: "localStorage",
+    async open() {},
+    async load() {
+      return localStorage.getItem(DB_KEY);
+    },
+    // localStorage nema kolekcije – čita se i zapisuje cijela baza u istom sinkronom koraku
+    async write(db, changed, removed, merge) {
+      const data = read();
+      const written = Object.fromEntries(changed.map((k) => [k, merge(k, data[k])]));
+      removed.forEach((k) => delete data[k]);
+      localStorage.setItem(DB_KEY, JSON.stringify({ ...data, ...written }));
+      return written;
+    },
+    // čitanje i zapis u istom sinkronom koraku; druga kartica ne može upasti između
+    async transact(key, fn) {
+      const data = read();
+      const value = data[key];
+      const result = fn(value);
+      if (result?.ok) localStorage.setItem(DB_KEY, JSON.stringify({ ...data, [key]: value }));
+      return { result, value };
+    },
+    async backup(raw, reason) {
+      const data = typeof raw === "string" ? raw : JSON.stringify(raw);
+      localStorage.setItem(DB_BACKUP_KEY, JSON.stringify({ at: new Date().toISOString(), reason, raw: data }));
+      return `localStorage:${DB_BACKUP_KEY}`;
+    },
+  };
+}
+
+const IDB_NAME = "tss_db";
+const IDB_COLLECTIONS = "collections"; // jedan zapis po kolekciji: key = "users", "slots", ...
+const IDB_BACKUPS = "backups";
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transakcija je prekinuta."));
+  });
+}
+
+/**
+ * IndexedDB adapter: svaka kolekcija je zaseban zapis pa se zapisuju samo promijenjene.
+ * Pri prvom pokretanju preuzima postojeće podatke iz localStorage (DB_KEY) i briše ih
+ * tek nakon uspješnog zapisa.
+ */
+function createIndexedDBAdapter() {
+  let conn = null;
+  let legacyPending = false;
+
+  return {
+    name: "IndexedDB",
+    get needsFullWrite() {
+      return legacyPending;
+    },
+    async open() {
+      if (conn) return conn;
+      const req = indexedDB.open(IDB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(IDB_COLLECTIONS);
+        req.result.createObjectStore(IDB_BACKUPS, { autoIncrement: true });
+      };
+      conn = await idbRequest(req);
+      return conn;
+    },
+    async load() {
+      const db = await this.open();
+      const tx = db.transaction(IDB_COLLECTIONS, "readonly");
+      const os = tx.objectStore(IDB_COLLECTIONS);
+      const [keys, values] = await Promise.all([idbRequest(os.getAllKeys()), idbRequest(os.getAll())]);
+      if (keys.length === 0) {
+        const legacy = localStorage.getItem(DB_KEY);
+        legacyPending = !!legacy;
+        return legacy;
+      }
+      return Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+    },
+    async write(data, changed, removed, merge) {
+      const db = await this.open();
+      const tx = db.transaction(IDB_COLLECTIONS, "readwrite");
+      const os = tx.objectStore(IDB_COLLECTIONS);
+      const keys = legacyPending ? Object.keys(data) : changed;
+      const stored = await Promise.all(keys.map((k) => idbRequest(os.get(k))));
+      const written = Object.fromEntries(keys.map((k, i) => [k, merge(k, stored[i])]));
+      Object.entries(written).forEach(([k, v]) => os.put(v, k));
+      removed.forEach((k) => os.delete(k));
+      await idbDone(tx);
+      if (legacyPending) {
+        localStorage.removeItem(DB_KEY);
+        legacyPending = false;
+      }
+      return written;
+    },
+    async transact(key, fn) {
+      const db = await this.open();
+      const tx = db.transaction(IDB_COLLECTIONS, "readwrite");
+      const os = tx.objectStore(IDB_COLLECTIONS);
+      const value = await idbRequest(os.get(key));
+      const result = fn(value);
+      if (result?.ok) os.put(value, key);
+      await idbDone(tx);
+      return { result, value };
+    },
+    async backup(raw, reason) {
+      const db = await this.open();
+      const tx = db.transaction(IDB_BACKUPS, "readwrite");
+      const key = await idbRequest(tx.objectStore(IDB_BACKUPS).add({ at: new Date().toISOString(), reason, raw }));
+      await idbDone(tx);
+      return `IndexedDB:${IDB_NAME}/${IDB_BACKUPS}#${key}`;
+    },
+  };
+}
+
+/**
+ * HTTP adapter za opcionalni lokalni poslužitelj (server/index.js). Kolekcije se šalju
+ * jednim atomarnim PATCH /api/db, transact() koristi ETag/If-Match (optimistično
+ * zaključavanje uz ponavljanje), a promjene drugih klijenata stižu preko SSE-a (/api/events).
+ * Prijavu, lozinke i registraciju provjerava poslužitelj; svaki zahtjev nosi token sesije,
+ * a podaci stižu prema ulozi (bez hasheva lozinki i tokena).
+ */
+function createHttpAdapter(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, "") + "/api";
+  const auth = () => {
+    const token = localStorage.getItem(SESS_KEY);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+  // 404 = kolekcija još ne postoji; svaka druga greška (istekla prijava, poslužitelj) se baca,
+  // da se nedostupno stanje ne protumači kao prazno
+  const readStored = async (res) => {
+    if (res.ok) return res.json();
+    if (res.status === 404) return undefined;
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `Poslužitelj je vratio ${res.status}.`);
+  };
+  const request = async (method, path, body, headers = {}) => {
+    const res = await fetch(root + path, {
+      method,
+      headers: { "Content-Type": "application/json", "X-TSS-Client": TAB_ID, ...auth(), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!res.ok && res.status !== 412) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.error || `Poslužitelj je vratio ${res.status}.`);
+    }
+    return res;
+  };
+
+  return {
+    name: `poslužitelj ${baseUrl}`,
+    sessionId: null, // sesija kojoj pripada token (zaglavlje X-TSS-Session)
+    async open() {
+      await request("GET", "/health");
+    },
+    async load() {
+      const res = await request("GET", "/db");
+      this.sessionId = res.headers.get("X-TSS-Session") || null;
+      const data = await res.json();
+      return Object.keys(data).length ? data : null;
+    },
+    // spremljene kolekcije se spoje s lokalnima i zapišu uz If-Match po kolekciji (412 → ponovno)
+    async write(db, changed, removed, merge) {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const current = await Promise.all(changed.map((k) => fetch(`${root}/${k}`, { headers: auth() })));
+        const stored = await Promise.all(current.map(readStored));
+        const set = Object.fromEntries(changed.map((k, i) => [k, merge(k, stored[i])]));
+        const ifMatch = Object.fromEntries(changed.map((k, i) => [k, current[i].headers.get("ETag") || '"0"']));
+        const res = await request("PATCH", "/db", { set, remove: removed, ifMatch });
+        // poslužitelj vraća ono što je stvarno spremio (npr. bez tuđih izmjena koje nije prihvatio)
+        if (res.status !== 412) return (await res.json()).saved || set;
+      }
+      throw new Error("Podatke je istodobno mijenjao netko drugi. Pokušajte ponovno.");
+    },
+    async transact(key, fn) {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const res = await fetch(`${root}/${key}`, { headers: auth() });
+        const value = await readStored(res);
+        const result = fn(value);
+        if (!result?.ok) return { result, value };
+        const put = await request("PUT", `/${key}`, value, { "If-Match": res.headers.get("ETag") || '"0"' });
+        if (put.status !== 412) return { result, value };
+      }
+      throw new Error("Podatke je istodobno mijenjao netko drugi. Pokušajte ponovno.");
+    },
+    async backup(raw, reason) {
+      const { file } = await (await request("POST", "/backups", { at: new Date().toISOString(), reason, raw })).json();
+      return `poslužitelj:${file}`;
+    },
+    /** → {token, sessionId, userId}; pogrešni podaci bacaju grešku s porukom poslužitelja */
+    async login(identifier, password) {
+      return (await request("POST", "/login", { identifier, password })).json();
+    },
+    async logout(all = false) {
+      await request("POST", "/logout", { all });
+    },
+    // lozinka ide u čistom tekstu (samo preko HTTPS-a izvan lokalne mreže) – hash i provjeru radi poslužitelj
+    async changePassword(current, password) {
+      await request("POST", "/password", { current, password });
+    },
+    async register(reg) {
+      await request("POST", "/registrations", reg);
+    },
+    subscribe(onMessage) {
+      // EventSource ne šalje zaglavlja, pa token ide u adresu
+      const { Authorization } = auth();
+      const es = new EventSource(`${root}/events${Authorization ? `?token=${encodeURIComponent(Authorization.slice(7))}` : ""}`);
+      es.onmessage = (e) => onMessage(JSON.parse(e.data));
+      return () => es.close();
+    },
   };
 }
 
-function loadDB() {
+// Adresa opcionalnog poslužitelja (npr. http://192.168.1.10:8787); bez nje podaci ostaju u pregledniku
+const API_URL = import.meta.env?.VITE_TSS_API_URL || "";
+// s poslužiteljem prijavu i sesije vodi on, a ne preglednik
+const serverSessions = () => !!storage?.login;
+
+let storage = null;
+// kolekcija -> JSON zadnjeg spremljenog (ili iz druge kartice primljenog) stanja
+const lastSaved = new Map();
+
+// Poslužitelj ako je zadan, inače IndexedDB ako ga preglednik podržava i dopušta
+// (npr. ne u nekim privatnim načinima), inače localStorage
+async function openStorage() {
+  if (API_URL) {
+    const remote = createHttpAdapter(API_URL);
+    try {
+      await remote.open();
+      return remote;
+    } catch (e) {
+      console.warn("Poslužitelj nije dostupan, koriste se lokalni podaci:", e);
+      serverUnreachable = { url: API_URL, message: e.message };
+    }
+  }
+  if (typeof indexedDB !== "undefined") {
+    const idb = createIndexedDBAdapter();
+    try {
+      await idb.open();
+      return idb;
+    } catch (e) {
+      console.warn("IndexedDB nije dostupan, koristi se localStorage:", e);
+    }
+  }
+  return createLocalStorageAdapter();
+}
+
+async function loadDB() {
+  storage = await openStorage();
+  let raw = null;
   try {
-    const raw = localStorage.getItem(DB_KEY);
-    if (!raw) return createInitialDB();
-    const db = JSON.parse(raw);
-    db.hiddenAnnouncements = db.hiddenAnnouncements || {};
-    db.emailLog = db.emailLog || [];
-    db.notifications = db.notifications || {};
-    db.announcements = db.announcements || [];
-    db.slots = (db.slots || []).map((s) => ({ published: false, done: false, reservedBy: null, ...s }));
-    db.users = (db.users || []).map((u) => ({ username: "", password: "", ...u }));
+    raw = await storage.load();
+    if (raw == null) return await createInitialDB();
+    const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+    const fromVersion = parsed?.schemaVersion ?? 0;
+    Object.entries(parsed).forEach(([k, v]) => lastSaved.set(k, JSON.stringify(v)));
+    // migracije rade nad kopijom – original ostaje netaknut za backup
+    const db = validateDB(await migrateDB(structuredClone(parsed)));
+    if (fromVersion !== db.schemaVersion || storage.needsFullWrite) await saveDB(db);
     return db;
-  } catch {
-    return createInitialDB();
+  } catch (e) {
+    lastSaved.clear();
+    const backupKey = raw != null ? await storage.backup(raw, e.message).catch(() => null) : null;
+    dbLoadError = { message: e.message, backupKey };
+    console.error("Učitavanje baze nije uspjelo:", e);
+    return await createInitialDB();
   }
 }
-function saveDB(db) {
+
+// Stanje spremanja – greška se prikazuje u aplikaciji dok sljedeće spremanje ne uspije
+let saveError = null;
+const saveStatusSubscribers = new Set();
+function setSaveError(err) {
+  if (err === saveError) return;
+  saveError = err;
+  saveStatusSubscribers.forEach((fn) => fn(err));
+}
+
+const savedValue = (key) => (lastSaved.has(key) ? JSON.parse(lastSaved.get(key)) : undefined);
+
+async function saveDB(db) {
+  const snapshot = Object.keys(db).map((k) => [k, JSON.stringify(db[k])]);
+  const changed = snapshot.filter(([k, json]) => lastSaved.get(k) !== json);
+  const removed = [...lastSaved.keys()].filter((k) => !(k in db));
+  if (changed.length === 0 && removed.length === 0 && !storage.needsFullWrite) return;
+  // lokalne izmjene (razlika od zadnjeg spremljenog) spajaju se s onim što je u međuvremenu
+  // spremila druga kartica ili klijent, umjesto da ga prepišu
+  const sent = Object.fromEntries(changed.map(([k, json]) => [k, JSON.parse(json)]));
+  const merge = (k, stored) => {
+    const mine = k in sent ? sent[k] : db[k];
+    return stored === undefined ? mine : mergeValue(savedValue(k), mine, stored);
+  };
   try {
-    localStorage.setItem(DB_KEY, JSON.stringify(db));
-  } catch {/* ignore */}
+    const written = await storage.write(
+      db,
+      changed.map(([k]) => k),
+      removed,
+      merge
+    );
+    let merged = false;
+    changed.forEach(([k, json]) => {
+      const value = written[k];
+      const savedJson = JSON.stringify(value);
+      if (savedJson !== json) {
+        // zapisano sadrži tuđe izmjene; zadrži i lokalne nastale dok je zapis trajao
+        db[k] = mergeValue(sent[k], db[k], value);
+        merged = true;
+      }
+      lastSaved.set(k, savedJson);
+    });
+    removed.forEach((k) => lastSaved.delete(k));
+    broadcastChanges(Object.fromEntries(changed.map(([k]) => [k, written[k]])), removed);
+    setSaveError(null);
+    if (merged) publish({ type: "sync:merge", keys: Object.keys(written), remote: true });
+  } catch (e) {
+    console.error("Spremanje baze nije uspjelo:", e);
+    const quota = e?.name === "QuotaExceededError";
+    setSaveError({
+      message: quota ? "nema više mjesta u pohrani preglednika" : e?.message || String(e),
+      at: new Date().toISOString(),
+    });
+  }
 }
 let saveTimer = null;
+let pendingSave = null;
 function scheduleSave(db) {
   clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => saveDB(db), 200);
+  pendingSave = db;
+  saveTimer = setTimeout(flushSave, 200);
+}
+function flushSave() {
+  clearTimeout(saveTimer);
+  if (!pendingSave) return Promise.resolve();
+  const db = pendingSave;
+  pendingSave = null;
+  return saveDB(db);
+}
+
+/***********************
+ * Sinkronizacija kartica *
+ ***********************/
+// Nakon svakog spremanja ostale kartice dobiju promijenjene kolekcije i preuzmu ih u svoj store.
+// Spajanje je po zapisu (mergeValue), pa nespremljene lokalne izmjene ostaju; rezervacije dodatno štiti casSlot().
+const TAB_ID = uid();
+const SYNC_CHANNEL = "tss_sync";
+const syncChannel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(SYNC_CHANNEL) : null;
+
+function broadcastChanges(changes, removed = []) {
+  if (Object.keys(changes).length === 0 && removed.length === 0) return;
+  if (storage?.subscribe) return; // poslužitelj već javlja promjene svima
+  const msg = { from: TAB_ID, changes, removed };
+  if (syncChannel) {
+    syncChannel.postMessage(msg);
+  } else {
+    // rezerva bez BroadcastChannel: "storage" događaj u ostalim karticama
+    try {
+      localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ ...msg, at: Date.now() }));
+    } catch {/* poruka je samo obavijest; podaci su već spremljeni */}
+  }
+}
+
+function subscribeRemoteChanges(onMessage) {
+  const handle = (msg) => msg && msg.from !== TAB_ID && onMessage(msg);
+  // poslužitelj sam javlja promjene svih klijenata (i ostalih kartica)
+  if (storage?.subscribe) return storage.subscribe(handle);
+  if (syncChannel) {
+    const fn = (e) => handle(e.data);
+    syncChannel.addEventListener("message", fn);
+    return () => syncChannel.removeEventListener("message", fn);
+  }
+  const fn = (e) => {
+    if (e.key === SYNC_CHANNEL && e.newValue) handle(JSON.parse(e.newValue));
+  };
+  window.addEventListener("storage", fn);
+  return () => window.removeEventListener("storage", fn);
+}
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+const isRecordList = (x) => Array.isArray(x) && x.every((r) => isPlainObject(r) && r.id != null);
+
+/**
+ * Trosmjerno spajanje: `base` je zadnje zajedničko (spremljeno) stanje, `mine` lokalno, a `theirs`
+ * ono što je u međuvremenu spremio netko drugi. Liste zapisa spajaju se po id-u, objekti po ključu,
+ * pa istodobne izmjene različitih zapisa ne brišu jedna drugu. Kad obje strane promijene isto
+ * polje, pobjeđuje lokalna izmjena; zapis koji je netko drugi izmijenio ne briše se lokalnim brisanjem.
+ */
+function mergeValue(base, mine, theirs) {
+  if (sameJSON(theirs, base) || sameJSON(mine, theirs)) return mine;
+  if (sameJSON(mine, base)) return theirs;
+  if (isRecordList(mine) && isRecordList(theirs)) {
+    const baseById = new Map((isRecordList(base) ? base : []).map((r) => [r.id, r]));
+    const mineById = new Map(mine.map((r) => [r.id, r]));
+    const theirIds = new Set(theirs.map((r) => r.id));
+    const out = [];
+    theirs.forEach((r) => {
+      if (mineById.has(r.id)) out.push(mergeValue(baseById.get(r.id), mineById.get(r.id), r));
+      else if (!baseById.has(r.id) || !sameJSON(r, baseById.get(r.id))) out.push(r);
+    });
+    // lokalno dodani zapisi na svoje mjesto (unshift ostaje na početku, push na kraju)
+    mine.forEach((r, i) => {
+      if (!theirIds.has(r.id) && !baseById.has(r.id)) out.splice(Math.min(i, out.length), 0, r);
+    });
+    return out;
+  }
+  if (isPlainObject(mine) && isPlainObject(theirs)) {
+    const b = isPlainObject(base) ? base : {};
+    const out = {};
+    new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach((k) => {
+      if (k in mine && k in theirs) out[k] = mergeValue(b[k], mine[k], theirs[k]);
+      else if (k in theirs) {
+        if (!(k in b) || !sameJSON(theirs[k], b[k])) out[k] = theirs[k];
+      } else if (!(k in b)) out[k] = mine[k];
+    });
+    return out;
+  }
+  return mine;
+}
+
+// Preuzmi spremljeno stanje kolekcije uz zadržavanje lokalnih nespremljenih izmjena
+function adoptStored(store, key, value) {
+  store[key] = key in store ? mergeValue(savedValue(key), store[key], value) : value;
+  lastSaved.set(key, JSON.stringify(value));
+}
+
+function applyRemoteChanges(store, { changes, removed = [] }) {
+  const keys = Object.keys(changes);
+  keys.forEach((k) => adoptStored(store, k, changes[k]));
+  removed.forEach((k) => {
+    delete store[k];
+    lastSaved.delete(k);
+  });
+  publish({ type: "sync:remote", keys, remote: true });
+}
+
+// Transakcija nad terminima nije uspjela (pun spremnik, prekinuta transakcija, mreža) – vraća se
+// kao neuspjeh s razlogom "error", kao i ostali razlozi, umjesto da ruši pozivatelja
+function slotStorageFailure(e) {
+  console.error("Spremanje termina nije uspjelo:", e);
+  return { result: { ok: false, reason: "error", error: `Spremanje nije uspjelo (${e.message}). Pokušajte ponovno.` } };
+}
+
+/**
+ * Compare-and-set nad spremljenim terminom: `check(slot, slots)` vraća razlog odbijanja ili null,
+ * a `patch` se primjenjuje samo ako provjera prođe na trenutno SPREMLJENOM stanju
+ * (koje je možda promijenila druga kartica); `slots` su svi spremljeni termini.
+ * Lokalni termin se usklađuje s rezultatom. Greška spremišta vraća se kao razlog "error".
+ */
+async function casSlot(store, slotId, check, patch, action = "slot:update") {
+  await saveDB(store);
+  const { result, value: slots } = await storage.transact("slots", (slots) => {
+    const cur = (slots || []).find((s) => s.id === slotId);
+    if (!cur) return { ok: false, reason: "missing" };
+    const reason = check(cur, slots);
+    if (reason) return { ok: false, reason, current: { ...cur } };
+    const changes = typeof patch === "function" ? patch(cur) : patch;
+    const before = Object.fromEntries(Object.keys(changes).map((k) => [k, cur[k] ?? null]));
+    Object.assign(cur, changes);
+    return { ok: true, current: { ...cur }, before, changes };
+  }).catch(slotStorageFailure);
+
+  const local = store.slots.find((s) => s.id === slotId);
+  if (result.current && local) Object.assign(local, result.current);
+  if (result.reason === "missing") store.slots = store.slots.filter((s) => s.id !== slotId);
+  // ostali termini iz spremljenog stanja (druga kartica ih je možda promijenila)
+  if (slots) adoptStored(store, "slots", slots);
+  if (result.ok) {
+    broadcastChanges({ slots });
+    appendAudit(store, { action, entity: "slot", entityId: slotId, before: result.before, after: result.changes });
+  }
+  return result;
+}
+
+/**
+ * Premješta rezervaciju studenta s termina fromId na toId u jednoj transakciji nad
+ * spremljenim stanjem: promijene se oba termina ili nijedan.
+ */
+async function moveReservation(store, fromId, toId, studentId) {
+  await saveDB(store);
+  const { result, value: slots } = await storage.transact("slots", (slots) => {
+    const from = (slots || []).find((s) => s.id === fromId);
+    const to = (slots || []).find((s) => s.id === toId);
+    if (!from || !to) return { ok: false, reason: "missing" };
+    const copies = { from: { ...from }, to: { ...to } };
+    if (from.reservedBy !== studentId) return { ok: false, reason: "not-reserved", ...copies };
+    if (to.reservedBy || isHeldForOther(to, studentId)) return { ok: false, reason: "taken", ...copies };
+    Object.assign(to, { reservedBy: studentId, pending: false, heldFor: null, holdUntil: null });
+    Object.assign(from, { reservedBy: null, pending: false, requestMessage: null });
+    return { ok: true, from: { ...from }, to: { ...to } };
+  }).catch(slotStorageFailure);
+
+  [result.from, result.to].filter(Boolean).forEach((cur) => {
+    const local = store.slots.find((s) => s.id === cur.id);
+    if (local) Object.assign(local, cur);
+  });
+  if (slots) adoptStored(store, "slots", slots);
+  if (result.ok) {
+    broadcastChanges({ slots });
+    appendAudit(store, { action: "slot:move-out", entity: "slot", entityId: fromId, before: { reservedBy: studentId }, after: { reservedBy: null } });
+    appendAudit(store, { action: "slot:move-in", entity: "slot", entityId: toId, before: { reservedBy: null }, after: { reservedBy: studentId } });
+  }
+  return result;
+}
+
+/***********************
+ * Sigurnosna kopija    *
+ ***********************/
+const BACKUP_FORMAT = "tss-backup";
+const BACKUP_COLLECTIONS = [
+  ["users", "korisnika"],
+  ["subjects", "predmeta"],
+  ["assignments", "upisa"],
+  ["slots", "termina"],
+  ["history", "arhiviranih termina"],
+  ["announcements", "objava"],
+  ["notifications", "obavijesti"],
+  ["emailLog", "emailova"],
+  ["auditLog", "zapisa revizije"],
+  ["registrations", "zahtjeva za registraciju"],
+  ["availability", "rasporeda dostupnosti"],
+  ["cancellations", "otkazivanja"],
+  ["waitlist", "upisa na listu čekanja"],
+  ["reschedules", "zahtjeva za premještanje"],
+  ["closures", "zatvorenih dana i odsutnosti"],
+];
+
+function createBackup(store) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: store.schemaVersion,
+    exportedAt: new Date().toISOString(),
+    data: { ...structuredClone(store), sessions: [] }, // sesije ne idu u kopiju
+  };
+}
+
+function downloadJSON(filename, obj) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // preuzimanje počinje asinkrono – URL se oslobađa tek kad ga preglednik pročita
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+/** Parsira i validira datoteku kopije; starije verzije prolaze kroz iste migracije kao i baza. */
+async function parseBackup(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("Datoteka nije ispravan JSON.");
+  }
+  if (file?.format !== BACKUP_FORMAT || !file.data || typeof file.data !== "object") {
+    throw new Error("Datoteka nije sigurnosna kopija ove aplikacije.");
+  }
+  const data = structuredClone(file.data);
+  data.schemaVersion = file.schemaVersion ?? data.schemaVersion ?? 0;
+  return { exportedAt: file.exportedAt || null, data: validateDB(await migrateDB(data)) };
+}
+
+function countCollection(db, key) {
+  const v = db[key];
+  if (Array.isArray(v)) return v.length;
+  if (key === "notifications") return Object.values(v || {}).reduce((n, list) => n + list.length, 0);
+  return Object.keys(v || {}).length;
+}
+
+function mergeById(current, incoming) {
+  const ids = new Set(current.map((x) => x.id));
+  const added = incoming.filter((x) => !ids.has(x.id));
+  return [...current, ...added];
+}
+
+/**
+ * Id-ovi korisnika u zapisima kopije prevode se prema `remap` (stari id -> novi id ili null).
+ * Zapis čiji je vlasnik (tutor/student) ispao se ispušta; rezervacija, polaznik ili
+ * zadržavanje ispalog studenta se uklanja, a termin ostaje.
+ */
+function remapBackupUsers(data, remap) {
+  if (remap.size === 0) return data;
+  const map = (id) => (remap.has(id) ? remap.get(id) : id);
+  const mapKeys = (obj) =>
+    Object.fromEntries(Object.entries(obj).flatMap(([k, v]) => (map(k) ? [[map(k), v]] : [])));
+  const owned = (...keys) => (x) => keys.every((k) => x[k] == null || map(x[k]));
+  const slot = (s) => {
+    const reservedBy = map(s.reservedBy ?? null);
+    return {
+      ...s,
+      tutorId: map(s.tutorId),
+      reservedBy,
+      ...(s.reservedBy && !reservedBy ? { pending: false, requestMessage: null } : {}),
+      ...(s.attendees ? { attendees: s.attendees.map(map).filter(Boolean) } : {}),
+      ...(s.heldFor && !map(s.heldFor) ? { heldFor: null, holdUntil: null } : {}),
+    };
+  };
+  const remapFields = (...keys) => (x) => ({ ...x, ...Object.fromEntries(keys.filter((k) => x[k] != null).map((k) => [k, map(x[k])])) });
+  return {
+    ...data,
+    slots: data.slots.filter(owned("tutorId")).map(slot),
+    history: data.history.filter(owned("tutorId")).map(slot),
+    announcements: data.announcements.filter(owned("tutorId")).map((a) => ({
+      ...remapFields("tutorId")(a),
+      recipients: (a.recipients || []).map(map).filter(Boolean),
+      readBy: (a.readBy || []).map(map).filter(Boolean),
+    })),
+    cancellations: data.cancellations.filter(owned("studentId", "tutorId")).map(remapFields("studentId", "tutorId")),
+    waitlist: data.waitlist.filter(owned("studentId", "tutorId")).map(remapFields("studentId", "tutorId")),
+    reschedules: data.reschedules
+      .filter(owned("studentId", "tutorId", "proposedBy"))
+      .map(remapFields("studentId", "tutorId", "proposedBy")),
+    closures: data.closures.filter(owned("tutorId")).map(remapFields("tutorId")),
+    assignments: mapKeys(
+      Object.fromEntries(
+        Object.entries(data.assignments).map(([sid, list]) => [
+          sid,
+          list.filter((e) => map(e.tutorId)).map((e) => ({ ...e, tutorId: map(e.tutorId) })),
+        ])
+      )
+    ),
+    notifications: mapKeys(data.notifications),
+    availability: mapKeys(data.availability),
+    hiddenAnnouncements: mapKeys(data.hiddenAnnouncements),
+  };
+}
+
+/**
+ * Spajanje: dodaju se samo zapisi koji lokalno ne postoje (po id-u); postojeći lokalni
+ * zapisi imaju prednost. Korisnici s već zauzetim korisničkim imenom ili emailom se preskaču;
+ * njihovi zapisi iz kopije prelaze na lokalni račun istog imena/emaila i uloge, a bez
+ * takvog računa se ispuštaju (remapBackupUsers) – ništa ne ostaje vezano uz nepostojećeg korisnika.
+ */
+function mergeBackupInto(store, backup) {
+  const sameIdentity = (u) => (x) =>
+    (u.username && (x.username || "").toLowerCase() === u.username.toLowerCase()) ||
+    (u.email && (x.email || "").toLowerCase() === u.email.toLowerCase());
+  const taken = (u) => store.users.some((x) => x.id === u.id || sameIdentity(u)(x));
+  const newUsers = backup.users.filter((u) => !taken(u));
+  const skipped = backup.users.filter((u) => taken(u) && !store.users.some((x) => x.id === u.id));
+  const remap = new Map(
+    skipped.map((u) => {
+      const local = store.users.find(sameIdentity(u));
+      return [u.id, local?.role === u.role ? local.id : null];
+    })
+  );
+  const data = remapBackupUsers(backup, remap);
+  const skippedUsers = skipped.length;
+
+  // isti predmet (naziv i odjel) na drugom računalu ima drugi id – veže se uz lokalni
+  const sameSubject = (s) => (x) =>
+    x.name.toLowerCase() === s.name.toLowerCase() && (x.department || null) === (s.department || null);
+  const subjectRemap = new Map(
+    data.subjects.flatMap((s) => {
+      const local = !store.subjects.some((x) => x.id === s.id) && store.subjects.find(sameSubject(s));
+      return local ? [[s.id, local.id]] : [];
+    })
+  );
+  const subjectId = (id) => subjectRemap.get(id) || id;
+  store.users = [
+    ...store.users,
+    ...newUsers.map((u) => (u.subjects ? { ...u, subjects: [...new Set(u.subjects.map(subjectId))] } : u)),
+  ];
+
+  const known = new Set(store.users.map((u) => u.id));
+  store.subjects = mergeById(store.subjects, data.subjects.filter((s) => !subjectRemap.has(s.id)));
+  Object.entries(data.assignments).forEach(([sid, entries]) => {
+    const list = entries.map((e) => ({ ...e, subjectId: subjectId(e.subjectId) }));
+    const valid = list.filter((e) => known.has(e.tutorId) && store.subjects.some((x) => x.id === e.subjectId));
+    if (!store.assignments[sid] && known.has(sid) && valid.length) store.assignments[sid] = valid;
+  });
+  store.slots = mergeById(store.slots, data.slots);
+  store.history = mergeById(store.history, data.history);
+  store.announcements = mergeById(store.announcements, data.announcements);
+  store.registrations = mergeById(store.registrations, data.registrations);
+  store.cancellations = mergeById(store.cancellations, data.cancellations);
+  store.waitlist = mergeById(store.waitlist, data.waitlist);
+  store.reschedules = mergeById(store.reschedules, data.reschedules);
+  store.closures = mergeById(store.closures, data.closures);
+  store.emailLog = mergeById(store.emailLog, data.emailLog).sort((a, b) => new Date(b.at) - new Date(a.at));
+  store.auditLog = mergeById(store.auditLog, data.auditLog).sort((a, b) => new Date(a.at) - new Date(b.at));
+  Object.entries(data.notifications).forEach(([userId, list]) => {
+    store.notifications[userId] = mergeById(store.notifications[userId] || [], list);
+  });
+  Object.entries(data.availability).forEach(([tutorId, tpl]) => {
+    if (!store.availability[tutorId] && known.has(tutorId)) store.availability[tutorId] = tpl;
+  });
+  Object.entries(data.hiddenAnnouncements).forEach(([userId, ids]) => {
+    store.hiddenAnnouncements[userId] = Array.from(new Set([...(store.hiddenAnnouncements[userId] || []), ...ids]));
+  });
+  return { skippedUsers };
+}
+
+// Zamjena svega osim revizijskog zapisa (samo se nadopunjuje zapisima iz kopije) i aktivnih sesija
+function replaceStoreWith(store, data) {
+  const audit = mergeById(store.auditLog, data.auditLog).sort((a, b) => new Date(a.at) - new Date(b.at));
+  const sessions = store.sessions;
+  Object.keys(store).forEach((k) => {
+    if (!(k in data)) delete store[k];
+  });
+  Object.assign(store, structuredClone(data), { auditLog: audit, sessions });
 }
 
 /***********************
  * In-memory "store"    *
  ***********************/
-const createStore = () => loadDB();
+// Jedno učitavanje po stranici (StrictMode poziva efekte dvaput)
+let storePromise = null;
+const createStore = () => (storePromise ||= loadDB());
+
+// Poslužitelj šalje podatke prema prijavi, pa se nakon prijave i odjave baza učitava iznova
+function reloadStore() {
+  clearTimeout(saveTimer);
+  pendingSave = null;
+  lastSaved.clear();
+  storePromise = null;
+  return createStore();
+}
 
 /***********************
  * Event bus (local)    *
@@ -170,7 +1388,9 @@ function publish(evt) {
  * EMAIL (mock)         *
  ***********************/
 function sendEmail(store, to, subject, body) {
-  store.emailLog.unshift({ id: uid(), to, subject, body, at: new Date().toISOString() });
+  const mail = { id: uid(), to, subject, body, at: new Date().toISOString() };
+  store.emailLog.unshift(mail);
+  effectLog?.push({ kind: "email", to, subject });
 }
 
 /********************************
@@ -178,405 +1398,4015 @@ function sendEmail(store, to, subject, body) {
  ********************************/
 function pushNotif(store, userId, payload) {
   if (!store.notifications[userId]) store.notifications[userId] = [];
-  store.notifications[userId].unshift({
+  const n = { id: uid(), read: false, createdAt: new Date().toISOString(), ...payload };
+  store.notifications[userId].unshift(n);
+  effectLog?.push({ kind: "notif", userId, id: n.id });
+  publish({ type: "notification:new", userId });
+}
+
+/*****************************
+ * Revizijski zapis (audit)   *
+ *****************************/
+// Tko je što napravio: svaka izmjena iz sloja za pristup podacima dodaje zapis u store.auditLog.
+// Zapisi se nikad ne mijenjaju; svaki ima svoj id, pa se istodobni zapisi iz više kartica spajaju
+// (mergeValue), a poslužitelj prima samo nove. Bez prijavljenog korisnika akter je "sustav" (null).
+// Čuva se AUDIT_KEEP_DAYS dana i najviše AUDIT_MAX_ENTRIES najnovijih zapisa (pruneAuditLog).
+const AUDIT_KEEP_DAYS = 365;
+const AUDIT_MAX_ENTRIES = 20000;
+let currentActorId = null;
+let auditNote = null; // npr. "poništeno" dok se izvodi undo
+function setAuditActor(userId) {
+  currentActorId = userId || null;
+}
+
+const AUDIT_SECRET_FIELDS = ["password", "passwordHash"];
+function auditSnapshot(value) {
+  if (value == null || typeof value !== "object") return value ?? null;
+  const copy = structuredClone(value);
+  if (!Array.isArray(copy)) AUDIT_SECRET_FIELDS.forEach((k) => k in copy && (copy[k] = "•••"));
+  return copy;
+}
+
+function appendAudit(store, { action, entity, entityId = null, before = null, after = null, actorId = currentActorId }) {
+  store.auditLog.push({
     id: uid(),
-    read: false,
-    createdAt: new Date().toISOString(),
-    ...payload,
+    at: new Date().toISOString(),
+    actorId,
+    action,
+    entity,
+    entityId,
+    before: auditSnapshot(before),
+    after: auditSnapshot(after),
+    ...(auditNote ? { note: auditNote } : {}),
   });
-  publish({ type: "notification:new", userId });
+}
+
+/** Briše zapise starije od AUDIT_KEEP_DAYS i višak iznad AUDIT_MAX_ENTRIES; vraća broj obrisanih. */
+function pruneAuditLog(store, now = Date.now()) {
+  if (serverSessions()) return 0; // poslužitelj sam čisti zapis
+  const keepFrom = now - AUDIT_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const kept = store.auditLog.filter((e) => new Date(e.at).getTime() > keepFrom).slice(-AUDIT_MAX_ENTRIES);
+  const count = store.auditLog.length - kept.length;
+  if (count === 0) return 0;
+  store.auditLog = kept;
+  publishChange(store, { type: "audit:prune", count }, { entity: "audit", after: { count }, actorId: null });
+  return count;
+}
+
+function withAuditNote(note, fn) {
+  const outer = auditNote;
+  auditNote = note;
+  try {
+    return fn();
+  } finally {
+    auditNote = outer;
+  }
+}
+
+// Objavi događaj i zabilježi ga u revizijski zapis
+function publishChange(store, evt, audit) {
+  appendAudit(store, { action: evt.type, ...audit });
+  publish(evt);
 }
 
 /*****************************
- * Glavna aplikacija          *
+ * Ovlasti (uloge i radnje)   *
  *****************************/
-export default function App() {
-  const [store] = useState(createStore);
-  const [currentUser, setCurrentUser] = useState(null);
-  const [emailOpen, setEmailOpen] = useState(false);
-  const [loginOpen, setLoginOpen] = useState(false);
+// Jedino mjesto koje odlučuje "smije li korisnik X napraviti Y nad Z". Koriste ga i rukovatelji
+// (prije izmjene) i sučelje (vidljivost gumba). Nepoznata radnja ili uloga znači zabranu.
+// Cilj (target) je sam entitet: termin, objava, korisnik ({role, department}) ili {studentId, tutorId}.
+const ROLE_LABELS = {
+  admin: "administrator",
+  coordinator: "koordinator",
+  tutor: "tutor",
+  student: "student",
+};
 
-  // Re-render + autosave
-  const [, force] = useState(0);
-  useEffect(() => {
-    const sub = () => {
-      scheduleSave(store);
-      force((x) => x + 1);
-    };
-    subscribers.add(sub);
-    return () => subscribers.delete(sub);
-  }, [store]);
+/** Upisi studenta: [{subjectId, tutorId}] – po jedan tutor za svaki predmet */
+const enrollmentsOf = (store, studentId) => store.assignments[studentId] || [];
 
-  // Auto-prijava iz sessiona
-  useEffect(() => {
-    const uid = localStorage.getItem(SESS_KEY);
-    if (uid) {
-      const u = store.users.find((x) => x.id === uid);
-      if (u) setCurrentUser(u);
-    }
-  }, [store]);
+/** Tutori studenta (bez ponavljanja), po želji samo za jedan predmet */
+function tutorIdsOf(store, studentId, subjectId = null) {
+  const list = enrollmentsOf(store, studentId).filter((e) => !subjectId || e.subjectId === subjectId);
+  return [...new Set(list.map((e) => e.tutorId))];
+}
 
-  // Weekly reset (interno, bez gumba)
-  useEffect(() => {
-    maybeWeeklyReset(store);
-  }, [store]);
+const teachesStudent = (store, tutorId, studentId) => enrollmentsOf(store, studentId).some((e) => e.tutorId === tutorId);
+const studentIdsOf = (store, tutorId) => Object.keys(store.assignments).filter((sid) => teachesStudent(store, tutorId, sid));
+const subjectName = (store, subjectId) => store.subjects.find((x) => x.id === subjectId)?.name || "—";
 
-  const logout = () => {
-    setCurrentUser(null);
-    localStorage.removeItem(SESS_KEY);
-  };
+/** Odjeli korisnika; student bez vlastitog odjela pripada odjelima svih svojih tutora. */
+function departmentsOf(store, userId) {
+  const u = store.users.find((x) => x.id === userId);
+  if (!u) return [];
+  if (u.department) return [u.department];
+  if (u.role === "student") {
+    const tutors = tutorIdsOf(store, u.id).map((id) => store.users.find((x) => x.id === id));
+    return [...new Set(tutors.map((t) => t?.department).filter(Boolean))];
+  }
+  return [];
+}
 
-  return (
-    <div className="min-h-screen bg-slate-50 text-slate-800">
-      <header className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b border-slate-200">
-        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
-          <h1 className="text-xl font-semibold">🎓 Tutor–Student Scheduler</h1>
+// Koordinator: sve vidi, a mijenja samo ono čiji su tutor/student u njegovom odjelu
+const inDept = (store, user, ...userIds) =>
+  !!user.department && userIds.every((id) => !!id && departmentsOf(store, id).includes(user.department));
+// termini i objave pripadaju tutoru (target.tutorId)
+const ownTutor = (store, user, target) => target?.tutorId === user.id;
+const deptTutor = (store, user, target) => inDept(store, user, target?.tutorId);
+const deptUser = (store, user, target) =>
+  ["tutor", "student"].includes(target?.role) &&
+  !!user.department &&
+  (target.id ? departmentsOf(store, target.id).includes(user.department) : target.department === user.department);
+
+const notSelf = (store, user, target) => target?.id !== user.id;
+const proposer = (store, user, req) => req?.proposedBy === user.id;
+// obavijesti: target {userId} – svatko upravlja samo svojima
+const ownInbox = (store, user, target) => target?.userId === user.id;
+
+const POLICY = {
+  "slot:create": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "slot:update": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "slot:publish": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "slot:delete": {
+    admin: true,
+    coordinator: deptTutor,
+    // rezervirani termin tutor ne briše sam – student bi ostao bez termina bez dogovora;
+    // iznimka je termin u zatvorenom danu ili odsutnosti, koji se ionako ne može održati
+    tutor: (store, user, slot) =>
+      ownTutor(store, user, slot) && (attendeesOf(slot).length === 0 || !!slotClosure(store, slot)),
+  },
+  "slot:reserve": {
+    student: (store, user, slot) => !!slot?.published && teachesStudent(store, slot.tutorId, user.id),
+  },
+  "slot:cancel": { student: (store, user, slot) => !!slot && attends(slot, user.id) },
+  "slot:approve": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "booking:configure": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  // iznimke od pravila rezerviranja postoje samo za studente
+  "booking:override": {
+    admin: (store, user, target) => target?.role === "student",
+    coordinator: (store, user, target) => target?.role === "student" && deptUser(store, user, target),
+    tutor: (store, user, target) => target?.role === "student" && teachesStudent(store, user.id, target.id),
+  },
+  // premještanje predlaže bilo koja strana potvrđene rezervacije, a odgovara druga strana
+  "reschedule:propose": {
+    admin: true,
+    coordinator: deptTutor,
+    tutor: ownTutor,
+    student: (store, user, slot) => slot?.reservedBy === user.id,
+  },
+  "reschedule:respond": {
+    admin: (store, user, req) => req?.proposedBy === req?.studentId,
+    coordinator: (store, user, req) => req?.proposedBy === req?.studentId && deptTutor(store, user, req),
+    tutor: (store, user, req) => req?.tutorId === user.id && req.proposedBy === req.studentId,
+    student: (store, user, req) => req?.studentId === user.id && req.proposedBy !== user.id,
+  },
+  "reschedule:withdraw": { admin: proposer, coordinator: proposer, tutor: proposer, student: proposer },
+  "waitlist:join": { student: (store, user, target) => teachesStudent(store, target?.tutorId, user.id) },
+  "waitlist:leave": { student: (store, user, entry) => entry?.studentId === user.id },
+  "availability:update": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "announcement:create": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "announcement:delete": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "announcement:hide": { student: true },
+  "assignment:update": {
+    admin: true,
+    coordinator: (store, user, { studentId, tutorId }) => inDept(store, user, studentId, tutorId),
+  },
+  "user:create": { admin: true, coordinator: deptUser },
+  "user:reset-password": { admin: true, coordinator: deptUser },
+  "user:update": { admin: true, coordinator: deptUser },
+  "user:deactivate": { admin: notSelf, coordinator: deptUser },
+  "user:delete": { admin: notSelf },
+  "registration:review": {
+    admin: true,
+    // koordinator odobrava prijave svog odjela i dodjeljuje samo tutore iz njega
+    coordinator: (store, user, reg) =>
+      !!user.department && reg?.department === user.department && (!reg.tutorId || inDept(store, user, reg.tutorId)),
+  },
+  "settings:update": { admin: true },
+  "closure:manage": { admin: true },
+  // katalog predmeta: koordinator uređuje predmete svog odjela
+  "subject:manage": {
+    admin: true,
+    coordinator: (store, user, subject) => !!user.department && subject?.department === user.department,
+  },
+  // odsutnost tutora: target {tutorId}
+  "absence:manage": { admin: true, coordinator: deptTutor, tutor: ownTutor },
+  "backup:manage": { admin: true },
+  "notification:manage": { admin: ownInbox, coordinator: ownInbox, tutor: ownInbox, student: ownInbox },
+  "audit:view": { admin: true, coordinator: true },
+  "stats:view": { admin: true, coordinator: true },
+};
+
+function can(store, user, action, target = null) {
+  const rule = POLICY[action]?.[user?.role];
+  if (!rule) return false;
+  return rule === true || !!rule(store, user, target);
+}
+
+// Za rukovatelje: provjeri ovlast i objasni zabranu korisniku
+function ensureCan(store, user, action, target = null) {
+  if (can(store, user, action, target)) return true;
+  alert("Nemate ovlasti za ovu radnju.");
+  return false;
+}
+
+/*****************************
+ * Pristup podacima           *
+ *****************************/
+// UI ne mijenja store izravno nego kroz ove funkcije: svaka mijenja store i objavljuje
+// događaj, a spremanje (IndexedDB, localStorage ili poslužitelj) radi odabrani adapter.
+function insertSlot(store, slot) {
+  store.slots.push(slot);
+  publishChange(store, { type: "slot:new", slot }, { entity: "slot", entityId: slot.id, after: slot });
+  return slot;
+}
+function patchSlot(store, slot, patch, type = "slot:update") {
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, slot[k] ?? null]));
+  Object.assign(slot, patch);
+  publishChange(store, { type, id: slot.id, ...patch }, { entity: "slot", entityId: slot.id, before, after: patch });
+}
+function removeSlot(store, slot) {
+  store.slots = store.slots.filter((x) => x.id !== slot.id);
+  publishChange(store, { type: "slot:delete", id: slot.id }, { entity: "slot", entityId: slot.id, before: slot });
+}
+function publishSlots(store, slots) {
+  slots.forEach((s) => {
+    s.published = true;
+    appendAudit(store, {
+      action: "slot:publish",
+      entity: "slot",
+      entityId: s.id,
+      before: { published: false },
+      after: { published: true },
+    });
+  });
+  publish({ type: "slots:published", count: slots.length });
+}
+function setEnrollments(store, studentId, list) {
+  const before = store.assignments[studentId] ?? null;
+  if (list.length) store.assignments[studentId] = list;
+  else delete store.assignments[studentId];
+  publishChange(
+    store,
+    { type: "assignment:update", studentId, enrollments: list },
+    { entity: "assignment", entityId: studentId, before, after: list.length ? list : null }
+  );
+}
+function insertSubject(store, subject) {
+  store.subjects.push(subject);
+  publishChange(store, { type: "subject:new", id: subject.id }, { entity: "subject", entityId: subject.id, after: subject });
+  return subject;
+}
+function removeSubject(store, subject) {
+  store.subjects = store.subjects.filter((x) => x.id !== subject.id);
+  publishChange(store, { type: "subject:delete", id: subject.id }, { entity: "subject", entityId: subject.id, before: subject });
+}
+function insertUser(store, user) {
+  store.users.push(user);
+  publishChange(store, { type: "user:new", newU: user }, { entity: "user", entityId: user.id, after: user });
+  return user;
+}
+function updateUser(store, user, patch, type = "user:update") {
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, user[k] ?? null]));
+  Object.assign(user, patch);
+  publishChange(store, { type, id: user.id, ...patch }, { entity: "user", entityId: user.id, before, after: patch });
+}
+function removeUser(store, user) {
+  store.users = store.users.filter((u) => u.id !== user.id);
+  delete store.notifications[user.id];
+  delete store.hiddenAnnouncements[user.id];
+  publishChange(store, { type: "user:delete", id: user.id }, { entity: "user", entityId: user.id, before: user });
+}
+function insertCancellation(store, c) {
+  store.cancellations.push(c);
+  publishChange(store, { type: "cancellation:new", id: c.id }, { entity: "cancellation", entityId: c.id, after: c });
+  return c;
+}
+function insertWaitlistEntry(store, entry) {
+  store.waitlist.push(entry);
+  publishChange(store, { type: "waitlist:new", id: entry.id }, { entity: "waitlist", entityId: entry.id, after: entry });
+  return entry;
+}
+function patchWaitlistEntry(store, entry, patch, type = "waitlist:update") {
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, entry[k] ?? null]));
+  Object.assign(entry, patch);
+  publishChange(store, { type, id: entry.id }, { entity: "waitlist", entityId: entry.id, before, after: patch });
+}
+function insertReschedule(store, req) {
+  store.reschedules.push(req);
+  publishChange(store, { type: "reschedule:new", id: req.id }, { entity: "reschedule", entityId: req.id, after: req });
+  return req;
+}
+function patchReschedule(store, req, patch, type = "reschedule:update") {
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, req[k] ?? null]));
+  Object.assign(req, patch);
+  publishChange(store, { type, id: req.id }, { entity: "reschedule", entityId: req.id, before, after: patch });
+}
+function insertClosure(store, closure) {
+  store.closures.push(closure);
+  publishChange(store, { type: "closure:new", id: closure.id }, { entity: "closure", entityId: closure.id, after: closure });
+  return closure;
+}
+function removeClosure(store, closure) {
+  store.closures = store.closures.filter((c) => c.id !== closure.id);
+  publishChange(store, { type: "closure:delete", id: closure.id }, { entity: "closure", entityId: closure.id, before: closure });
+}
+function insertRegistration(store, reg) {
+  store.registrations.push(reg);
+  publishChange(store, { type: "registration:new", id: reg.id }, { entity: "registration", entityId: reg.id, after: reg });
+  return reg;
+}
+function patchRegistration(store, reg, patch, type) {
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, reg[k] ?? null]));
+  Object.assign(reg, patch);
+  publishChange(store, { type, id: reg.id }, { entity: "registration", entityId: reg.id, before, after: patch });
+}
+function setUserPassword(store, user, passwordHash, mustChangePassword, type = "user:password") {
+  const before = { mustChangePassword: !!user.mustChangePassword };
+  Object.assign(user, { passwordHash, mustChangePassword });
+  publishChange(store, { type, id: user.id }, { entity: "user", entityId: user.id, before, after: { mustChangePassword } });
+}
+function insertAnnouncement(store, a, index = 0) {
+  store.announcements.splice(Math.min(index, store.announcements.length), 0, a);
+  publishChange(store, { type: "announcement:new", a }, { entity: "announcement", entityId: a.id, after: a });
+  return a;
+}
+function removeAnnouncement(store, id) {
+  const before = store.announcements.find((a) => a.id === id);
+  store.announcements = store.announcements.filter((a) => a.id !== id);
+  publishChange(store, { type: "announcement:delete", id }, { entity: "announcement", entityId: id, before });
+}
+function updateSetting(store, key, value) {
+  const before = store.settings[key] ?? null;
+  store.settings[key] = value;
+  publishChange(store, { type: "settings:update", key, value }, { entity: "settings", entityId: key, before, after: value });
+}
+function setAvailability(store, tutorId, template) {
+  const before = store.availability[tutorId] ?? null;
+  if (template) store.availability[tutorId] = template;
+  else delete store.availability[tutorId];
+  publishChange(
+    store,
+    { type: "availability:update", tutorId },
+    { entity: "availability", entityId: tutorId, before, after: template || null }
+  );
+}
+function hideAnnouncement(store, userId, id) {
+  if (!store.hiddenAnnouncements[userId]) store.hiddenAnnouncements[userId] = [];
+  const arr = store.hiddenAnnouncements[userId];
+  if (!arr.includes(id)) arr.push(id);
+  publishChange(store, { type: "announcement:hidden", id, userId }, { entity: "announcement", entityId: id, after: { hiddenFor: userId } });
+}
+function markAnnouncementRead(store, userId, announcementId) {
+  const a = store.announcements.find((x) => x.id === announcementId);
+  if (!a || (a.readBy || []).includes(userId)) return;
+  a.readBy = [...(a.readBy || []), userId];
+  publishChange(
+    store,
+    { type: "announcement:read", userId, announcementId },
+    { entity: "announcement", entityId: announcementId, after: { readBy: userId } }
+  );
+}
+function markNotifRead(store, userId, id) {
+  const n = (store.notifications[userId] || []).find((x) => x.id === id);
+  if (!n || n.read) return;
+  n.read = true;
+  publishChange(store, { type: "notification:update" }, { entity: "notification", entityId: id, after: { read: true } });
+}
+function removeNotif(store, userId, id) {
+  const n = (store.notifications[userId] || []).find((x) => x.id === id);
+  if (!n) return;
+  store.notifications[userId] = store.notifications[userId].filter((x) => x.id !== id);
+  publishChange(store, { type: "notification:remove" }, { entity: "notification", entityId: id, before: n });
+}
+function clearNotifs(store, userId) {
+  const count = (store.notifications[userId] || []).length;
+  store.notifications[userId] = [];
+  publishChange(store, { type: "notification:clear" }, { entity: "notification", entityId: userId, after: { count } });
+}
+
+/*****************************
+ * Upravljanje korisnicima    *
+ *****************************/
+// Posljedice brisanja, deaktivacije i promjene uloge. Prošli termini ostaju (statistika i
+// povijest), budući se prenose ili otkazuju, a svi pogođeni dobivaju obavijest.
+const teaches = (role) => role === "tutor" || role === "admin";
+
+/**
+ * Aktivni tutor s najmanje studenata; prednost imaju tutori iz zadanog odjela.
+ * Uz subjectId dolaze u obzir samo tutori koji predaju taj predmet.
+ */
+function leastLoadedTutor(store, department = null, exclude = [], subjectId = null) {
+  const all = store.users.filter(
+    (u) =>
+      teaches(u.role) &&
+      !u.deactivatedAt &&
+      !exclude.includes(u.id) &&
+      (!subjectId || (u.subjects || []).includes(subjectId))
+  );
+  const sameDept = all.filter((u) => department && u.department === department);
+  const candidates = sameDept.length ? sameDept : all;
+  const countPer = Object.fromEntries(candidates.map((t) => [t.id, 0]));
+  Object.keys(store.assignments).forEach((sid) =>
+    tutorIdsOf(store, sid).forEach((tid) => {
+      if (countPer[tid] != null) countPer[tid]++;
+    })
+  );
+  return candidates.map((t) => t.id).sort((a, b) => countPer[a] - countPer[b])[0] || null;
+}
+
+/** Upis za novog studenta: predmet njegovog odjela (ili bilo koji) kod najmanje opterećenog tutora */
+function defaultEnrollment(store, department = null, exclude = []) {
+  const subjects = [...store.subjects].sort((a, b) => (b.department === department) - (a.department === department));
+  for (const subject of subjects) {
+    const tutorId = leastLoadedTutor(store, department, exclude, subject.id);
+    if (tutorId) return { subjectId: subject.id, tutorId };
+  }
+  return null;
+}
+
+/** Parovi predmet–tutor koje aktivni tutori predaju (ponuda pri upisu) */
+function teachingPairs(store) {
+  return store.users
+    .filter((t) => teaches(t.role) && !t.deactivatedAt)
+    .flatMap((t) => (t.subjects || []).map((subjectId) => ({ subjectId, tutorId: t.id })))
+    .filter((e) => store.subjects.some((x) => x.id === e.subjectId));
+}
+const pairKey = (e) => (e ? `${e.subjectId}:${e.tutorId}` : "");
+const pairLabel = (store, e) => `${subjectName(store, e.subjectId)} – ${store.users.find((u) => u.id === e.tutorId)?.name || "—"}`;
+
+/** Upis na predmet kod tutora (zamjenjuje dosadašnjeg tutora tog predmeta); bez tutora ispis s predmeta */
+function enroll(store, studentId, subjectId, tutorId) {
+  const rest = enrollmentsOf(store, studentId).filter((e) => e.subjectId !== subjectId);
+  setEnrollments(store, studentId, tutorId ? [...rest, { subjectId, tutorId }] : rest);
+}
+
+function countUserLinks(store, user) {
+  const now = new Date();
+  const future = store.slots.filter((s) => new Date(s.when) >= now);
+  return {
+    students: studentIdsOf(store, user.id).length,
+    slots: future.filter((s) => s.tutorId === user.id).length,
+    reservations: future.filter((s) => attends(s, user.id)).length,
+  };
+}
+
+// Tutor više ne predaje: studenti i budući termini idu tutoru `transferTo`,
+// a bez njega studenti najmanje opterećenom tutoru, dok se termini otkazuju.
+function releaseTutor(store, tutor, transferTo = null, by = null) {
+  const now = new Date();
+  const target = transferTo ? store.users.find((u) => u.id === transferTo) : null;
+
+  const taken = new Set(); // predmeti koje preuzima target
+  studentIdsOf(store, tutor.id).forEach((sid) => {
+    const department = tutor.department || departmentsOf(store, sid)[0] || null;
+    const notes = [];
+    const list = enrollmentsOf(store, sid).flatMap((e) => {
+      if (e.tutorId !== tutor.id) return [e];
+      const next = target?.id || leastLoadedTutor(store, department, [tutor.id], e.subjectId);
+      const nextName = store.users.find((u) => u.id === next)?.name;
+      notes.push(`${subjectName(store, e.subjectId)}: ${nextName ? `novi tutor je ${nextName}` : "novog tutora dodijelit će administrator"}`);
+      if (!next) return [];
+      if (target) taken.add(e.subjectId);
+      return [{ subjectId: e.subjectId, tutorId: next }];
+    });
+    setEnrollments(store, sid, list);
+    const stu = store.users.find((u) => u.id === sid);
+    if (!stu) return;
+    const msg = `Tutor ${tutor.name} više nije dostupan (${notes.join("; ")}).`;
+    pushNotif(store, sid, { type: "system", title: "Promjena tutora", message: msg });
+    sendEmail(store, stu.email, "Promjena tutora", msg);
+  });
+  // tko preuzme studente, preuzima i njihove predmete
+  const missing = [...taken].filter((id) => !(target?.subjects || []).includes(id));
+  if (missing.length) updateUser(store, target, { subjects: [...(target.subjects || []), ...missing] }, "user:subjects");
+
+  const future = store.slots.filter((s) => s.tutorId === tutor.id && new Date(s.when) >= now);
+  future.forEach((s) => {
+    if (!target) {
+      removeSlot(store, s);
+      notifySlotRemoved(store, s, by);
+      return;
+    }
+    patchSlot(store, s, { tutorId: target.id }, "slot:transfer");
+    attendeesOf(s).forEach((sid) => {
+      const stu = store.users.find((u) => u.id === sid);
+      if (!stu) return;
+      const msg = `Vaš termin ${fmtSlot(s)} sada vodi ${target.name}.`;
+      pushNotif(store, stu.id, { type: "booking", title: "Promjena tutora za termin", message: msg });
+      sendEmail(store, stu.email, "Promjena tutora za termin", msg);
+    });
+  });
+  if (target && future.length) {
+    const msg = `Preuzeli ste ${future.length} termin(a) tutora ${tutor.name}.`;
+    pushNotif(store, target.id, { type: "system", title: "Preuzeti termini", message: msg });
+    sendEmail(store, target.email, "Preuzeti termini", msg);
+  }
+}
+
+// Student odlazi: njegove buduće rezervacije postaju slobodne, a tutor dobiva obavijest
+async function releaseStudent(store, student) {
+  const now = new Date();
+  store.slots
+    .filter((s) => attends(s, student.id) && new Date(s.when) >= now)
+    .forEach((s) => {
+      patchSlot(store, s, withoutAttendee(s, student.id), "slot:release");
+      const tutor = store.users.find((u) => u.id === s.tutorId);
+      if (!tutor) return;
+      const msg = `Rezervacija studenta ${student.name} za ${fmtSlot(s)} je otkazana; termin je ponovno slobodan.`;
+      pushNotif(store, tutor.id, { type: "booking", title: "Termin je ponovno slobodan", message: msg });
+      sendEmail(store, tutor.email, "Otkazana rezervacija", msg);
+    });
+  if (enrollmentsOf(store, student.id).length) setEnrollments(store, student.id, []);
+  // zadržani termini moraju biti oslobođeni prije nego ih lista čekanja ponudi drugima
+  await Promise.all(
+    store.waitlist
+      .filter((e) => e.studentId === student.id && ["waiting", "offered"].includes(e.status))
+      .map((e) => leaveWaitlist(store, e))
+  );
+  processWaitlist(store);
+}
+
+/** Izmjena podataka; promjena uloge povlači iste posljedice kao odlazak iz stare uloge. */
+async function editUser(store, user, patch, by) {
+  const from = user.role;
+  const to = patch.role ?? from;
+  if (teaches(from) && !teaches(to)) releaseTutor(store, user, null, by);
+  if (from === "student" && to !== "student") await releaseStudent(store, user);
+  updateUser(store, user, patch);
+  if (to === "student" && from !== "student") {
+    const first = defaultEnrollment(store, user.department, [user.id]);
+    if (first) setEnrollments(store, user.id, [first]);
+  }
+}
+
+// Deaktivirani tutor ne predaje: studenti i budući termini prolaze isto kao pri brisanju
+function setUserActive(store, user, active, by = null) {
+  if (!active && teaches(user.role)) releaseTutor(store, user, null, by);
+  updateUser(store, user, { deactivatedAt: active ? null : new Date().toISOString() }, active ? "user:activate" : "user:deactivate");
+  if (!active) revokeUserSessions(store, user.id, "deactivated");
+}
+
+async function deleteUser(store, user, transferTo = null, by = null) {
+  if (teaches(user.role)) releaseTutor(store, user, transferTo, by);
+  if (user.role === "student") await releaseStudent(store, user);
+  store.announcements.filter((a) => a.tutorId === user.id).forEach((a) => removeAnnouncement(store, a.id));
+  if (store.availability[user.id]) setAvailability(store, user.id, null);
+  revokeUserSessions(store, user.id, "deleted");
+  removeUser(store, user);
+}
+
+/*****************************
+ * Samostalna registracija    *
+ *****************************/
+// Student sam šalje zahtjev (bez prijave); račun nastaje tek kad ga admin ili koordinator
+// njegovog odjela odobri. Odbijeni zahtjev ostaje zapisan s razlogom.
+function allowedDomains(store) {
+  return store.settings.registrationDomains
+    .split(",")
+    .map((d) => d.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+}
+
+function emailDomainAllowed(store, email) {
+  const domain = (email.split("@")[1] || "").toLowerCase();
+  return allowedDomains(store).some((d) => domain === d || domain.endsWith("." + d));
+}
+
+/** "username" | "email" | null – zauzetost među korisnicima i zahtjevima na čekanju */
+function identityTaken(store, { username, email }, ignoreId = null) {
+  const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  const others = [...store.users, ...store.registrations.filter((r) => r.status === "pending")].filter(
+    (x) => x.id !== ignoreId
+  );
+  if (others.some((x) => same(x.username, username))) return "username";
+  if (others.some((x) => same(x.email, email))) return "email";
+  return null;
+}
+
+// Obavijest svima koji smiju obraditi zahtjev (osim onoga tko ga je upravo obradio)
+function notifyReviewers(store, reg, title, message, except = null) {
+  store.users
+    .filter((u) => u.id !== except?.id && !u.deactivatedAt && can(store, u, "registration:review", reg))
+    .forEach((u) => {
+      pushNotif(store, u.id, { type: "system", title, message });
+      sendEmail(store, u.email, title, message);
+    });
+}
+
+async function registerStudent(store, form) {
+  const name = form.name.trim();
+  const username = form.username.trim();
+  const email = form.email.trim().toLowerCase();
+  if (!name || !username || !email) return { ok: false, error: "Ispunite sva obavezna polja." };
+  if (!emailDomainAllowed(store, email)) {
+    return { ok: false, error: `Registracija je moguća samo sa sveučilišnom adresom (@${allowedDomains(store).join(", @")}).` };
+  }
+  const taken = identityTaken(store, { username, email });
+  if (taken) return { ok: false, error: taken === "username" ? "Korisničko ime je zauzeto." : "Email je već registriran." };
+  const problems = passwordProblems(form.password, { username, email });
+  if (problems.length) return { ok: false, error: "Lozinka mora imati: " + problems.join(", ") + "." };
+
+  const record = {
+    id: uid(),
+    name,
+    username,
+    email,
+    department: form.department?.trim() || null,
+    createdAt: new Date().toISOString(),
+    status: "pending",
+  };
+  // bez prijave se ne vidi tko već postoji – zahtjev provjerava, hashira lozinku i sprema poslužitelj
+  if (serverSessions()) {
+    try {
+      await storage.register({ ...record, password: form.password });
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+    return { ok: true, reg: record };
+  }
+  record.passwordHash = await hashPassword(form.password);
+  const reg = insertRegistration(store, record);
+  sendEmail(store, email, "Zahtjev za registraciju zaprimljen", `Pozdrav ${name}, vaš zahtjev je zaprimljen i čeka odobrenje.`);
+  notifyReviewers(
+    store,
+    reg,
+    "Novi zahtjev za registraciju",
+    `${name} (${email}) traži studentski račun${reg.department ? ` – ${reg.department}` : ""}.`
+  );
+  return { ok: true, reg };
+}
+
+/** enrollment: prvi upis {subjectId, tutorId} ili null */
+function approveRegistration(store, reg, enrollment, by) {
+  const student = insertUser(store, {
+    id: reg.id,
+    role: "student",
+    name: reg.name,
+    username: reg.username,
+    email: reg.email,
+    department: reg.department,
+    passwordHash: reg.passwordHash,
+    mustChangePassword: false,
+    deactivatedAt: null,
+  });
+  if (enrollment) setEnrollments(store, student.id, [enrollment]);
+  // hash je sada u korisničkom zapisu; zahtjev ostaje samo kao trag odluke
+  patchRegistration(
+    store,
+    reg,
+    { status: "approved", passwordHash: null, decidedAt: new Date().toISOString(), decidedBy: by.id },
+    "registration:approve"
+  );
+
+  const tutor = store.users.find((u) => u.id === enrollment?.tutorId);
+  const msg =
+    `Vaš račun je odobren. Možete se prijaviti korisničkim imenom ${student.username}.` +
+    (tutor ? ` Upisani ste na ${pairLabel(store, enrollment)}.` : "");
+  pushNotif(store, student.id, { type: "system", title: "Dobrodošli!", message: msg });
+  sendEmail(store, student.email, "Registracija odobrena", msg);
+  if (tutor) {
+    pushNotif(store, tutor.id, { type: "system", title: "Novi student", message: `Dodijeljen vam je student ${student.name}.` });
+    sendEmail(store, tutor.email, "Novi student", `Dodijeljen vam je student ${student.name} (${student.email}).`);
+  }
+  notifyReviewers(store, reg, "Zahtjev za registraciju odobren", `${by.name} je odobrio/la račun ${reg.name} (${reg.email}).`, by);
+  return student;
+}
+
+function rejectRegistration(store, reg, reason, by) {
+  patchRegistration(
+    store,
+    reg,
+    { status: "rejected", reason, decidedAt: new Date().toISOString(), decidedBy: by.id },
+    "registration:reject"
+  );
+  // podnositelj još nema račun: dobiva email, a razlog vidi i pri pokušaju prijave
+  sendEmail(store, reg.email, "Registracija odbijena", `Vaš zahtjev za registraciju je odbijen. Razlog: ${reason}`);
+  notifyReviewers(store, reg, "Zahtjev za registraciju odbijen", `${by.name} je odbio/la zahtjev ${reg.name} (${reg.email}): ${reason}`, by);
+}
+
+/*****************************
+ * Zatvoreni dani             *
+ *****************************/
+// Admin vodi kalendar dana kad je centar zatvoren (praznici, ispitni rokovi), a tutor svoje
+// odsutnosti. Na zatvoren dan ne nastaju novi termini; postojeće rezervacije koje padnu u
+// zatvoreni dan označavaju se u sučelju, a tutor dobiva obavijest da ih premjesti ili otkaže.
+
+/** Uskrsna nedjelja (gregorijanski kalendar, anonimni algoritam) */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/** Državni praznici i blagdani u Hrvatskoj (prema zakonu iz 2019.): [{date, name}] */
+function croatianHolidays(year) {
+  const easter = easterSunday(year);
+  const afterEaster = (days) => toDateKey(new Date(year, easter.getMonth(), easter.getDate() + days));
+  const fixed = (month, day) => toDateKey(new Date(year, month - 1, day));
+  return [
+    { date: fixed(1, 1), name: "Nova godina" },
+    { date: fixed(1, 6), name: "Bogojavljenje ili Sveta tri kralja" },
+    { date: afterEaster(0), name: "Uskrs" },
+    { date: afterEaster(1), name: "Uskrsni ponedjeljak" },
+    { date: fixed(5, 1), name: "Praznik rada" },
+    { date: fixed(5, 30), name: "Dan državnosti" },
+    { date: afterEaster(60), name: "Tijelovo" },
+    { date: fixed(6, 22), name: "Dan antifašističke borbe" },
+    { date: fixed(8, 5), name: "Dan pobjede i domovinske zahvalnosti i Dan hrvatskih branitelja" },
+    { date: fixed(8, 15), name: "Velika Gospa" },
+    { date: fixed(11, 1), name: "Svi sveti" },
+    { date: fixed(11, 18), name: "Dan sjećanja na žrtve Domovinskog rata" },
+    { date: fixed(12, 25), name: "Božić" },
+    { date: fixed(12, 26), name: "Sveti Stjepan" },
+  ].sort((x, y) => x.date.localeCompare(y.date));
+}
+
+/** Zatvaranje centra ili odsutnost tutora koja pokriva dan ("YYYY-MM-DD"); null ako je dan otvoren */
+function closureOn(store, tutorId, dateKey) {
+  return (
+    store.closures.find(
+      (c) => dateKey >= c.from && dateKey <= c.until && (c.tutorId == null || (tutorId && c.tutorId === tutorId))
+    ) || null
+  );
+}
+
+const slotClosure = (store, slot) => closureOn(store, slot.tutorId, toDateKey(new Date(slot.when)));
+
+function closureLabel(c) {
+  return (c.tutorId ? "odsutnost" : c.holiday ? "praznik" : "centar zatvoren") + (c.reason ? `: ${c.reason}` : "");
+}
+
+/** Buduće rezervacije koje padaju u zatvoreni dan ili odsutnost (za obradu) */
+function bookingsOnClosedDays(store, now = new Date()) {
+  return store.slots
+    .filter((s) => attendeesOf(s).length > 0 && new Date(s.when) > now && slotClosure(store, s))
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+}
+
+/** Dodaje zatvaranje/odsutnost; tutorima javlja rezervacije koje treba premjestiti. Vraća te rezervacije. */
+function addClosure(store, { from, until, reason, tutorId = null, holiday = false }, by) {
+  const closure = insertClosure(store, {
+    id: uid(),
+    from,
+    until: until || from,
+    reason: reason || "",
+    tutorId,
+    holiday,
+    createdAt: new Date().toISOString(),
+    createdBy: by?.id || null,
+  });
+  const hit = bookingsOnClosedDays(store).filter((s) => slotClosure(store, s)?.id === closure.id);
+  const byTutor = new Map();
+  hit.forEach((s) => byTutor.set(s.tutorId, [...(byTutor.get(s.tutorId) || []), s]));
+  byTutor.forEach((slots, id) => {
+    const tutor = store.users.find((u) => u.id === id);
+    if (!tutor) return;
+    const msg =
+      `${slots.length} rezerviranih termina pada u zatvoreni dan (${closureLabel(closure)}): ` +
+      slots.map(fmtSlot).join(", ") +
+      '. Predložite studentima premještanje ili otkažite termine (gumb "Otkaži" u popisu termina).';
+    pushNotif(store, tutor.id, { type: "system", title: "Rezervacije u zatvoreni dan", message: msg });
+    sendEmail(store, tutor.email, "Rezervacije u zatvoreni dan", msg);
+  });
+  return hit;
+}
+
+/** Dodaje praznike godine koji još nisu u kalendaru; vraća broj dodanih */
+function addHolidays(store, year, by) {
+  const known = new Set(store.closures.filter((c) => c.holiday).map((c) => c.from));
+  const missing = croatianHolidays(year).filter((h) => !known.has(h.date));
+  missing.forEach((h) => addClosure(store, { from: h.date, reason: h.name, holiday: true }, by));
+  return missing.length;
+}
+
+/*****************************
+ * Provjera novih termina     *
+ *****************************/
+// Zajednička provjera za svaki put kojim nastaje termin (ručno, admin, iz rasporeda):
+// neispravno vrijeme ili trajanje se odbija, a preklapanja s terminima istog tutora
+// (uključujući draftove) vraćaju se pozivatelju da odluči hoće li odbiti ili upozoriti.
+const slotsOverlap = (a, b) => new Date(a.when) < slotEnd(b) && slotEnd(a) > new Date(b.when);
+
+/** Termini tutora koji se preklapaju sa slot; extra = termini koji se dodaju u istom koraku */
+function slotConflicts(store, slot, extra = []) {
+  return [...store.slots, ...extra].filter((x) => x.tutorId === slot.tutorId && x.id !== slot.id && slotsOverlap(slot, x));
+}
+
+/** {error} ako termin nije ispravan, inače {conflicts: [...]} */
+function checkNewSlot(store, slot, { now = new Date(), extra = [] } = {}) {
+  const start = new Date(slot.when);
+  if (Number.isNaN(start.getTime())) return { error: "Neispravno vrijeme početka." };
+  if (!Number.isInteger(slot.durationMin) || slot.durationMin <= 0 || slot.durationMin > 24 * 60) {
+    return { error: "Neispravno trajanje termina." };
+  }
+  if (start < now) return { error: "Termin ne može početi u prošlosti." };
+  const closed = slotClosure(store, slot);
+  if (closed) return { error: `Taj dan nije moguće dodati termin (${closureLabel(closed)}).` };
+  const end = slotEnd(slot);
+  if (toDateKey(end) !== toDateKey(start) && end.getTime() !== withTime(end, 0, 0).getTime()) {
+    return { error: "Termin mora završiti istog dana." };
+  }
+  return { conflicts: slotConflicts(store, slot, extra) };
+}
+
+/** Poruka za korisnika; null ako se termin smije dodati bez pitanja */
+function describeConflicts(conflicts) {
+  if (!conflicts.length) return null;
+  const list = conflicts.map((x) => fmtSlot(x) + (attendeesOf(x).length ? " (rezerviran)" : x.published ? "" : " (draft)")).join(", ");
+  return `Termin se preklapa s: ${list}.`;
+}
+
+/**
+ * Provjera prije ručnog dodavanja: neispravan termin i preklapanje s objavljenim ili
+ * rezerviranim terminom se odbijaju, a preklapanje samo s draftovima traži potvrdu.
+ */
+function confirmNewSlot(store, slot) {
+  const { error, conflicts } = checkNewSlot(store, slot);
+  if (error) {
+    alert(error);
+    return false;
+  }
+  const msg = describeConflicts(conflicts);
+  if (!msg) return true;
+  if (conflicts.some((x) => x.published || attendeesOf(x).length)) {
+    alert(msg);
+    return false;
+  }
+  return window.confirm(`${msg} Svejedno dodati?`);
+}
+
+/*****************************
+ * Tjedni raspored dostupnosti *
+ *****************************/
+// Tutor jednom opiše tjedan (dan + vrijeme + trajanje), a aplikacija iz toga stvara draft
+// termine za odabrani tjedan. Postojeći termini koji se preklapaju se ne dupliciraju;
+// objava ide kroz uobičajeni "Potvrdi i pošalji".
+
+/** Termini koje bi raspored stvorio u tjednu: {create: [...], skipped: broj} */
+function planFromTemplate(store, tutorId, weekStart, now = new Date()) {
+  const tpl = store.availability[tutorId];
+  const create = [];
+  let skipped = 0;
+  if (!tpl) return { create, skipped };
+  const skip = new Set(tpl.skipDates || []);
+  tpl.entries.forEach((e) => {
+    const day = dateForWeekday(startOfWeek(weekStart), e.weekday);
+    const key = toDateKey(day);
+    if ((tpl.from && key < tpl.from) || (tpl.until && key > tpl.until) || skip.has(key)) return;
+    const t = parseClock(e.time);
+    if (!t) return;
+    const slot = {
+      id: uid(),
+      tutorId,
+      when: withTime(day, t.hour, t.minute).toISOString(),
+      durationMin: e.durationMin,
+      reservedBy: null,
+      done: false,
+      published: false,
+    };
+    const { error, conflicts } = checkNewSlot(store, slot, { now, extra: create });
+    if (error || conflicts.length) skipped++;
+    else create.push(slot);
+  });
+  return { create, skipped };
+}
+
+/*****************************
+ * Otkazivanje rezervacije    *
+ *****************************/
+// Student može otkazati vlastitu rezervaciju do početka termina. Unutar settings.cancelCutoffHours
+// otkazivanje je "kasno": ovisno o settings.allowLateCancel se zabilježi ili odbije.
+
+/** {allowed, late, reason?} – provjera prije otkazivanja (i za prikaz u sučelju) */
+function cancelPolicy(store, slot, now = new Date()) {
+  const start = new Date(slot.when);
+  if (start <= now) return { allowed: false, late: true, reason: "Termin je već počeo ili prošao." };
+  // nepotvrđeni zahtjev se može povući bez roka i ne broji se kao otkazivanje
+  if (slot.pending) return { allowed: true, late: false };
+  const late = start - now < store.settings.cancelCutoffHours * 60 * 60 * 1000;
+  if (late && !store.settings.allowLateCancel) {
+    return {
+      allowed: false,
+      late,
+      reason: `Otkazivanje je moguće najkasnije ${store.settings.cancelCutoffHours} h prije termina. Javite se tutoru.`,
+    };
+  }
+  return { allowed: true, late };
+}
+
+/** Rezervacija ili zahtjev za potvrdu (pending); grupni termin prima još jednog polaznika. */
+async function reserveSlot(store, slot, student, { pending = false, requestMessage = null } = {}) {
+  const group = isGroupSlot(slot);
+  // provjera na spremljenom stanju – termin je možda upravo rezerviran u drugoj kartici, a
+  // rezervacija iz druge kartice ili uređaja se broji u ograničenja rezerviranja
+  let violation = null;
+  const res = await casSlot(
+    store,
+    slot.id,
+    (cur, slots) =>
+      attends(cur, student.id) || seatsFree(cur) === 0
+        ? "taken"
+        : isHeldForOther(cur, student.id)
+        ? "held"
+        : (violation = bookingViolation(store, student, cur, new Date(), slots))
+        ? "rules"
+        : null,
+    (cur) =>
+      group
+        ? {
+            attendees: [...attendeesOf(cur), student.id],
+            ...(cur.heldFor === student.id ? { heldFor: null, holdUntil: null } : {}),
+          }
+        : { reservedBy: student.id, heldFor: null, holdUntil: null, pending, requestMessage },
+    pending ? "slot:request" : "slot:reserve"
+  );
+  if (!res.ok) {
+    const reason =
+      res.reason === "missing"
+        ? "Termin više ne postoji."
+        : res.reason === "held"
+        ? "Termin je u međuvremenu ponuđen studentu s liste čekanja."
+        : res.reason === "rules"
+        ? violation
+        : res.reason === "error"
+        ? res.error
+        : group
+        ? "Grupni termin se u međuvremenu popunio."
+        : "Termin je u međuvremenu rezerviran.";
+    return { ok: false, reason };
+  }
+  // upisi na listi čekanja koje je ova rezervacija ispunila
+  store.waitlist
+    .filter((e) => e.studentId === student.id && e.status === "waiting" && waitlistMatches(e, slot))
+    .forEach((e) => patchWaitlistEntry(store, e, { status: "fulfilled" }, "waitlist:fulfilled"));
+  processWaitlist(store);
+
+  const tutor = store.users.find((u) => u.id === slot.tutorId);
+  if (pending) {
+    const msg =
+      `${student.name} traži termin ${fmtSlot(slot)}.` + (requestMessage ? ` Poruka: ${requestMessage}` : "") +
+      " Prihvatite ili odbijte zahtjev u aplikaciji.";
+    pushNotif(store, tutor.id, { type: "booking", title: "Novi zahtjev za rezervaciju", message: msg });
+    sendEmail(store, tutor.email, "Novi zahtjev za rezervaciju", msg);
+  } else {
+    const msg = `${student.name} je rezervirao/la termin ${fmtSlot(slot)}.` + (group ? ` Grupa: ${seatsLabel(slot)}.` : "");
+    pushNotif(store, tutor.id, { type: "booking", title: "Nova rezervacija", message: msg });
+    sendEmail(store, tutor.email, "Nova rezervacija termina", msg);
+  }
+  publish({ type: "slot:reserve", id: slot.id });
+  return { ok: true };
+}
+
+async function cancelReservation(store, slot, student) {
+  const policy = cancelPolicy(store, slot);
+  if (!policy.allowed) return { ok: false, reason: policy.reason };
+  const wasPending = !!slot.pending;
+  const res = await casSlot(
+    store,
+    slot.id,
+    (cur) => (!attends(cur, student.id) ? "not-yours" : null),
+    (cur) => withoutAttendee(cur, student.id),
+    wasPending ? "slot:request-withdraw" : "slot:cancel"
+  );
+  if (!res.ok) {
+    const reason = res.reason === "missing" ? "Termin više ne postoji." : res.reason === "error" ? res.error : "Termin više nije vaš.";
+    return { ok: false, reason };
+  }
+
+  const tutor = store.users.find((u) => u.id === slot.tutorId);
+  if (wasPending) {
+    if (tutor) {
+      const msg = `${student.name} je povukao/la zahtjev za termin ${fmtSlot(slot)}.`;
+      pushNotif(store, tutor.id, { type: "booking", title: "Zahtjev povučen", message: msg });
+      sendEmail(store, tutor.email, "Zahtjev za rezervaciju povučen", msg);
+    }
+    publish({ type: "slot:cancel", id: slot.id });
+    processWaitlist(store);
+    return { ok: true, late: false };
+  }
+
+  insertCancellation(store, {
+    id: uid(),
+    slotId: slot.id,
+    studentId: student.id,
+    tutorId: slot.tutorId,
+    when: slot.when,
+    durationMin: slotMinutes(slot),
+    cancelledAt: new Date().toISOString(),
+    late: policy.late,
+  });
+  if (tutor) {
+    const msg = `${student.name} je otkazao/la termin ${fmtSlot(slot)}${policy.late ? " (kasno otkazivanje)" : ""}. Termin je ponovno slobodan.`;
+    pushNotif(store, tutor.id, { type: "booking", title: "Otkazana rezervacija", message: msg });
+    sendEmail(store, tutor.email, "Otkazana rezervacija", msg);
+  }
+  publish({ type: "slot:cancel", id: slot.id });
+  processWaitlist(store);
+  return { ok: true, late: policy.late };
+}
+
+/*****************************
+ * Pravila rezerviranja       *
+ *****************************/
+// Opća pravila su u settings (0 = bez ograničenja); student.bookingRules ih pojedinačno
+// nadjačava (null ili izostavljen ključ = opće pravilo). Zahtjevi koji čekaju potvrdu se broje.
+const BOOKING_RULES = [
+  { key: "maxPerWeek", setting: "bookingMaxPerWeek", label: "Najviše rezervacija tjedno", max: 50 },
+  { key: "maxPerMonth", setting: "bookingMaxPerMonth", label: "Najviše rezervacija mjesečno", max: 200 },
+  { key: "minLeadHours", setting: "bookingMinLeadHours", label: "Najmanje sati unaprijed", max: 168 },
+  { key: "horizonDays", setting: "bookingHorizonDays", label: "Najviše dana unaprijed", max: 365 },
+];
+
+function bookingRulesFor(store, student) {
+  const own = student?.bookingRules || {};
+  return Object.fromEntries(BOOKING_RULES.map((r) => [r.key, own[r.key] ?? store.settings[r.setting]]));
+}
+
+/** Kratak opis pravila za prikaz studentu ("" ako ograničenja nema) */
+function describeBookingRules(rules) {
+  return [
+    rules.maxPerWeek && `najviše ${rules.maxPerWeek} tjedno`,
+    rules.maxPerMonth && `najviše ${rules.maxPerMonth} mjesečno`,
+    rules.minLeadHours && `najkasnije ${rules.minLeadHours} h prije početka`,
+    rules.horizonDays && `najviše ${rules.horizonDays} dana unaprijed`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Razlog zbog kojeg student ne smije rezervirati termin ili null. `slots` su aktivni termini
+ * prema kojima se broje rezervacije – pri rezervaciji spremljeno stanje iz casSlot.
+ */
+function bookingViolation(store, student, slot, now = new Date(), slots = store.slots) {
+  const closed = slotClosure(store, slot);
+  if (closed) return `Termin pada u zatvoreni dan (${closureLabel(closed)}).`;
+  const rules = bookingRulesFor(store, student);
+  const start = new Date(slot.when);
+  const hour = 60 * 60 * 1000;
+  if (rules.minLeadHours && start - now < rules.minLeadHours * hour) {
+    return `Termin se mora rezervirati najmanje ${rules.minLeadHours} h prije početka.`;
+  }
+  if (rules.horizonDays && start - now > rules.horizonDays * 24 * hour) {
+    const last = new Date(now.getTime() + rules.horizonDays * 24 * hour);
+    return `Termine možete rezervirati najviše ${rules.horizonDays} dana unaprijed (do ${last.toLocaleDateString("hr-HR")}).`;
+  }
+  const mine = [...slots, ...store.history].filter((s) => attends(s, student.id) && s.id !== slot.id);
+  const countBetween = (from, to) => mine.filter((s) => new Date(s.when) >= from && new Date(s.when) < to).length;
+  if (rules.maxPerWeek) {
+    const from = startOfWeek(start);
+    if (countBetween(from, endOfWeek(from)) >= rules.maxPerWeek) {
+      return `Dosegnuli ste tjedno ograničenje rezervacija (${rules.maxPerWeek}) za tjedan ${fmtWeekRange(from)}`;
+    }
+  }
+  if (rules.maxPerMonth) {
+    const from = new Date(start.getFullYear(), start.getMonth(), 1);
+    const to = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    if (countBetween(from, to) >= rules.maxPerMonth) {
+      const month = start.toLocaleDateString("hr-HR", { month: "long", year: "numeric" });
+      return `Dosegnuli ste mjesečno ograničenje rezervacija (${rules.maxPerMonth}) za ${month}.`;
+    }
+  }
+  return null;
+}
+
+/** rules: djelomična pravila ili null za povratak na opća pravila */
+function setBookingRules(store, student, rules, by) {
+  const clean = rules && Object.fromEntries(Object.entries(rules).filter(([, v]) => v != null));
+  const next = clean && Object.keys(clean).length ? clean : null;
+  updateUser(store, student, { bookingRules: next }, "user:booking-rules");
+  const text = describeBookingRules(bookingRulesFor(store, student)) || "bez ograničenja";
+  pushNotif(store, student.id, {
+    type: "system",
+    title: "Pravila rezerviranja",
+    message: `${by.name} je ${next ? "postavio/la vaša pravila rezerviranja" : "vratio/la vaša pravila na opća"}: ${text}.`,
+  });
+}
+
+/*****************************
+ * Lista čekanja              *
+ *****************************/
+// Student se upisuje za dan tutora ili za određeni termin. Kad se termin oslobodi (otkazivanje,
+// oslobađanje rezervacije) ili se objavi novi termin tog dana, prvi na listi dobiva ponudu:
+// termin je settings.waitlistHoldMinutes zadržan samo za njega. Sve prijelaze radi processWaitlist;
+// zadržavanje i njegovo ukidanje idu preko casSlot, pa kartice koje istodobno obrađuju listu
+// ne mogu isti termin ponuditi dvojici studenata ni poslati istu ponudu dvaput.
+
+/** Zadržan za drugoga studenta (ponuda s liste čekanja još traje)? Kod grupnog termina ponuda drži samo zadnje slobodno mjesto. */
+function isHeldForOther(slot, studentId, now = new Date()) {
+  return !!slot.heldFor && slot.heldFor !== studentId && new Date(slot.holdUntil) > now && seatsFree(slot) <= 1;
+}
+
+const waitlistMatches = (entry, slot) =>
+  entry.slotId ? entry.slotId === slot.id : entry.tutorId === slot.tutorId && entry.date === toDateKey(new Date(slot.when));
+
+function joinWaitlist(store, student, { tutorId, date, slotId = null }) {
+  const dup = store.waitlist.some(
+    (e) =>
+      e.studentId === student.id &&
+      ["waiting", "offered"].includes(e.status) &&
+      e.tutorId === tutorId &&
+      e.date === date &&
+      (e.slotId || null) === slotId
+  );
+  if (dup) return null;
+  const entry = insertWaitlistEntry(store, {
+    id: uid(),
+    studentId: student.id,
+    tutorId,
+    date,
+    slotId,
+    createdAt: new Date().toISOString(),
+    status: "waiting",
+  });
+  processWaitlist(store);
+  return entry;
+}
+
+function leaveWaitlist(store, entry) {
+  const slotId = entry.status === "offered" ? entry.offeredSlotId : null;
+  patchWaitlistEntry(store, entry, { status: "left" }, "waitlist:leave");
+  const released = slotId ? releaseHold(store, slotId, entry.studentId, "slot:hold-release") : Promise.resolve();
+  return released.then(() => processWaitlist(store));
+}
+
+// Ukida zadržavanje samo ako ga u spremljenom stanju još drži taj student
+async function releaseHold(store, slotId, studentId, action) {
+  const res = await casSlot(
+    store,
+    slotId,
+    (cur) => (cur.heldFor === studentId ? null : "changed"),
+    { heldFor: null, holdUntil: null },
+    action
+  );
+  if (res.ok) publish({ type: "slot:update", id: slotId });
+  return res;
+}
+
+/** Zadrži termin za prvoga na listi; false ako ga je druga kartica u međuvremenu ponudila ili zauzela. */
+async function offerSlot(store, entry, slot, now) {
+  const holdUntil = new Date(now.getTime() + store.settings.waitlistHoldMinutes * 60 * 1000).toISOString();
+  const activeHold = (s) => !!s.heldFor && new Date(s.holdUntil) > now;
+  const res = await casSlot(
+    store,
+    slot.id,
+    (cur, slots) =>
+      !cur.published || seatsFree(cur) === 0 || attends(cur, entry.studentId)
+        ? "taken"
+        : activeHold(cur)
+        ? "held"
+        : slots.some((s) => s.id !== cur.id && s.heldFor === entry.studentId && activeHold(s) && waitlistMatches(entry, s))
+        ? "offered"
+        : null,
+    { heldFor: entry.studentId, holdUntil },
+    "slot:hold"
+  );
+  if (!res.ok) return false;
+  // upis se za vrijeme čekanja mogao promijeniti (student je izašao s liste, sinkronizacija)
+  const live = store.waitlist.find((e) => e.id === entry.id);
+  if (live?.status !== "waiting") {
+    await releaseHold(store, slot.id, entry.studentId, "slot:hold-release");
+    return false;
+  }
+  patchWaitlistEntry(store, live, { status: "offered", offeredSlotId: slot.id, holdUntil }, "waitlist:offer");
+  const student = store.users.find((u) => u.id === entry.studentId);
+  if (!student) return true;
+  const until = new Date(holdUntil).toLocaleTimeString("hr-HR", { hour: "2-digit", minute: "2-digit" });
+  const msg = `Oslobodio se termin ${fmtSlot(slot)}. Zadržan je za vas do ${until} – rezervirajte ga u aplikaciji.`;
+  pushNotif(store, student.id, { type: "booking", title: "Termin s liste čekanja", message: msg });
+  sendEmail(store, student.email, "Slobodan termin s liste čekanja", msg);
+  return true;
+}
+
+// Obrade liste čekanja u ovoj kartici idu jedna za drugom (svaka čeka spremljeno stanje)
+let waitlistQueue = Promise.resolve(0);
+
+/** Uskladi listu čekanja sa stanjem termina; obećanje s brojem novih ponuda. */
+function processWaitlist(store, now = null) {
+  const run = waitlistQueue.then(() => runWaitlist(store, now || new Date()));
+  waitlistQueue = run.catch((e) => {
+    console.error("Obrada liste čekanja nije uspjela:", e);
+    return 0;
+  });
+  return run;
+}
+
+async function runWaitlist(store, now) {
+  const today = toDateKey(now);
+  // 1) ponude koje su istekle, iskorištene ili im je termin nestao
+  const expired = [];
+  store.waitlist
+    .filter((e) => e.status === "offered")
+    .forEach((e) => {
+      const slot = store.slots.find((s) => s.id === e.offeredSlotId);
+      if (slot && attends(slot, e.studentId)) return patchWaitlistEntry(store, e, { status: "fulfilled" }, "waitlist:fulfilled");
+      if (!slot || seatsFree(slot) === 0) return patchWaitlistEntry(store, e, { status: "waiting", offeredSlotId: null, holdUntil: null });
+      if (new Date(e.holdUntil) <= now) {
+        patchWaitlistEntry(store, e, { status: "expired" }, "waitlist:expired");
+        expired.push([slot.id, e.studentId]);
+      }
+    });
+  for (const [slotId, studentId] of expired) await releaseHold(store, slotId, studentId, "slot:hold-expired");
+  // 2) upisi za prošle dane
+  store.waitlist
+    .filter((e) => e.status === "waiting" && e.date < today)
+    .forEach((e) => patchWaitlistEntry(store, e, { status: "expired" }, "waitlist:expired"));
+  // 3) slobodni objavljeni budući termini bez aktivne ponude idu prvome na listi
+  let offers = 0;
+  const free = store.slots
+    .filter((s) => s.published && seatsFree(s) > 0 && new Date(s.when) > now)
+    .filter((s) => !s.heldFor || new Date(s.holdUntil) <= now)
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+  for (const slot of free) {
+    // ponuda ide prvome kome je rezervacija dopuštena pravilima rezerviranja (lista se čita
+    // iznova jer je sinkronizacija za vrijeme čekanja može zamijeniti)
+    const entry = store.waitlist
+      .filter((e) => e.status === "waiting")
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .find(
+        (e) =>
+          waitlistMatches(e, slot) &&
+          !attends(slot, e.studentId) &&
+          !bookingViolation(store, store.users.find((u) => u.id === e.studentId) || { id: e.studentId }, slot, now)
+      );
+    if (entry && (await offerSlot(store, entry, slot, now))) offers++;
+  }
+  return offers;
+}
+
+/*****************************
+ * Potvrda rezervacija        *
+ *****************************/
+// Tutor s uključenim requireApproval prima zahtjeve: termin je zauzet (pending) dok ga
+// tutor ne prihvati ili odbije; student dobiva obavijest o ishodu. Vrijedi samo za
+// pojedinačne termine – u grupni se upisuje odmah (to piše i uz prekidač u TutorPanelu).
+const needsApproval = (store, tutorId) => !!store.users.find((u) => u.id === tutorId)?.requireApproval;
+
+// Odluka vrijedi samo ako zahtjev u spremljenom stanju još čeka od istog studenta
+// (student ga je možda povukao, ili je tutor odlučio u drugoj kartici)
+const samePendingRequest = (studentId) => (cur) => (cur.pending && cur.reservedBy === studentId ? null : "changed");
+const REQUEST_CHANGED = "Zahtjev se u međuvremenu promijenio (povučen ili već obrađen).";
+
+/** → {ok, reason?} */
+async function acceptBooking(store, slot, by) {
+  const studentId = slot.reservedBy;
+  const res = await casSlot(store, slot.id, samePendingRequest(studentId), { pending: false }, "slot:accept");
+  publish({ type: "slot:accept", id: slot.id });
+  if (!res.ok) return { ok: false, reason: res.error || REQUEST_CHANGED };
+  const student = store.users.find((u) => u.id === studentId);
+  if (!student) return { ok: true };
+  const msg = `${by.name} je potvrdio/la vaš termin ${fmtSlot(slot)}.`;
+  pushNotif(store, student.id, { type: "booking", title: "Rezervacija potvrđena", message: msg });
+  sendEmail(store, student.email, "Rezervacija potvrđena", msg);
+  return { ok: true };
+}
+
+/** → {ok, reason?} */
+async function declineBooking(store, slot, reason, by) {
+  const studentId = slot.reservedBy;
+  const res = await casSlot(
+    store,
+    slot.id,
+    samePendingRequest(studentId),
+    { reservedBy: null, pending: false, requestMessage: null },
+    "slot:decline"
+  );
+  publish({ type: "slot:decline", id: slot.id });
+  if (!res.ok) return { ok: false, reason: res.error || REQUEST_CHANGED };
+  const student = store.users.find((u) => u.id === studentId);
+  if (student) {
+    const msg = `${by.name} je odbio/la vaš zahtjev za termin ${fmtSlot(slot)}.` + (reason ? ` Razlog: ${reason}` : "");
+    pushNotif(store, student.id, { type: "booking", title: "Zahtjev odbijen", message: msg });
+    sendEmail(store, student.email, "Zahtjev za rezervaciju odbijen", msg);
+  }
+  processWaitlist(store);
+  return { ok: true };
+}
+
+/*****************************
+ * Premještanje termina       *
+ *****************************/
+// Jedna strana potvrđene rezervacije predlaže jedan ili više slobodnih termina istog tutora,
+// a druga odabire jedan (rezervacija se premješta, izvorni termin se oslobađa) ili odbija.
+// Po terminu je otvoren najviše jedan zahtjev; zastarijeva kad rezervacija više ne postoji.
+
+/** Slobodni objavljeni budući termini istog tutora u koje se rezervacija može premjestiti */
+function rescheduleCandidates(store, slot, now = new Date()) {
+  return store.slots
+    .filter((s) => s.tutorId === slot.tutorId && s.id !== slot.id && s.published && !isGroupSlot(s) && !s.reservedBy)
+    .filter((s) => new Date(s.when) > now && !isHeldForOther(s, slot.reservedBy, now) && !slotClosure(store, s))
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+}
+
+function rescheduleStillValid(store, req, now = new Date()) {
+  const slot = store.slots.find((s) => s.id === req.slotId);
+  return !!slot && slot.reservedBy === req.studentId && new Date(slot.when) > now;
+}
+
+/** Smije li korisnik sada predložiti premještanje ovog termina (za prikaz gumba) */
+const canPropose = (store, user, slot) =>
+  can(store, user, "reschedule:propose", slot) &&
+  !!slot.reservedBy &&
+  !slot.pending &&
+  new Date(slot.when) > new Date() &&
+  !openReschedule(store, slot.id);
+
+const openReschedule = (store, slotId) =>
+  store.reschedules.find((r) => r.slotId === slotId && r.status === "pending" && rescheduleStillValid(store, r));
+
+// obavijest svim stranama zahtjeva (student, tutor, predlagatelj) osim onoga tko je radnju napravio
+function notifyReschedule(store, req, by, title, message) {
+  new Set([req.studentId, req.tutorId, req.proposedBy]).forEach((id) => {
+    const u = id !== by?.id && store.users.find((x) => x.id === id);
+    if (!u) return;
+    pushNotif(store, u.id, { type: "booking", title, message });
+    sendEmail(store, u.email, title, message);
+  });
+}
+
+/** Vraća {ok, error} ili {ok, req} */
+function proposeReschedule(store, slot, by, optionIds, message = "") {
+  if (!slot.reservedBy || slot.pending) return { ok: false, error: "Premjestiti se može samo potvrđena rezervacija." };
+  if (new Date(slot.when) <= new Date()) return { ok: false, error: "Termin je već počeo ili prošao." };
+  if (openReschedule(store, slot.id)) return { ok: false, error: "Za ovaj termin već postoji otvoren zahtjev za premještanje." };
+  const free = new Set(rescheduleCandidates(store, slot).map((s) => s.id));
+  const options = [...new Set(optionIds)].filter((id) => free.has(id));
+  if (!options.length) return { ok: false, error: "Odaberite barem jedan slobodan termin." };
+
+  const req = insertReschedule(store, {
+    id: uid(),
+    slotId: slot.id,
+    studentId: slot.reservedBy,
+    tutorId: slot.tutorId,
+    proposedBy: by.id,
+    options,
+    message: message.trim() || null,
+    createdAt: new Date().toISOString(),
+    status: "pending",
+  });
+  const list = options.map((id) => fmtSlot(store.slots.find((s) => s.id === id))).join(", ");
+  notifyReschedule(
+    store,
+    req,
+    by,
+    "Prijedlog premještanja termina",
+    `${by.name} predlaže premještanje termina ${fmtSlot(slot)} na: ${list}.` +
+      (req.message ? ` Poruka: ${req.message}` : "") +
+      " Odgovorite u aplikaciji."
+  );
+  return { ok: true, req };
+}
+
+async function acceptReschedule(store, req, optionId, by) {
+  if (req.status !== "pending" || !req.options.includes(optionId)) return { ok: false, error: "Zahtjev više nije otvoren." };
+  const from = store.slots.find((s) => s.id === req.slotId);
+  const res = await moveReservation(store, req.slotId, optionId, req.studentId);
+  if (!res.ok) {
+    publish({ type: "slot:update" });
+    if (res.reason === "error") return { ok: false, error: res.error };
+    if (res.reason === "taken") return { ok: false, error: "Taj je termin u međuvremenu zauzet – odaberite drugi." };
+    patchReschedule(store, req, { status: "expired", decidedAt: new Date().toISOString() }, "reschedule:expired");
+    return { ok: false, error: "Rezervacija se u međuvremenu promijenila; zahtjev je zatvoren." };
+  }
+  patchReschedule(store, req, { status: "accepted", chosenSlotId: optionId, decidedAt: new Date().toISOString() }, "reschedule:accept");
+  const to = store.slots.find((s) => s.id === optionId);
+  notifyReschedule(store, req, by, "Termin je premješten", `${by.name} je prihvatio/la premještanje: ${fmtSlot(from)} → ${fmtSlot(to)}.`);
+  processWaitlist(store);
+  return { ok: true };
+}
+
+function declineReschedule(store, req, by) {
+  patchReschedule(store, req, { status: "declined", decidedAt: new Date().toISOString() }, "reschedule:decline");
+  const slot = store.slots.find((s) => s.id === req.slotId);
+  const msg = `${by.name} je odbio/la prijedlog premještanja termina ${slot ? fmtSlot(slot) : ""}. Rezervacija ostaje nepromijenjena.`;
+  notifyReschedule(store, req, by, "Premještanje odbijeno", msg);
+}
+
+function withdrawReschedule(store, req, by) {
+  patchReschedule(store, req, { status: "withdrawn", decidedAt: new Date().toISOString() }, "reschedule:withdraw");
+  const slot = store.slots.find((s) => s.id === req.slotId);
+  notifyReschedule(store, req, by, "Prijedlog premještanja povučen", `${by.name} je povukao/la prijedlog premještanja termina ${slot ? fmtSlot(slot) : ""}.`);
+}
+
+/** Zatvara otvorene zahtjeve čija rezervacija više ne postoji (otkazana, obrisana, prošla) */
+function closeStaleReschedules(store, now = new Date()) {
+  store.reschedules
+    .filter((r) => r.status === "pending" && !rescheduleStillValid(store, r, now))
+    .forEach((r) => patchReschedule(store, r, { status: "expired", decidedAt: now.toISOString() }, "reschedule:expired"));
+}
+
+/*****************************
+ * Poništavanje (undo/redo)   *
+ *****************************/
+// Naredba: { label, run(), revert() } – revert vraća false ako se stanje u međuvremenu promijenilo.
+// Stogovi vrijede za trenutnu karticu i prijavu; ne spremaju se u bazu.
+const undoStack = [];
+const redoStack = [];
+const UNDO_LIMIT = 50;
+let effectLog = null; // obavijesti i emailovi poslani dok se naredba izvodi
+
+function captureEffects(fn) {
+  const outer = effectLog;
+  effectLog = [];
+  try {
+    fn();
+    return effectLog;
+  } finally {
+    effectLog = outer;
+  }
+}
+
+function execute(cmd) {
+  cmd.effects = captureEffects(cmd.run);
+  cmd.at = Date.now();
+  undoStack.push(cmd);
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack.length = 0;
+  publish({ type: "history:do", label: cmd.label });
+}
+
+/**
+ * Poslane obavijesti ne mogu se "odposlati": nepročitane obavijesti u aplikaciji se
+ * povlače, a za pročitane i za emailove šalje se ispravak.
+ */
+function retractEffects(store, cmd) {
+  const note = `Radnja "${cmd.label}" je poništena – zanemarite prethodnu poruku.`;
+  cmd.effects.forEach((e) => {
+    if (e.kind === "notif") {
+      const list = store.notifications[e.userId] || [];
+      const n = list.find((x) => x.id === e.id);
+      if (n && !n.read) store.notifications[e.userId] = list.filter((x) => x !== n);
+      else if (n) pushNotif(store, e.userId, { type: "system", title: "Poništeno", message: note });
+    } else if (e.kind === "email") {
+      sendEmail(store, e.to, "Poništeno: " + e.subject, note);
+    }
+  });
+}
+
+function undoLast(store) {
+  const cmd = undoStack.pop();
+  if (!cmd) return;
+  const reverted = withAuditNote("poništavanje", cmd.revert);
+  if (reverted === false) {
+    publish({ type: "history:undo", label: cmd.label, failed: true });
+    alert(`"${cmd.label}" više nije moguće poništiti jer su se podaci u međuvremenu promijenili.`);
+    return;
+  }
+  retractEffects(store, cmd);
+  redoStack.push(cmd);
+  publish({ type: "history:undo", label: cmd.label });
+}
+
+function redoLast() {
+  const cmd = redoStack.pop();
+  if (!cmd) return;
+  cmd.effects = captureEffects(() => withAuditNote("ponavljanje", cmd.run));
+  cmd.at = Date.now();
+  undoStack.push(cmd);
+  publish({ type: "history:redo", label: cmd.label });
+}
+
+function clearUndoHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+}
+
+// Povratne naredbe za radnje koje se mogu poništiti
+function removeSlotCmd(store, slot, by) {
+  const copy = { ...slot };
+  return {
+    label: `Brisanje termina ${fmtSlot(copy)}`,
+    run: () => {
+      removeSlot(store, copy);
+      notifySlotRemoved(store, copy, by);
+    },
+    revert: () => {
+      if (store.slots.some((x) => x.id === copy.id)) return false;
+      insertSlot(store, { ...copy });
+    },
+  };
+}
+// Brisanje rezerviranog termina (admin/koordinator) javlja se studentu, a tuđeg termina i tutoru
+function notifySlotRemoved(store, slot, by) {
+  const when = fmtSlot(slot);
+  const byName = by?.name || "sustav";
+  const students = attendeesOf(slot).map((id) => store.users.find((u) => u.id === id)).filter(Boolean);
+  students.forEach((student) => {
+    const msg = `Vaš rezervirani termin ${when} je otkazan (obrisao: ${byName}).`;
+    pushNotif(store, student.id, { type: "booking", title: "Termin je otkazan", message: msg });
+    sendEmail(store, student.email, "Otkazan termin", msg);
+  });
+  const tutor = store.users.find((u) => u.id === slot.tutorId);
+  if (tutor && tutor.id !== by?.id) {
+    const names = students.map((u) => u.name).join(", ");
+    const msg = `Vaš termin ${when} je obrisao ${byName}.` + (names ? ` Bio je rezerviran (${names}).` : "");
+    pushNotif(store, tutor.id, { type: "system", title: "Termin je obrisan", message: msg });
+    if (names) sendEmail(store, tutor.email, "Obrisan rezervirani termin", msg);
+  }
+}
+function generateDraftsCmd(store, slots) {
+  const ids = new Set(slots.map((s) => s.id));
+  return {
+    label: `Generiranje ${slots.length} termina iz rasporeda`,
+    // pri ponavljanju (redo) preskoči termine koji bi se sada preklapali s novim terminima
+    run: () => slots.filter((s) => !slotConflicts(store, s).length).forEach((s) => insertSlot(store, { ...s })),
+    revert: () => {
+      const current = store.slots.filter((s) => ids.has(s.id));
+      // nakon objave ili rezervacije drafte više ne brišemo
+      if (current.some((s) => s.published || attendeesOf(s).length)) return false;
+      current.forEach((s) => removeSlot(store, s));
+    },
+  };
+}
+function removeAnnouncementCmd(store, a) {
+  const copy = { ...a };
+  const index = store.announcements.findIndex((x) => x.id === a.id);
+  return {
+    label: `Brisanje objave "${copy.title}"`,
+    run: () => removeAnnouncement(store, copy.id),
+    revert: () => {
+      if (store.announcements.some((x) => x.id === copy.id)) return false;
+      insertAnnouncement(store, { ...copy }, index);
+    },
+  };
+}
+// Upis studenta na predmet kod tutora (tutorId null = ispis s predmeta)
+function enrollCmd(store, studentId, subjectId, tutorId) {
+  const prev = enrollmentsOf(store, studentId);
+  const next = [...prev.filter((e) => e.subjectId !== subjectId), ...(tutorId ? [{ subjectId, tutorId }] : [])];
+  const student = store.users.find((u) => u.id === studentId);
+  return {
+    label: `${tutorId ? "Upis" : "Ispis"} (${subjectName(store, subjectId)}) za ${student?.name || "studenta"}`,
+    run: () => setEnrollments(store, studentId, next),
+    revert: () => {
+      if (JSON.stringify(enrollmentsOf(store, studentId)) !== JSON.stringify(next)) return false;
+      setEnrollments(store, studentId, prev);
+    },
+  };
+}
+
+/*****************************
+ * Glavna aplikacija          *
+ *****************************/
+export default function App() {
+  const [store, setStore] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [emailOpen, setEmailOpen] = useState(false);
+  const [loginOpen, setLoginOpen] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [offline, setOffline] = useState(null);
+  const [storageError, setStorageError] = useState(saveError);
+  const [passwordOpen, setPasswordOpen] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [sessionEnded, setSessionEnded] = useState(null); // razlog isteka (idle/expired/revoked)
+
+  // Asinkrono učitavanje baze (IndexedDB/localStorage)
+  useEffect(() => {
+    let alive = true;
+    createStore().then((db) => {
+      if (!alive) return;
+      setLoadError(dbLoadError);
+      setOffline(serverUnreachable);
+      setStore(db);
+    });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    saveStatusSubscribers.add(setStorageError);
+    // spremi zaostale promjene prije zatvaranja kartice
+    window.addEventListener("pagehide", flushSave);
+    return () => {
+      saveStatusSubscribers.delete(setStorageError);
+      window.removeEventListener("pagehide", flushSave);
+    };
+  }, []);
+
+  // Re-render + autosave
+  const [, force] = useState(0);
+  useEffect(() => {
+    if (!store) return;
+    const sub = (evt) => {
+      if (!evt?.remote) scheduleSave(store);
+      force((x) => x + 1);
+    };
+    subscribers.add(sub);
+    return () => subscribers.delete(sub);
+  }, [store]);
+
+  // Promjene iz drugih kartica
+  useEffect(() => {
+    if (!store) return;
+    return subscribeRemoteChanges((msg) => applyRemoteChanges(store, msg));
+  }, [store]);
+
+  // Auto-prijava: token iz preglednika mora odgovarati važećoj sesiji u bazi
+  useEffect(() => {
+    if (!store) return;
+    let alive = true;
+    localStorage.removeItem(LEGACY_SESS_KEY);
+    const token = localStorage.getItem(SESS_KEY);
+    if (!token) return;
+    findSessionByToken(store, token).then((s) => {
+      if (!alive) return;
+      const status = sessionStatus(store, s);
+      const u = s && store.users.find((x) => x.id === s.userId);
+      if (status === "ok" && u) {
+        touchSession(store, s, true);
+        setSessionId(s.id);
+        setCurrentUser(u);
+        return;
+      }
+      if (s && status !== "revoked") endSession(store, s, status);
+      localStorage.removeItem(SESS_KEY);
+      if (status !== "missing") setSessionEnded(status);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [store]);
+
+  // Aktivnost korisnika produžuje sesiju
+  useEffect(() => {
+    if (!store || !sessionId) return;
+    const onActivity = () => {
+      const s = store.sessions.find((x) => x.id === sessionId);
+      if (s && sessionStatus(store, s) === "ok") touchSession(store, s);
+    };
+    const check = setInterval(() => force((x) => x + 1), 15 * 1000);
+    window.addEventListener("pointerdown", onActivity);
+    window.addEventListener("keydown", onActivity);
+    return () => {
+      clearInterval(check);
+      window.removeEventListener("pointerdown", onActivity);
+      window.removeEventListener("keydown", onActivity);
+    };
+  }, [store, sessionId]);
+
+  // Istek ponuda s liste čekanja i zastarjelih zahtjeva za premještanje (svake minute)
+  useEffect(() => {
+    if (!store) return;
+    const tick = () => {
+      processWaitlist(store);
+      closeStaleReschedules(store);
+    };
+    tick();
+    const t = setInterval(tick, 60 * 1000);
+    return () => clearInterval(t);
+  }, [store]);
+
+  // Arhiviranje starih termina i čišćenje revizijskog zapisa (pri pokretanju i svakih sat vremena)
+  useEffect(() => {
+    if (!store) return;
+    const tick = () => {
+      archivePastSlots(store);
+      pruneAuditLog(store);
+    };
+    tick();
+    const t = setInterval(tick, 60 * 60 * 1000);
+    return () => clearInterval(t);
+  }, [store]);
+
+  useEffect(() => setAuditActor(currentUser?.id), [currentUser]);
+
+  const endLocalSession = (reason = null) => {
+    setCurrentUser(null);
+    setSessionId(null);
+    localStorage.removeItem(SESS_KEY);
+    clearUndoHistory();
+    setSessionEnded(reason);
+    if (serverSessions()) reloadStore().then(setStore);
+  };
+
+  // s poslužiteljem: prvo spremi zaostale promjene (još uz token), zatim opozovi sesiju
+  const serverLogout = async (all) => {
+    await flushSave();
+    await storage.logout(all).catch((e) => console.warn("Odjava na poslužitelju nije uspjela:", e));
+  };
+
+  const logout = async () => {
+    const s = store?.sessions.find((x) => x.id === sessionId);
+    if (serverSessions()) await serverLogout(false);
+    else if (s) endSession(store, s, "logout");
+    endLocalSession();
+  };
+
+  const logoutEverywhere = async () => {
+    if (!window.confirm("Odjaviti se sa svih uređaja i preglednika?")) return;
+    if (serverSessions()) await serverLogout(true);
+    else revokeUserSessions(store, currentUser.id, "logout-all");
+    endLocalSession();
+  };
+
+  // Ctrl/Cmd+Z poništi, Ctrl/Cmd+Shift+Z ili Ctrl+Y ponovi (ne dok se tipka u polje)
+  useEffect(() => {
+    if (!store || !currentUser) return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t instanceof HTMLElement && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoLast(store);
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redoLast();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [store, currentUser]);
+
+  // Korisnik je nestao iz baze (vraćanje kopije, promjena u drugoj kartici) – odjava.
+  // Provjera sesije pri svakom renderu: istek zbog vremena ili opoziv iz druge kartice/uređaja.
+  useEffect(() => {
+    if (!store || !currentUser) return;
+    if (!store.users.some((u) => u.id === currentUser.id)) return logout();
+    const s = store.sessions.find((x) => x.id === sessionId);
+    const status = sessionStatus(store, s);
+    if (status === "ok") return;
+    if (s && status !== "revoked") endSession(store, s, status);
+    endLocalSession(status);
+  });
+
+  if (!store) {
+    return <div className="min-h-screen grid place-items-center text-slate-500">Učitavanje podataka…</div>;
+  }
+
+  // uvijek aktualni zapis iz baze (store.users se može zamijeniti sinkronizacijom ili vraćanjem kopije)
+  const me = currentUser ? store.users.find((u) => u.id === currentUser.id) || null : null;
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-800">
+      <header className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b border-slate-200">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-xl font-semibold">🎓 Tutor–Student Scheduler</h1>
+          <div className="flex items-center gap-2">
+            {me && (
+              <button
+                className="px-3 py-1.5 rounded-lg bg-indigo-50 hover:bg-indigo-100 text-indigo-700 text-sm"
+                onClick={() => setEmailOpen((v) => !v)}
+              >
+                📧 Email log
+              </button>
+            )}
+            {!me ? (
+              <button className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm" onClick={() => setLoginOpen(true)}>
+                Prijava
+              </button>
+            ) : (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-600">👤 {me.name} ({ROLE_LABELS[me.role] || me.role})</span>
+                <button className="px-3 py-1.5 rounded-lg bg-white border text-sm" onClick={() => setPasswordOpen(true)}>
+                  🔑 Lozinka
+                </button>
+                <button className="px-3 py-1.5 rounded-lg bg-white border text-sm" onClick={logout}>
+                  Odjava
+                </button>
+                <button
+                  className="px-3 py-1.5 rounded-lg bg-white border text-sm"
+                  onClick={logoutEverywhere}
+                  title="Opozovi sve sesije ovog računa"
+                >
+                  Odjava svugdje
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 grid gap-6">
+        {loadError && (
+          <div className="p-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 text-sm flex items-start justify-between gap-3">
+            <div>
+              ⚠️ Spremljeni podaci nisu se mogli učitati ({loadError.message}). Pokrenuta je prazna demo baza.
+              {loadError.backupKey && (
+                <> Kopija starih podataka sačuvana je pod ključem <code>{loadError.backupKey}</code>.</>
+              )}
+            </div>
+            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setLoadError(null)}>
+              Zatvori
+            </button>
+          </div>
+        )}
+        {offline && (
+          <div className="p-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 text-sm flex items-start justify-between gap-3">
+            <div>
+              ⚠️ Poslužitelj {offline.url} nije dostupan ({offline.message}). Prikazuje se lokalna kopija podataka iz ovog
+              preglednika – izmjene se spremaju samo ovdje i ne šalju se na poslužitelj.
+            </div>
+            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setOffline(null)}>
+              Zatvori
+            </button>
+          </div>
+        )}
+        {storageError && (
+          <div className="p-3 rounded-xl border border-rose-300 bg-rose-50 text-rose-800 text-sm flex items-start justify-between gap-3">
+            <div>
+              ⚠️ Spremanje nije uspjelo ({storageError.message}). Zadnje promjene nisu trajno spremljene – nemojte
+              zatvarati karticu dok se problem ne riješi.
+            </div>
+            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => saveDB(store)}>
+              Pokušaj ponovno
+            </button>
+          </div>
+        )}
+        {me?.mustChangePassword ? (
+          <div className="mx-auto w-full max-w-lg">
+            <Card title="🔑 Potrebna je nova lozinka">
+              <div className="text-sm text-slate-600 mb-3">
+                Prije nastavka postavite vlastitu lozinku (demo račun ili lozinku je resetirao administrator).
+              </div>
+              <ChangePasswordForm store={store} user={me} onCancel={logout} cancelLabel="Odjava" />
+            </Card>
+          </div>
+        ) : me ? (
+          <>
+            <WelcomeBar store={store} user={me} />
+            <div className="grid md:grid-cols-3 gap-6 items-start">
+              <div className="md:col-span-2 grid gap-6">
+                <WeekView store={store} user={me} />
+              </div>
+              <aside className="grid gap-6">
+                <NotificationsPanel store={store} user={me} />
+                <AnnouncementsPanel store={store} user={me} />
+              </aside>
+            </div>
+            {emailOpen && <EmailLog store={store} onClose={() => setEmailOpen(false)} />}
+            <UndoToast store={store} />
+          </>
+        ) : sessionEnded ? (
+          <SessionEnded
+            reason={sessionEnded}
+            onLogin={() => {
+              setSessionEnded(null);
+              setLoginOpen(true);
+            }}
+          />
+        ) : (
+          <Landing store={store} />
+        )}
+      </main>
+
+      <footer className="py-6 text-center text-sm text-slate-500">
+        Demo verzija · podaci se spremaju lokalno ({storage?.name}).
+      </footer>
+
+      {passwordOpen && me && (
+        <Modal title="🔑 Promjena lozinke" onClose={() => setPasswordOpen(false)}>
+          <ChangePasswordForm
+            store={store}
+            user={me}
+            onDone={() => setPasswordOpen(false)}
+            onCancel={() => setPasswordOpen(false)}
+          />
+        </Modal>
+      )}
+
+      {loginOpen && (
+        <LoginModal
+          store={store}
+          onClose={() => setLoginOpen(false)}
+          onSuccess={async (u) => {
+            // s poslužiteljem je sesija već otvorena; nakon ponovnog učitavanja preuzima je auto-prijava
+            if (serverSessions()) {
+              setSessionEnded(null);
+              return setStore(await reloadStore());
+            }
+            const { token, session } = await startSession(store, u.id);
+            localStorage.setItem(SESS_KEY, token);
+            setSessionEnded(null);
+            setSessionId(session.id);
+            setCurrentUser(u);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/****************
+ * Komponente   *
+ ****************/
+function Landing({ store }) {
+  const [registerOpen, setRegisterOpen] = useState(false);
+  return (
+    <div className="mx-auto max-w-xl text-center py-16">
+      <p className="text-4xl">👋</p>
+      <h2 className="text-2xl font-semibold mt-2">Dobrodošli!</h2>
+      <p className="mt-2 text-slate-600">
+        Prijavite se gumbom gore desno i isprobajte aplikaciju kao admin, tutor ili student.
+        (Demo lozinke: admin123 / test123)
+      </p>
+      <p className="mt-4 text-slate-600">
+        Student ste bez računa?{" "}
+        <button className="text-indigo-700 underline" onClick={() => setRegisterOpen(true)}>
+          Zatražite registraciju
+        </button>
+      </p>
+      {registerOpen && <RegisterModal store={store} onClose={() => setRegisterOpen(false)} />}
+    </div>
+  );
+}
+
+const SESSION_END_TEXT = {
+  idle: "Odjavljeni ste zbog neaktivnosti.",
+  expired: "Sesija je dosegla najdulje dopušteno trajanje.",
+  revoked: "Sesija je opozvana (odjava s drugog uređaja ili reset lozinke).",
+  deactivated: "Vaš račun je deaktiviran. Za ponovnu aktivaciju obratite se administratoru.",
+};
+
+function SessionEnded({ reason, onLogin }) {
+  return (
+    <div className="mx-auto max-w-xl text-center py-16">
+      <p className="text-4xl">⏱️</p>
+      <h2 className="text-2xl font-semibold mt-2">Sesija je istekla</h2>
+      <p className="mt-2 text-slate-600">{SESSION_END_TEXT[reason] || "Prijavite se ponovno."}</p>
+      <button className="mt-4 px-4 py-2 rounded-lg bg-slate-900 text-white" onClick={onLogin}>
+        Prijavi se ponovno
+      </button>
+    </div>
+  );
+}
+
+function WelcomeBar({ store, user }) {
+  const unread = (store.notifications[user.id]?.filter((n) => !n.read)?.length) || 0;
+  return (
+    <div className="p-4 rounded-2xl bg-white border border-slate-200 flex items-center justify-between">
+      <div>
+        <div className="text-sm text-slate-500">Prijavljeni kao</div>
+        <div className="text-lg font-semibold">
+          {user.name} <span className="text-slate-400">({ROLE_LABELS[user.role] || user.role})</span>
+        </div>
+      </div>
+      <div className="text-sm text-slate-600">
+        🔔 Nepročitanih obavijesti: <b>{unread}</b>
+      </div>
+    </div>
+  );
+}
+
+/***********************************
+ * Lokalni tjedni pregled po ulozi *
+ ***********************************/
+function WeekView({ store, user }) {
+  const [weekStart, setWeekStart] = useState(startOfWeek());
+  const [activeDay, setActiveDay] = useState(0);
+  const [subjectId, setSubjectId] = useState(""); // student s više predmeta može suziti prikaz
+
+  const role = user.role;
+  const enrollments = role === "student" ? enrollmentsOf(store, user.id) : [];
+  const subject = enrollments.some((e) => e.subjectId === subjectId) ? subjectId : null;
+
+  return (
+    <>
+      <WeekNav weekStart={weekStart} setWeekStart={setWeekStart} />
+      {enrollments.length > 1 && (
+        <label className="flex items-center gap-2 text-sm">
+          <span className="text-slate-600">Predmet:</span>
+          <select className="border rounded-lg px-2 py-1 bg-white" value={subject || ""} onChange={(e) => setSubjectId(e.target.value)}>
+            <option value="">Svi predmeti</option>
+            {enrollments.map((e) => (
+              <option key={pairKey(e)} value={e.subjectId}>
+                {pairLabel(store, e)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <WeekGrid
+        store={store}
+        user={user}
+        weekStart={weekStart}
+        activeDay={activeDay}
+        setActiveDay={setActiveDay}
+        subjectId={subject}
+      />
+
+      {role === "student" && (
+        <StudentPanel store={store} student={user} weekStart={weekStart} activeDay={activeDay} subjectId={subject} />
+      )}
+      {role === "tutor" && <TutorPanel store={store} tutor={user} weekStart={weekStart} activeDay={activeDay} />}
+      {(role === "admin" || role === "coordinator") && (
+        <AdminPanel store={store} admin={user} weekStart={weekStart} activeDay={activeDay} />
+      )}
+    </>
+  );
+}
+
+function WeekNav({ weekStart, setWeekStart }) {
+  const prev = () =>
+    setWeekStart((d) => {
+      const nd = new Date(d);
+      nd.setDate(nd.getDate() - 7);
+      return nd;
+    });
+  return (
+    <div className="flex items-center justify-between">
+      <div className="text-lg font-semibold">Tjedan {fmtWeekRange(weekStart)}</div>
+      <div className="flex items-center gap-2">
+        <button className="px-3 py-1.5 rounded-lg bg-white border hover:bg-slate-50" onClick={prev}>
+          ⬅️ Prethodni
+        </button>
+        <button
+          className="px-3 py-1.5 rounded-lg bg-white border hover:bg-slate-50"
+          onClick={() => setWeekStart(startOfWeek())}
+        >
+          📅 Ovaj tjedan
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/** Bojanje dana ovisno o terminima i rezervacijama */
+function WeekGrid({ store, user, weekStart, activeDay, setActiveDay, subjectId = null }) {
+  const days = ["Pon", "Uto", "Sri", "Čet", "Pet", "Sub", "Ned"];
+  const pastWeek = isPastWeek(weekStart);
+  // student vidi termine svih svojih tutora (ili samo tutora odabranog predmeta)
+  const studentTutors = user.role === "student" ? tutorIdsOf(store, user.id, subjectId) : [];
+
+  const visibleSlotsForDay = (dayDate) => {
+    if (user.role === "student") {
+      return store.slots
+        .filter((s) => studentTutors.includes(s.tutorId) && s.published)
+        .filter((s) => sameDay(new Date(s.when), dayDate));
+    }
+    if (user.role === "tutor") {
+      return store.slots
+        .filter((s) => s.tutorId === user.id)
+        .filter((s) => sameDay(new Date(s.when), dayDate));
+    }
+    return store.slots.filter((s) => s.published).filter((s) => sameDay(new Date(s.when), dayDate));
+  };
+
+  // tutor vidi i svoje odsutnosti, student dan kad su odsutni svi njegovi tutori, ostali zatvaranja centra
+  const dayClosure = (key) => {
+    if (user.role === "tutor") return closureOn(store, user.id, key);
+    const centre = closureOn(store, null, key);
+    if (centre || user.role !== "student" || !studentTutors.length) return centre;
+    const absent = studentTutors.map((tid) => closureOn(store, tid, key));
+    return absent.every(Boolean) ? absent[0] : null;
+  };
+
+  return (
+    <div className="grid grid-cols-7 gap-2">
+      {days.map((label, i) => {
+        const d = dateForWeekday(weekStart, i);
+        const isToday = new Date().toDateString() === d.toDateString();
+
+        let base = "bg-white hover:bg-slate-50";
+        let border = "border-slate-200";
+        let freeMinutes = null;
+        let pendingCount = 0;
+        let onlyPastFree = false; // slobodni su ostali samo termini koji su već prošli
+        const closed = dayClosure(toDateKey(d));
+
+        if (pastWeek) {
+          base = "bg-rose-50";
+          border = "border-rose-300 text-rose-700";
+        } else if (closed) {
+          base = "bg-slate-100";
+          border = "border-slate-300 text-slate-400";
+        } else {
+          const slots = visibleSlotsForDay(d);
+          if (slots.length > 0) {
+            // slobodno vrijeme prema trajanju termina; termini koji su već završili se ne broje,
+            // a grupni termin je slobodan dok ima barem jedno mjesto
+            const now = new Date();
+            // (termin zadržan za drugoga s liste čekanja studentu nije slobodan)
+            const taken = (s) => seatsFree(s) === 0 || (user.role === "student" && isHeldForOther(s, user.id, now));
+            freeMinutes = slots.filter((s) => !taken(s) && slotEnd(s) > now).reduce((m, s) => m + slotMinutes(s), 0);
+            // crveno je samo dan na kojem je sve zauzeto; prošli nezauzeti termini imaju svoju boju
+            onlyPastFree = freeMinutes === 0 && slots.some((s) => !taken(s));
+            // zahtjevi koji čekaju potvrdu: tutor vidi sve svoje, student samo vlastite
+            pendingCount = slots.filter(
+              (s) => s.pending && slotEnd(s) > now && (user.role !== "student" || s.reservedBy === user.id)
+            ).length;
+            if (pendingCount > 0) {
+              base = "bg-amber-50";
+              border = "border-amber-300 text-amber-700";
+            } else if (onlyPastFree) {
+              base = "bg-slate-50";
+              border = "border-slate-300 text-slate-500";
+            } else if (freeMinutes === 0) {
+              base = "bg-rose-50";
+              border = "border-rose-300 text-rose-700";
+            } else {
+              base = "bg-emerald-50";
+              border = "border-emerald-300 text-emerald-700";
+            }
+          }
+        }
+
+        const active = activeDay === i ? "border-indigo-500 ring-2 ring-indigo-100" : border;
+
+        return (
+          <button
+            key={i}
+            onClick={() => setActiveDay(i)}
+            className={`rounded-2xl border p-4 text-center transition h-24 ${base} ${active}`}
+          >
+            <div className={`text-sm ${pastWeek ? "text-rose-700" : "text-slate-500"}`}>{label}</div>
+            <div className="text-xl font-semibold">{String(d.getDate()).padStart(2, "0")}</div>
+            {!pastWeek && isToday && <div className="text-[10px] text-green-600 mt-1">danas</div>}
+            {!pastWeek && closed && (
+              <div className="text-[10px] mt-1 truncate" title={closureLabel(closed)}>
+                {closed.reason || closureLabel(closed)}
+              </div>
+            )}
+            {!pastWeek && !closed && !isToday && pendingCount > 0 && (
+              <div className="text-[10px] mt-1">{pendingCount} na čekanju</div>
+            )}
+            {!pastWeek && !closed && !isToday && !pendingCount && freeMinutes > 0 && (
+              <div className="text-[10px] mt-1">{fmtDuration(freeMinutes)} slobodno</div>
+            )}
+            {!pastWeek && !closed && !isToday && !pendingCount && onlyPastFree && (
+              <div className="text-[10px] mt-1">prošlo</div>
+            )}
+            {pastWeek && <div className="text-[10px] text-rose-600 mt-1">prošli tjedan</div>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/*****************
+ * STUDENT PANEL *
+ *****************/
+function StudentPanel({ store, student, weekStart, activeDay, subjectId = null }) {
+  const tutorIds = tutorIdsOf(store, student.id, subjectId);
+  const enrollments = enrollmentsOf(store, student.id).filter((e) => !subjectId || e.subjectId === subjectId);
+  const dayDate = dateForWeekday(weekStart, activeDay);
+  const [moving, setMoving] = useState(null); // termin za koji se predlaže premještanje
+
+  const daySlots = useMemo(
+    () =>
+      store.slots
+        .filter((s) => tutorIds.includes(s.tutorId) && s.published)
+        .filter((s) => sameDay(new Date(s.when), dayDate))
+        .sort((a, b) => new Date(a.when) - new Date(b.when)),
+    [store.slots, tutorIds.join(), dayDate]
+  );
+
+  const reserve = async (slot) => {
+    const now = new Date();
+    if (new Date(slot.when) < now) {
+      alert("Ne može se rezervirati prošli termin.");
+      return;
+    }
+    if (!slot.published) {
+      alert("Termin još nije objavljen.");
+      return;
+    }
+    if (attends(slot, student.id)) {
+      alert("Već ste rezervirali ovaj termin.");
+      return;
+    }
+    if (seatsFree(slot) === 0) {
+      alert(isGroupSlot(slot) ? "Grupni termin je popunjen." : "Termin je već rezerviran.");
+      return;
+    }
+    if (isHeldForOther(slot, student.id)) {
+      alert("Termin je trenutno zadržan za studenta s liste čekanja.");
+      return;
+    }
+    const violation = bookingViolation(store, student, slot, now);
+    if (violation) {
+      alert(violation);
+      return;
+    }
+    if (!ensureCan(store, student, "slot:reserve", slot)) return;
+    // grupni termini se ne potvrđuju pojedinačno – mjesto se zauzima odmah
+    const group = isGroupSlot(slot);
+    const pending = !group && needsApproval(store, slot.tutorId);
+    let requestMessage = null;
+    if (pending) {
+      const answer = window.prompt("Tutor potvrđuje svaku rezervaciju. Poruka tutoru (npr. tema) – neobavezno:", "");
+      if (answer == null) return;
+      requestMessage = answer.trim() || null;
+    }
+    const res = await reserveSlot(store, slot, student, { pending, requestMessage });
+    if (!res.ok) {
+      publish({ type: "slot:update" });
+      alert(res.reason);
+    }
+  };
+
+  const cancel = async (slot) => {
+    if (!ensureCan(store, student, "slot:cancel", slot)) return;
+    const policy = cancelPolicy(store, slot);
+    if (!policy.allowed) return alert(policy.reason);
+    const warn = policy.late
+      ? `Do termina je manje od ${store.settings.cancelCutoffHours} h – otkazivanje će biti zabilježeno kao kasno. Otkazati?`
+      : slot.pending
+      ? `Povući zahtjev za termin ${fmtSlot(slot)}?`
+      : `Otkazati termin ${fmtSlot(slot)}?`;
+    if (!window.confirm(warn)) return;
+    const res = await cancelReservation(store, slot, student);
+    if (!res.ok) {
+      publish({ type: "slot:update" });
+      alert(res.reason);
+    }
+  };
+
+  const dayKey = toDateKey(dayDate);
+  const myWaits = store.waitlist.filter((e) => e.studentId === student.id && ["waiting", "offered"].includes(e.status));
+  const waiting = (slotId = null) => myWaits.some((e) => e.date === dayKey && (e.slotId || null) === slotId);
+  const futureDay = dayKey >= toDateKey(new Date());
+  // dan je popunjen kad nijedan objavljeni termin nije slobodan za ovog studenta
+  const dayFull =
+    daySlots.length > 0 &&
+    daySlots.every((s) => seatsFree(s) === 0 || attends(s, student.id) || isHeldForOther(s, student.id) || new Date(s.when) < new Date());
+
+  // pravilo koje sprječava rezervaciju (prikazuje se umjesto gumba)
+  const blockedBy = (s) => (new Date(s.when) > new Date() ? bookingViolation(store, student, s) : null);
+  const rulesText = describeBookingRules(bookingRulesFor(store, student));
+
+  const wait = (slot = null) => {
+    // upis za cijeli dan vrijedi kod svakog tutora koji taj dan ima termine
+    const ids = slot ? [slot.tutorId] : [...new Set(daySlots.map((s) => s.tutorId))];
+    const targets = ids.map((tutorId) => ({ tutorId, date: dayKey, slotId: slot?.id || null }));
+    if (!targets.every((t) => ensureCan(store, student, "waitlist:join", t))) return;
+    const joined = targets.filter((t) => joinWaitlist(store, student, t));
+    if (joined.length === 0) return alert("Već ste na listi čekanja.");
+    alert("Upisani ste na listu čekanja. Javit ćemo vam kad se termin oslobodi.");
+  };
+
+  const leaveWait = async (entry) => {
+    if (!ensureCan(store, student, "waitlist:leave", entry)) return;
+    await leaveWaitlist(store, entry).catch((e) => alert(`Izlazak s liste čekanja nije uspio (${e.message}).`));
+  };
+
+  const removeMyAnnouncement = (a) => {
+    if (ensureCan(store, student, "announcement:hide", a)) hideAnnouncement(store, student.id, a.id);
+  };
+
+  return (
+    <section className="grid gap-4">
+      <Card title={tutorIds.length > 1 ? "Termini vaših tutora" : "Termini vašeg tutora"}>
+        <div className="text-sm text-slate-600 mb-2">
+          {enrollments.length === 0 ? (
+            "Još niste upisani ni na jedan predmet."
+          ) : (
+            <>
+              Prikazani su OBJAVLJENI termini za:{" "}
+              {enrollments.map((e, i) => (
+                <span key={pairKey(e)}>
+                  {i > 0 && ", "}
+                  <b>{pairLabel(store, e)}</b>
+                </span>
+              ))}
+              .
+            </>
+          )}
+          <span className="text-xs text-slate-500">
+            {" "}
+            Rezervaciju možete otkazati do {store.settings.cancelCutoffHours} h prije termina
+            {store.settings.allowLateCancel ? "; kasnije otkazivanje bilježi se kao kasno." : "."}
+            {rulesText && <> Pravila rezerviranja: {rulesText}.</>}
+          </span>
+        </div>
+        {daySlots.length === 0 ? (
+          <Empty>Na ovaj dan nema objavljenih termina.</Empty>
+        ) : (
+          <div className="grid gap-2 max-h-80 overflow-auto pr-1">
+            {daySlots.map((s) => {
+              const box = slotBox(s);
+              return (
+                <div key={s.id} className={`flex items-center justify-between p-3 rounded-xl border ${box}`}>
+                  <div>
+                    <div className="font-medium">{fmtSlot(s)}</div>
+                    <div className="text-xs text-slate-500">
+                      Objavio tutor: {store.users.find((u) => u.id === s.tutorId)?.name}
+                    </div>
+                    {isGroupSlot(s) && <SeatsTag slot={s} />}
+                    {attends(s, student.id) && <ClosedDayTag store={store} slot={s} />}
+                  </div>
+                  <div>
+                    {attends(s, student.id) || seatsFree(s) === 0 ? (
+                      attends(s, student.id) ? (
+                        <span className="flex items-center gap-2">
+                          {s.pending ? (
+                            <span className="text-amber-700 text-sm">⏳ Čeka potvrdu tutora</span>
+                          ) : (
+                            <span className="text-green-700 text-sm">✔️ Rezervirano (vi)</span>
+                          )}
+                          {can(store, student, "slot:cancel", s) && new Date(s.when) > new Date() && (
+                            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => cancel(s)}>
+                              {s.pending ? "Povuci" : "Otkaži"}
+                            </button>
+                          )}
+                          {canPropose(store, student, s) && (
+                            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setMoving(s)}>
+                              ↔ Premjesti
+                            </button>
+                          )}
+                        </span>
+                      ) : (
+                        <span className="flex items-center gap-2">
+                          <span className="text-slate-600 text-sm">{isGroupSlot(s) ? "Popunjeno" : "Zauzeto"}</span>
+                          {futureDay && new Date(s.when) > new Date() && !waiting(s.id) && (
+                            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => wait(s)} title="Lista čekanja za ovaj termin">
+                              ⏳ Čekaj
+                            </button>
+                          )}
+                        </span>
+                      )
+                    ) : isHeldForOther(s, student.id) ? (
+                      <span className="text-slate-600 text-sm">Zadržano (lista čekanja)</span>
+                    ) : blockedBy(s) ? (
+                      <span className="block max-w-xs text-right text-xs text-amber-700">🚫 {blockedBy(s)}</span>
+                    ) : (
+                      <span className="flex items-center gap-2">
+                        {s.heldFor === student.id && (
+                          <span className="text-xs text-indigo-700">
+                            Ponuđeno vama do{" "}
+                            {new Date(s.holdUntil).toLocaleTimeString("hr-HR", { hour: "2-digit", minute: "2-digit" })}
+                          </span>
+                        )}
+                        <button className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm" onClick={() => reserve(s)}>
+                          Rezerviraj
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+
+      <RescheduleRequests store={store} user={student} />
+      {moving && <RescheduleModal store={store} slot={moving} actor={student} onClose={() => setMoving(null)} />}
+
+      {(myWaits.length > 0 || (dayFull && futureDay)) && (
+        <Card title="Lista čekanja">
+          {dayFull && futureDay && !waiting() && (
+            <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-slate-600">Svi termini za {fmtDay(dayDate)} su zauzeti.</span>
+              <button className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm" onClick={() => wait()}>
+                ⏳ Upiši me za ovaj dan
+              </button>
+            </div>
+          )}
+          {myWaits.length === 0 ? (
+            <Empty>Niste na listi čekanja.</Empty>
+          ) : (
+            <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
+              {myWaits.map((e) => {
+                const slot = e.slotId && store.slots.find((s) => s.id === e.slotId);
+                return (
+                  <li key={e.id} className="p-3 rounded-xl border bg-white flex items-center justify-between gap-2 text-sm">
+                    <div>
+                      <div className="font-medium">
+                        {slot ? fmtSlot(slot) : new Date(e.date + "T00:00").toLocaleDateString("hr-HR", { weekday: "long", day: "2-digit", month: "2-digit" })}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        {e.status === "offered"
+                          ? `Termin vam je ponuđen do ${new Date(e.holdUntil).toLocaleTimeString("hr-HR", { hour: "2-digit", minute: "2-digit" })}`
+                          : `Na čekanju · ${slot ? "određeni termin" : "bilo koji termin tog dana"}`}
+                      </div>
+                    </div>
+                    <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => leaveWait(e)}>
+                      Napusti
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Card>
+      )}
+
+      <Card title={tutorIds.length > 1 ? "Objave vaših tutora" : "Objave vašeg tutora"}>
+        <StudentAnnouncementsList store={store} student={student} tutorIds={tutorIds} onHide={removeMyAnnouncement} />
+      </Card>
+
+      <Card title="Moja povijest termina">
+        <StudentHistoryList store={store} student={student} />
+      </Card>
+    </section>
+  );
+}
+
+function StudentHistoryList({ store, student }) {
+  const now = new Date();
+  const items = allSlots(store)
+    .filter((s) => attends(s, student.id) && new Date(s.when) < now)
+    .sort((a, b) => new Date(b.when) - new Date(a.when));
+  return items.length === 0 ? (
+    <Empty>Još nemate prošlih termina.</Empty>
+  ) : (
+    <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
+      {items.map((s) => (
+        <li key={s.id} className="p-3 rounded-xl border bg-white flex items-center justify-between">
+          <div>
+            <div className="font-medium">{fmtSlot(s)}</div>
+            <div className="text-xs text-slate-500">Tutor: {store.users.find((u) => u.id === s.tutorId)?.name || "—"}</div>
+          </div>
+          {s.done ? (
+            <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200">
+              odrađeno
+            </span>
+          ) : (
+            <span className="text-xs text-slate-400">nije označeno kao odrađeno</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function StudentAnnouncementsList({ store, student, tutorIds, onHide }) {
+  let items = store.announcements.filter((a) => tutorIds.includes(a.tutorId));
+  const hiddenArr = store.hiddenAnnouncements[student.id] || [];
+  const hidden = new Set(hiddenArr);
+  items = items.filter((a) => !hidden.has(a.id));
+
+  const open = (a) => {
+    markAnnouncementRead(store, student.id, a.id);
+    alert("📢 " + a.title + "\n\n" + a.body);
+  };
+  return items.length === 0 ? (
+    <Empty>Nema objava.</Empty>
+  ) : (
+    <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
+      {items.map((a) => (
+        <li key={a.id} className="p-3 rounded-xl border bg-white flex items-center justify-between">
+          <div>
+            <div className="font-medium">{a.title}</div>
+            <div className="text-xs text-slate-500">
+              {new Date(a.createdAt).toLocaleString("hr-HR")}
+              {tutorIds.length > 1 && <> · {store.users.find((u) => u.id === a.tutorId)?.name || "—"}</>}
+            </div>
+          </div>
           <div className="flex items-center gap-2">
-            {currentUser && (
-              <button
-                className="px-3 py-1.5 rounded-lg bg-indigo-50 hover:bg-indigo-100 text-indigo-700 text-sm"
-                onClick={() => setEmailOpen((v) => !v)}
-              >
-                📧 Email log
-              </button>
-            )}
-            {!currentUser ? (
-              <button className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm" onClick={() => setLoginOpen(true)}>
-                Prijava
-              </button>
+            {isAnnouncementRead(a, student.id) ? (
+              <span className="text-xs text-slate-400">pročitano</span>
             ) : (
-              <div className="flex items-center gap-2">
-                <span className="text-sm text-slate-600">👤 {currentUser.name} ({currentUser.role})</span>
-                <button className="px-3 py-1.5 rounded-lg bg-white border text-sm" onClick={logout}>
-                  Odjava
-                </button>
-              </div>
+              <span className="text-xs text-indigo-600">novo</span>
             )}
+            <button className="px-3 py-1.5 rounded-lg bg-white border" onClick={() => open(a)}>
+              Otvori
+            </button>
+            <button className="px-3 py-1.5 rounded-lg bg-white border" onClick={() => onHide?.(a)}>
+              Ukloni
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/***************
+ * TUTOR PANEL *
+ ***************/
+function TutorPanel({ store, tutor, weekStart, activeDay }) {
+  const dayDate = dateForWeekday(weekStart, activeDay);
+  const [time, setTime] = useState("10:00");
+  const [duration, setDuration] = useState(DEFAULT_SLOT_MINUTES);
+  const [capacity, setCapacity] = useState(1); // broj mjesta novog termina
+  const [rulesFor, setRulesFor] = useState(null); // student u dijalogu pravila rezerviranja
+  const [moving, setMoving] = useState(null); // termin za koji se predlaže premještanje
+
+  const myStudents = store.users.filter((u) => u.role === "student" && teachesStudent(store, tutor.id, u.id));
+  const mySlots = store.slots
+    .filter((s) => s.tutorId === tutor.id)
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+  const daySlots = mySlots.filter((s) => sameDay(new Date(s.when), dayDate));
+
+  const pastWeek = isPastWeek(weekStart);
+
+  const add = () => {
+    if (pastWeek) {
+      alert("Dodavanje onemogućeno za ovaj tjedan.");
+      return;
+    }
+    const t = parseClock(time);
+    if (!t) {
+      alert("Neispravno vrijeme – upišite npr. 10:30.");
+      return;
+    }
+    if (!ensureCan(store, tutor, "slot:create", { tutorId: tutor.id })) return;
+    const slot = {
+      id: uid(),
+      tutorId: tutor.id,
+      when: withTime(dayDate, t.hour, t.minute).toISOString(),
+      durationMin: duration,
+      reservedBy: null,
+      done: false,
+      published: false,
+      ...capacityFields(capacity),
+    };
+    if (confirmNewSlot(store, slot)) insertSlot(store, slot);
+  };
+
+  const deleteSlot = (s) => {
+    if (!ensureCan(store, tutor, "slot:delete", s)) return;
+    if (attendeesOf(s).length && !window.confirm("Otkazati rezervirani termin? Studenti će dobiti obavijest.")) return;
+    execute(removeSlotCmd(store, s, tutor));
+  };
+
+  const toggleDone = (s) => {
+    if (!ensureCan(store, tutor, "slot:update", s)) return;
+    patchSlot(store, s, { done: !s.done }, "slot:done");
+  };
+
+  const accept = async (s) => {
+    if (!ensureCan(store, tutor, "slot:approve", s)) return;
+    const res = await acceptBooking(store, s, tutor);
+    if (!res.ok) alert(res.reason);
+  };
+
+  const decline = async (s) => {
+    if (!ensureCan(store, tutor, "slot:approve", s)) return;
+    const reason = window.prompt("Razlog odbijanja (neobavezno):");
+    if (reason === null) return;
+    const res = await declineBooking(store, s, reason.trim(), tutor);
+    if (!res.ok) alert(res.reason);
+  };
+
+  const saveRules = (rules) => {
+    if (!ensureCan(store, tutor, "booking:override", rulesFor)) return;
+    setBookingRules(store, rulesFor, rules, tutor);
+    setRulesFor(null);
+  };
+
+  const toggleApproval = (e) => {
+    if (!ensureCan(store, tutor, "booking:configure", { tutorId: tutor.id })) return;
+    updateUser(store, tutor, { requireApproval: e.target.checked }, "user:booking-settings");
+  };
+
+  const postAnnouncement = () => {
+    if (!ensureCan(store, tutor, "announcement:create", { tutorId: tutor.id })) return;
+    const title = window.prompt("Naslov obavijesti:");
+    if (!title) return;
+    const body = window.prompt("Tekst obavijesti:") || "";
+
+    const students = studentIdsOf(store, tutor.id);
+
+    const a = {
+      id: uid(),
+      tutorId: tutor.id,
+      title,
+      body,
+      createdAt: new Date().toISOString(),
+      recipients: students,
+      readBy: [],
+    };
+
+    students.forEach((sid) => {
+      const stu = store.users.find((u) => u.id === sid);
+      pushNotif(store, sid, { type: "announcement", title: "Nova objava: " + title, message: body.slice(0, 120) });
+      sendEmail(store, stu.email, "Nova objava od tutora " + tutor.name + ": " + title, body);
+    });
+
+    insertAnnouncement(store, a);
+  };
+
+  // Draft termini za prikazani tjedan iz tjednog rasporeda (bez duplikata)
+  const generateWeek = () => {
+    if (pastWeek) return;
+    if (!store.availability[tutor.id]?.entries.length) {
+      alert("Najprije spremite tjedni raspored dostupnosti.");
+      return;
+    }
+    if (!ensureCan(store, tutor, "slot:create", { tutorId: tutor.id })) return;
+    const { create, skipped } = planFromTemplate(store, tutor.id, weekStart);
+    if (create.length) execute(generateDraftsCmd(store, create));
+    alert(
+      `Dodano draft termina: ${create.length}` +
+        (skipped ? ` (preskočeno ${skipped} – već postoje ili su prošli)` : "") +
+        (create.length ? ". Pregledajte ih i objavite gumbom \"Potvrdi i pošalji\"." : ".")
+    );
+  };
+
+  // Objavi sve draft termine u AKTUALNOM TJEDNU
+  const publishWeek = () => {
+    if (pastWeek) return;
+
+    const start = startOfWeek(weekStart);
+    const end = endOfWeek(weekStart);
+    const draftsThisWeek = store.slots.filter(
+      (s) => s.tutorId === tutor.id && !s.published && new Date(s.when) >= start && new Date(s.when) < end
+    );
+    // draftovi u zatvorene dane ostaju neobjavljeni
+    const mineDraftThisWeek = draftsThisWeek.filter((s) => !slotClosure(store, s));
+    const closedDrafts = draftsThisWeek.length - mineDraftThisWeek.length;
+
+    if (mineDraftThisWeek.length === 0) {
+      alert(closedDrafts ? "Svi draft termini ovog tjedna padaju u zatvorene dane." : "Nema draft termina za objavu u ovom tjednu.");
+      return;
+    }
+    if (!ensureCan(store, tutor, "slot:publish", { tutorId: tutor.id })) return;
+
+    publishSlots(store, mineDraftThisWeek);
+    processWaitlist(store);
+
+    const studentIds = studentIdsOf(store, tutor.id);
+
+    const dayNames = new Set(
+      mineDraftThisWeek.map((s) =>
+        new Date(s.when).toLocaleDateString("hr-HR", { weekday: "long", day: "2-digit", month: "2-digit" })
+      )
+    );
+    const msg =
+      `Objavljeni su novi termini za tjedan ${fmtWeekRange(start)}.\n` +
+      `Dani: ${Array.from(dayNames).join(", ")}.`;
+
+    studentIds.forEach((sid) => {
+      const stu = store.users.find((u) => u.id === sid);
+      pushNotif(store, sid, { type: "slots", title: "Novi termini objavljeni", message: msg });
+      sendEmail(store, stu.email, `Novi termini od ${tutor.name}`, msg);
+    });
+    if (closedDrafts) alert(`${closedDrafts} draft termina nije objavljeno jer padaju u zatvorene dane.`);
+  };
+
+  return (
+    <section className="grid gap-4">
+      <Card title="Moji termini (po danu)">
+        <div className="flex flex-wrap items-end gap-2">
+          <ClockField label="Početak" value={time} setValue={setTime} />
+          <DurationField value={duration} setValue={setDuration} />
+          <CapacityField value={capacity} setValue={setCapacity} />
+          <button
+            className="px-3 py-2 rounded-lg text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: pastWeek ? "#e11d48" : "#4f46e5" }}
+            onClick={add}
+            disabled={pastWeek}
+          >
+            + Dodaj termin za {fmtDay(dayDate)}
+          </button>
+          <button
+            className="px-3 py-2 rounded-lg text-white"
+            style={{ background: pastWeek ? "#e11d48" : "#059669" }}
+            onClick={publishWeek}
+            disabled={pastWeek}
+            title="Objavi sve draft termine u ovom tjednu"
+          >
+            ✅ Potvrdi i pošalji
+          </button>
+          <button
+            className="px-3 py-2 rounded-lg bg-white border disabled:opacity-50"
+            onClick={generateWeek}
+            disabled={pastWeek}
+            title="Stvori draft termine za ovaj tjedan iz tjednog rasporeda"
+          >
+            🔁 Iz rasporeda
+          </button>
+          <button className="px-3 py-2 rounded-lg bg-white border" onClick={postAnnouncement}>
+            📢 Nova objava
+          </button>
+        </div>
+        {can(store, tutor, "booking:configure", { tutorId: tutor.id }) && (
+          <div className="mt-3 text-sm text-slate-600">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={!!tutor.requireApproval} onChange={toggleApproval} />
+              Rezervacije pojedinačnih termina traže moju potvrdu
+            </label>
+            <div className="text-xs text-slate-500 ml-6">
+              Grupni termini (više mjesta) se ne potvrđuju: student zauzima mjesto odmah, bez vaše provjere.
+            </div>
           </div>
+        )}
+
+        <div className="mt-4 grid gap-2 max-h-80 overflow-auto pr-1">
+          {daySlots.length === 0 ? (
+            <Empty>Nema termina za ovaj dan.</Empty>
+          ) : (
+            daySlots.map((s) => {
+              const box = slotBox(s);
+              return (
+                <div
+                  key={s.id}
+                  className={`p-3 rounded-xl border bg-white flex items-center justify-between gap-3 ${box}`}
+                >
+                  <div className="font-medium flex items-center gap-2">
+                    <span>{fmtSlot(s)}</span>
+                    {s.done && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200">
+                        odrađeno
+                      </span>
+                    )}
+                    {!s.published && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 border border-amber-200">
+                        draft (nije objavljeno)
+                      </span>
+                    )}
+                    <ClosedDayTag store={store} slot={s} />
+                  </div>
+                  <div className="text-sm text-slate-600 flex items-center gap-3">
+                    {s.pending ? (
+                      <>
+                        <span>
+                          Zahtjev: <b>{store.users.find((u) => u.id === s.reservedBy)?.name}</b>
+                          {s.requestMessage && <span className="text-slate-500"> – {s.requestMessage}</span>}
+                        </span>
+                        {can(store, tutor, "slot:approve", s) && (
+                          <>
+                            <button className="px-2 py-1 rounded-lg bg-emerald-600 text-white text-xs" onClick={() => accept(s)}>
+                              Prihvati
+                            </button>
+                            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => decline(s)}>
+                              Odbij
+                            </button>
+                          </>
+                        )}
+                      </>
+                    ) : isGroupSlot(s) ? (
+                      <>
+                        <SeatsTag slot={s} />
+                        {attendeesOf(s).length > 0 && (
+                          <span>
+                            Polaznici: <b>{attendeesOf(s).map((id) => store.users.find((u) => u.id === id)?.name || "—").join(", ")}</b>
+                          </span>
+                        )}
+                      </>
+                    ) : s.reservedBy ? (
+                      <>
+                        Rezervirao: <b>{store.users.find((u) => u.id === s.reservedBy)?.name}</b>
+                        {canPropose(store, tutor, s) && (
+                          <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setMoving(s)}>
+                            ↔ Premjesti
+                          </button>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-slate-500">{s.published ? "slobodno" : "nevidljivo studentima"}</span>
+                    )}
+                    {can(store, tutor, "slot:update", s) && (
+                      <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => toggleDone(s)}>
+                        {s.done ? "Poništi odrađeno" : "Označi odrađeno"}
+                      </button>
+                    )}
+                    {can(store, tutor, "slot:delete", s) && (
+                      <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => deleteSlot(s)}>
+                        {attendeesOf(s).length ? "Otkaži (zatvoreno)" : "Obriši"}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })
+          )}
         </div>
-      </header>
+      </Card>
+
+      {can(store, tutor, "availability:update", { tutorId: tutor.id }) && (
+        <Card title="Tjedni raspored dostupnosti">
+          <AvailabilityEditor store={store} tutor={tutor} />
+        </Card>
+      )}
+
+      {can(store, tutor, "absence:manage", { tutorId: tutor.id }) && (
+        <Card title="Odsutnosti">
+          <AbsenceEditor store={store} actor={tutor} tutors={[tutor]} />
+        </Card>
+      )}
+
+      {myStudents.length > 0 && (
+        <Card title="Moji studenti">
+          <ul className="grid gap-1 text-sm">
+            {myStudents.map((u) => (
+              <li key={u.id} className="flex items-center justify-between gap-2">
+                <span className="truncate">
+                  {u.name}
+                  <span className="text-xs text-slate-500">
+                    {" "}
+                    · {describeBookingRules(bookingRulesFor(store, u)) || "bez ograničenja rezerviranja"}
+                    {u.bookingRules && " (posebna pravila)"}
+                  </span>
+                </span>
+                {can(store, tutor, "booking:override", u) && (
+                  <button className="px-2 py-0.5 rounded-lg bg-white border text-xs" onClick={() => setRulesFor(u)}>
+                    📏 Pravila
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
 
-      <main className="max-w-6xl mx-auto px-4 py-6 grid gap-6">
-        {currentUser ? (
+      <RescheduleRequests store={store} user={tutor} />
+
+      {rulesFor && (
+        <BookingRulesModal store={store} student={rulesFor} onClose={() => setRulesFor(null)} onSave={saveRules} />
+      )}
+      {moving && <RescheduleModal store={store} slot={moving} actor={tutor} onClose={() => setMoving(null)} />}
+    </section>
+  );
+}
+
+/** Prijedlog premještanja: odabir jednog ili više slobodnih termina istog tutora */
+function RescheduleModal({ store, slot, actor, onClose }) {
+  const candidates = rescheduleCandidates(store, slot);
+  const [picked, setPicked] = useState([]);
+  const [message, setMessage] = useState("");
+  const toggle = (id) => setPicked((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id]));
+
+  const submit = () => {
+    if (!ensureCan(store, actor, "reschedule:propose", slot)) return;
+    const res = proposeReschedule(store, slot, actor, picked, message);
+    if (!res.ok) return alert(res.error);
+    onClose();
+  };
+
+  return (
+    <Modal title={`Premještanje termina ${fmtSlot(slot)}`} onClose={onClose}>
+      <div className="grid gap-3 text-sm">
+        {candidates.length === 0 ? (
+          <Empty>Tutor nema drugih slobodnih objavljenih termina.</Empty>
+        ) : (
           <>
-            <WelcomeBar store={store} user={currentUser} />
-            <div className="grid md:grid-cols-3 gap-6 items-start">
-              <div className="md:col-span-2 grid gap-6">
-                <WeekView store={store} user={currentUser} />
-              </div>
-              <aside className="grid gap-6">
-                <NotificationsPanel store={store} user={currentUser} />
-                <AnnouncementsPanel store={store} user={currentUser} />
-              </aside>
+            <div className="text-slate-600">Odaberite termine koje predlažete; druga strana bira jedan od njih.</div>
+            <ul className="grid gap-1 max-h-64 overflow-auto pr-1">
+              {candidates.map((c) => (
+                <li key={c.id}>
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={picked.includes(c.id)} onChange={() => toggle(c.id)} />
+                    {fmtSlot(c)}
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <label className="grid gap-1">
+              <span className="text-slate-600">Poruka (neobavezno)</span>
+              <input className="px-3 py-2 rounded-lg border" value={message} onChange={(e) => setMessage(e.target.value)} />
+            </label>
+            <div>
+              <button
+                className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50"
+                disabled={!picked.length}
+                onClick={submit}
+              >
+                Pošalji prijedlog
+              </button>
             </div>
-            {emailOpen && <EmailLog store={store} onClose={() => setEmailOpen(false)} />}
           </>
-        ) : (
-          <Landing />
         )}
-      </main>
-
-      <footer className="py-6 text-center text-sm text-slate-500">
-        Demo verzija · podaci se spremaju lokalno (localStorage).
-      </footer>
-
-      {loginOpen && (
-        <LoginModal
-          store={store}
-          onClose={() => setLoginOpen(false)}
-          onSuccess={(u) => {
-            setCurrentUser(u);
-            localStorage.setItem(SESS_KEY, u.id);
-          }}
-        />
-      )}
-    </div>
+      </div>
+    </Modal>
   );
 }
 
-/****************
- * Komponente   *
- ****************/
-function Landing() {
+/** Otvoreni zahtjevi za premještanje u kojima korisnik sudjeluje */
+function RescheduleRequests({ store, user }) {
+  const open = store.reschedules.filter(
+    (r) =>
+      r.status === "pending" &&
+      [r.studentId, r.tutorId, r.proposedBy].includes(user.id) &&
+      rescheduleStillValid(store, r)
+  );
+  if (!open.length) return null;
+  const slotOf = (id) => store.slots.find((s) => s.id === id);
+  const nameOf = (id) => store.users.find((u) => u.id === id)?.name || "—";
+
+  const accept = async (r, optionId) => {
+    if (!ensureCan(store, user, "reschedule:respond", r)) return;
+    const res = await acceptReschedule(store, r, optionId, user);
+    if (!res.ok) alert(res.error);
+  };
+  const decline = (r) => {
+    if (ensureCan(store, user, "reschedule:respond", r)) declineReschedule(store, r, user);
+  };
+  const withdraw = (r) => {
+    if (ensureCan(store, user, "reschedule:withdraw", r)) withdrawReschedule(store, r, user);
+  };
+
   return (
-    <div className="mx-auto max-w-xl text-center py-16">
-      <p className="text-4xl">👋</p>
-      <h2 className="text-2xl font-semibold mt-2">Dobrodošli!</h2>
-      <p className="mt-2 text-slate-600">
-        Prijavite se gumbom gore desno i isprobajte aplikaciju kao admin, tutor ili student.
-        (Demo lozinke: admin123 / test123)
-      </p>
-    </div>
+    <Card title="Premještanje termina">
+      <ul className="grid gap-2">
+        {open.map((r) => {
+          const respond = can(store, user, "reschedule:respond", r);
+          const options = r.options.map(slotOf).filter((s) => s && !s.reservedBy);
+          return (
+            <li key={r.id} className="p-3 rounded-xl border border-indigo-200 bg-indigo-50 grid gap-2 text-sm">
+              <div>
+                <b>{nameOf(r.proposedBy)}</b> predlaže premještanje termina <b>{fmtSlot(slotOf(r.slotId))}</b>
+                {user.id !== r.studentId && <span className="text-slate-500"> (student: {nameOf(r.studentId)})</span>}
+                {r.message && <div className="text-xs text-slate-600">Poruka: {r.message}</div>}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                {respond ? (
+                  <>
+                    {options.map((o) => (
+                      <button key={o.id} className="px-2 py-1 rounded-lg bg-emerald-600 text-white text-xs" onClick={() => accept(r, o.id)}>
+                        Prihvati {fmtSlot(o)}
+                      </button>
+                    ))}
+                    {!options.length && <span className="text-xs text-slate-500">Predloženi termini su u međuvremenu zauzeti.</span>}
+                    <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => decline(r)}>
+                      Odbij
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs text-slate-600">
+                    Predloženo: {options.map(fmtSlot).join(", ") || "—"} · čeka odgovor
+                  </span>
+                )}
+                {can(store, user, "reschedule:withdraw", r) && (
+                  <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => withdraw(r)}>
+                    Povuci
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </Card>
   );
 }
 
-function WelcomeBar({ store, user }) {
-  const unread = (store.notifications[user.id]?.filter((n) => !n.read)?.length) || 0;
+const WEEKDAYS = ["Ponedjeljak", "Utorak", "Srijeda", "Četvrtak", "Petak", "Subota", "Nedjelja"];
+
+function AvailabilityEditor({ store, tutor }) {
+  const saved = store.availability[tutor.id];
+  const [entries, setEntries] = useState(saved?.entries || []);
+  const [from, setFrom] = useState(saved?.from || "");
+  const [until, setUntil] = useState(saved?.until || "");
+  const [skipDates, setSkipDates] = useState(saved?.skipDates || []);
+  const [skipInput, setSkipInput] = useState("");
+
+  const patchEntry = (id, patch) => setEntries((list) => list.map((e) => (e.id === id ? { ...e, ...patch } : e)));
+  const addEntry = () =>
+    setEntries((list) => [...list, { id: uid(), weekday: 0, time: "10:00", durationMin: DEFAULT_SLOT_MINUTES }]);
+  const addSkip = () => {
+    if (skipInput && !skipDates.includes(skipInput)) setSkipDates((d) => [...d, skipInput].sort());
+    setSkipInput("");
+  };
+
+  const save = () => {
+    if (!ensureCan(store, tutor, "availability:update", { tutorId: tutor.id })) return;
+    if (from && until && from > until) return alert("Datum početka mora biti prije datuma završetka.");
+    const sorted = [...entries].sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time));
+    setAvailability(
+      store,
+      tutor.id,
+      sorted.length ? { entries: sorted, from: from || null, until: until || null, skipDates } : null
+    );
+    setEntries(sorted);
+    alert("Raspored je spremljen.");
+  };
+
   return (
-    <div className="p-4 rounded-2xl bg-white border border-slate-200 flex items-center justify-between">
+    <div className="grid gap-3 text-sm">
+      {entries.length === 0 ? (
+        <Empty>Raspored je prazan. Dodajte dane i vremena u kojima ste redovito dostupni.</Empty>
+      ) : (
+        <ul className="grid gap-2">
+          {entries.map((e) => (
+            <li key={e.id} className="flex flex-wrap items-end gap-2">
+              <label className="grid gap-1">
+                <span className="text-slate-600">Dan</span>
+                <select
+                  className="px-3 py-2 rounded-lg border"
+                  value={e.weekday}
+                  onChange={(ev) => patchEntry(e.id, { weekday: Number(ev.target.value) })}
+                >
+                  {WEEKDAYS.map((d, i) => (
+                    <option key={i} value={i}>
+                      {d}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <ClockField label="Početak" value={e.time} setValue={(time) => patchEntry(e.id, { time })} />
+              <DurationField value={e.durationMin} setValue={(durationMin) => patchEntry(e.id, { durationMin })} />
+              <button
+                className="px-2 py-2 rounded-lg bg-white border text-xs"
+                onClick={() => setEntries((list) => list.filter((x) => x.id !== e.id))}
+                title="Ukloni"
+              >
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
       <div>
-        <div className="text-sm text-slate-500">Prijavljeni kao</div>
-        <div className="text-lg font-semibold">
-          {user.name} <span className="text-slate-400">({user.role})</span>
+        <button className="px-3 py-2 rounded-lg bg-white border" onClick={addEntry}>
+          + Dodaj termin u raspored
+        </button>
+      </div>
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-slate-600">Vrijedi od (neobavezno)</span>
+          <input type="date" className="px-3 py-2 rounded-lg border" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Vrijedi do (neobavezno)</span>
+          <input type="date" className="px-3 py-2 rounded-lg border" value={until} onChange={(e) => setUntil(e.target.value)} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Preskoči datum</span>
+          <input type="date" className="px-3 py-2 rounded-lg border" value={skipInput} onChange={(e) => setSkipInput(e.target.value)} />
+        </label>
+        <button className="px-3 py-2 rounded-lg bg-white border" onClick={addSkip} disabled={!skipInput}>
+          Dodaj
+        </button>
+      </div>
+      {skipDates.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {skipDates.map((d) => (
+            <span key={d} className="text-xs px-2 py-0.5 rounded-full bg-slate-100 border flex items-center gap-1">
+              {new Date(d + "T00:00").toLocaleDateString("hr-HR")}
+              <button onClick={() => setSkipDates((list) => list.filter((x) => x !== d))} title="Ukloni">
+                ×
+              </button>
+            </span>
+          ))}
         </div>
+      )}
+      <div>
+        <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+          Spremi raspored
+        </button>
       </div>
-      <div className="text-sm text-slate-600">
-        🔔 Nepročitanih obavijesti: <b>{unread}</b>
+      <div className="text-xs text-slate-500">
+        Draft termini za prikazani tjedan stvaraju se gumbom "🔁 Iz rasporeda"; studenti ih vide tek nakon "Potvrdi i
+        pošalji".
       </div>
     </div>
   );
 }
 
-/***********************************
- * Lokalni tjedni pregled po ulozi *
- ***********************************/
-function WeekView({ store, user }) {
-  const [weekStart, setWeekStart] = useState(startOfWeek());
-  const [activeDay, setActiveDay] = useState(0);
+const fmtDateKey = (key) => new Date(key + "T00:00").toLocaleDateString("hr-HR");
+const fmtClosureRange = (c) => (c.from === c.until ? fmtDateKey(c.from) : `${fmtDateKey(c.from)} – ${fmtDateKey(c.until)}`);
 
-  const role = user.role;
+/** Obrazac za razdoblje (od–do + razlog); zajednički za zatvaranja centra i odsutnosti */
+function ClosureForm({ onAdd, reasonPlaceholder, children }) {
+  const [from, setFrom] = useState("");
+  const [until, setUntil] = useState("");
+  const [reason, setReason] = useState("");
+
+  const add = () => {
+    if (!from) return alert("Odaberite datum.");
+    if (until && until < from) return alert("Datum završetka mora biti nakon datuma početka.");
+    if (onAdd({ from, until: until || from, reason: reason.trim() }) === false) return;
+    setFrom("");
+    setUntil("");
+    setReason("");
+  };
 
   return (
-    <>
-      <WeekNav weekStart={weekStart} setWeekStart={setWeekStart} />
-      <WeekGrid store={store} user={user} weekStart={weekStart} activeDay={activeDay} setActiveDay={setActiveDay} />
+    <div className="flex flex-wrap items-end gap-2 text-sm">
+      {children}
+      <label className="grid gap-1">
+        <span className="text-slate-600">Od</span>
+        <input type="date" className="px-3 py-2 rounded-lg border" value={from} onChange={(e) => setFrom(e.target.value)} />
+      </label>
+      <label className="grid gap-1">
+        <span className="text-slate-600">Do (neobavezno)</span>
+        <input type="date" className="px-3 py-2 rounded-lg border" value={until} onChange={(e) => setUntil(e.target.value)} />
+      </label>
+      <label className="grid gap-1">
+        <span className="text-slate-600">Razlog</span>
+        <input className="px-3 py-2 rounded-lg border" value={reason} placeholder={reasonPlaceholder} onChange={(e) => setReason(e.target.value)} />
+      </label>
+      <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={add}>
+        Dodaj
+      </button>
+    </div>
+  );
+}
 
-      {role === "student" && (
-        <StudentPanel store={store} student={user} weekStart={weekStart} activeDay={activeDay} />
+function reportClosureHits(hit) {
+  if (hit.length) {
+    alert(`Spremljeno. ${hit.length} rezerviranih termina pada u to razdoblje – predložite premještanje ili otkažite termine.`);
+  }
+}
+
+/** Odsutnosti tutora (bolovanje, godišnji); tutors = tutori čije odsutnosti actor uređuje */
+function AbsenceEditor({ store, actor, tutors }) {
+  const [tutorId, setTutorId] = useState(tutors[0]?.id || "");
+  const today = toDateKey(new Date());
+  const ids = new Set(tutors.map((t) => t.id));
+  const absences = store.closures
+    .filter((c) => ids.has(c.tutorId) && c.until >= today)
+    .sort((a, b) => a.from.localeCompare(b.from));
+  const nameOf = (id) => store.users.find((u) => u.id === id)?.name || "—";
+
+  const add = (period) => {
+    if (!ensureCan(store, actor, "absence:manage", { tutorId })) return false;
+    reportClosureHits(addClosure(store, { ...period, tutorId }, actor));
+  };
+
+  const remove = (c) => {
+    if (ensureCan(store, actor, "absence:manage", c)) removeClosure(store, c);
+  };
+
+  return (
+    <div className="grid gap-3 text-sm">
+      {absences.length === 0 ? (
+        <Empty>Nema najavljenih odsutnosti.</Empty>
+      ) : (
+        <ul className="grid gap-1">
+          {absences.map((c) => (
+            <li key={c.id} className="flex items-center justify-between gap-2">
+              <span>
+                {fmtClosureRange(c)}
+                {tutors.length > 1 && <b> · {nameOf(c.tutorId)}</b>}
+                {c.reason && <span className="text-slate-500"> · {c.reason}</span>}
+              </span>
+              <button className="px-2 py-0.5 rounded-lg bg-white border text-xs" onClick={() => remove(c)} title="Ukloni">
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
       )}
-      {role === "tutor" && <TutorPanel store={store} tutor={user} weekStart={weekStart} activeDay={activeDay} />}
-      {role === "admin" && <AdminPanel store={store} admin={user} weekStart={weekStart} activeDay={activeDay} />}
-    </>
+      <ClosureForm onAdd={add} reasonPlaceholder="npr. bolovanje, godišnji odmor">
+        {tutors.length > 1 && (
+          <label className="grid gap-1">
+            <span className="text-slate-600">Tutor</span>
+            <select className="px-3 py-2 rounded-lg border" value={tutorId} onChange={(e) => setTutorId(e.target.value)}>
+              {tutors.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </ClosureForm>
+    </div>
   );
 }
 
-function WeekNav({ weekStart, setWeekStart }) {
-  const prev = () =>
-    setWeekStart((d) => {
-      const nd = new Date(d);
-      nd.setDate(nd.getDate() - 7);
-      return nd;
-    });
+/** Kalendar zatvaranja centra (praznici, ispitni rokovi) i rezervacije koje u njih padaju */
+function ClosureCalendar({ store, admin, onMove }) {
+  const thisYear = new Date().getFullYear();
+  const [year, setYear] = useState(thisYear);
+  const today = toDateKey(new Date());
+  const closures = store.closures
+    .filter((c) => c.tutorId == null && c.until >= today)
+    .sort((a, b) => a.from.localeCompare(b.from));
+  const flagged = bookingsOnClosedDays(store);
+  const nameOf = (id) => store.users.find((u) => u.id === id)?.name || "—";
+
+  const add = (period) => {
+    if (!ensureCan(store, admin, "closure:manage")) return false;
+    reportClosureHits(addClosure(store, period, admin));
+  };
+
+  const generate = () => {
+    if (!ensureCan(store, admin, "closure:manage")) return;
+    const before = bookingsOnClosedDays(store).length;
+    const added = addHolidays(store, year, admin);
+    const hits = bookingsOnClosedDays(store).length - before;
+    alert(
+      added ? `Dodano praznika: ${added}.` + (hits > 0 ? ` ${hits} rezerviranih termina pada u praznike.` : "") : "Svi praznici za tu godinu već su u kalendaru."
+    );
+  };
+
+  const remove = (c) => {
+    if (ensureCan(store, admin, "closure:manage")) removeClosure(store, c);
+  };
+
   return (
-    <div className="flex items-center justify-between">
-      <div className="text-lg font-semibold">Tjedan {fmtWeekRange(weekStart)}</div>
-      <div className="flex items-center gap-2">
-        <button className="px-3 py-1.5 rounded-lg bg-white border hover:bg-slate-50" onClick={prev}>
-          ⬅️ Prethodni
-        </button>
-        <button
-          className="px-3 py-1.5 rounded-lg bg-white border hover:bg-slate-50"
-          onClick={() => setWeekStart(startOfWeek())}
-        >
-          📅 Ovaj tjedan
+    <div className="grid gap-3 text-sm">
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-slate-600">Godina</span>
+          <select className="px-3 py-2 rounded-lg border" value={year} onChange={(e) => setYear(Number(e.target.value))}>
+            {[thisYear, thisYear + 1].map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="px-3 py-2 rounded-lg bg-white border" onClick={generate}>
+          🇭🇷 Dodaj državne praznike
         </button>
       </div>
+      {closures.length === 0 ? (
+        <Empty>Nema nadolazećih zatvorenih dana.</Empty>
+      ) : (
+        <ul className="grid gap-1 max-h-48 overflow-auto pr-1">
+          {closures.map((c) => (
+            <li key={c.id} className="flex items-center justify-between gap-2">
+              <span>
+                {fmtClosureRange(c)} <span className="text-slate-500">· {c.reason || "zatvoreno"}</span>
+              </span>
+              <button className="px-2 py-0.5 rounded-lg bg-white border text-xs" onClick={() => remove(c)} title="Ukloni">
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <ClosureForm onAdd={add} reasonPlaceholder="npr. ispitni rok" />
+      {flagged.length > 0 && (
+        <div className="grid gap-1">
+          <div className="font-medium text-rose-700">Rezervacije u zatvorenim danima ({flagged.length})</div>
+          <ul className="grid gap-1">
+            {flagged.map((s) => (
+              <li key={s.id} className="flex flex-wrap items-center justify-between gap-2 p-2 rounded-lg border border-rose-200 bg-rose-50">
+                <span>
+                  {fmtSlot(s)} · {nameOf(s.tutorId)} → {attendeesOf(s).map(nameOf).join(", ")}{" "}
+                  <span className="text-slate-500">({closureLabel(slotClosure(store, s))})</span>
+                </span>
+                {canPropose(store, admin, s) && (
+                  <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => onMove(s)}>
+                    ↔ Premjesti
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
 
-/** Bojanje dana ovisno o terminima i rezervacijama */
-function WeekGrid({ store, user, weekStart, activeDay, setActiveDay }) {
-  const days = ["Pon", "Uto", "Sri", "Čet", "Pet", "Sub", "Ned"];
-  const pastWeek = isPastWeek(weekStart);
+/** Katalog predmeta: koji tutor predaje koji predmet; predmet s upisima ne može se obrisati. */
+function SubjectCatalog({ store, admin }) {
+  const [form, setForm] = useState({ name: "", department: admin.role === "coordinator" ? admin.department : "" });
+  const subjects = store.subjects
+    .filter((x) => can(store, admin, "subject:manage", x))
+    .sort((a, b) => a.name.localeCompare(b.name, "hr"));
+  const teachers = store.users.filter((u) => (u.role === "tutor" || u.role === "admin") && !u.deactivatedAt);
+  const enrolledIn = (subjectId, tutorId = null) =>
+    Object.values(store.assignments).flat().filter((e) => e.subjectId === subjectId && (!tutorId || e.tutorId === tutorId)).length;
 
-  const visibleSlotsForDay = (dayDate) => {
-    if (user.role === "student") {
-      const tutorId = store.assignments[user.id];
-      return store.slots
-        .filter((s) => s.tutorId === tutorId && s.published)
-        .filter((s) => sameDay(new Date(s.when), dayDate));
-    }
-    if (user.role === "tutor") {
-      return store.slots
-        .filter((s) => s.tutorId === user.id)
-        .filter((s) => sameDay(new Date(s.when), dayDate));
+  const add = (e) => {
+    e.preventDefault();
+    const subject = { id: uid(), name: form.name.trim(), department: form.department.trim() || null };
+    if (!subject.name) return alert("Upišite naziv predmeta.");
+    if (!ensureCan(store, admin, "subject:manage", subject)) return;
+    if (store.subjects.some((x) => x.name.toLowerCase() === subject.name.toLowerCase() && x.department === subject.department)) {
+      return alert("Predmet već postoji.");
     }
-    return store.slots.filter((s) => s.published).filter((s) => sameDay(new Date(s.when), dayDate));
+    insertSubject(store, subject);
+    setForm((f) => ({ ...f, name: "" }));
   };
 
-  return (
-    <div className="grid grid-cols-7 gap-2">
-      {days.map((label, i) => {
-        const d = dateForWeekday(weekStart, i);
-        const isToday = new Date().toDateString() === d.toDateString();
-
-        let base = "bg-white hover:bg-slate-50";
-        let border = "border-slate-200";
-
-        if (pastWeek) {
-          base = "bg-rose-50";
-          border = "border-rose-300 text-rose-700";
-        } else {
-          const slots = visibleSlotsForDay(d);
-          if (slots.length > 0) {
-            const allReserved = slots.every((s) => !!s.reservedBy);
-            if (allReserved) {
-              base = "bg-rose-50";
-              border = "border-rose-300 text-rose-700";
-            } else {
-              base = "bg-emerald-50";
-              border = "border-emerald-300 text-emerald-700";
-            }
-          }
-        }
+  const remove = (subject) => {
+    if (!ensureCan(store, admin, "subject:manage", subject)) return;
+    const n = enrolledIn(subject.id);
+    if (n > 0) return alert(`Na predmet je upisano studenata: ${n}. Najprije ih ispišite ili premjestite.`);
+    if (!window.confirm(`Obrisati predmet ${subject.name}?`)) return;
+    teachers
+      .filter((t) => (t.subjects || []).includes(subject.id))
+      .forEach((t) => updateUser(store, t, { subjects: t.subjects.filter((id) => id !== subject.id) }, "user:subjects"));
+    removeSubject(store, subject);
+  };
 
-        const active = activeDay === i ? "border-indigo-500 ring-2 ring-indigo-100" : border;
+  const toggle = (subject, tutor) => {
+    if (!ensureCan(store, admin, "subject:manage", subject) || !ensureCan(store, admin, "user:update", tutor)) return;
+    const has = (tutor.subjects || []).includes(subject.id);
+    if (has && enrolledIn(subject.id, tutor.id) > 0) {
+      return alert(`${tutor.name} ima upisane studente iz predmeta ${subject.name}. Najprije ih premjestite drugom tutoru.`);
+    }
+    const next = has ? tutor.subjects.filter((id) => id !== subject.id) : [...(tutor.subjects || []), subject.id];
+    updateUser(store, tutor, { subjects: next }, "user:subjects");
+  };
 
-        return (
-          <button
-            key={i}
-            onClick={() => setActiveDay(i)}
-            className={`rounded-2xl border p-4 text-center transition h-24 ${base} ${active}`}
-          >
-            <div className={`text-sm ${pastWeek ? "text-rose-700" : "text-slate-500"}`}>{label}</div>
-            <div className="text-xl font-semibold">{String(d.getDate()).padStart(2, "0")}</div>
-            {!pastWeek && isToday && <div className="text-[10px] text-green-600 mt-1">danas</div>}
-            {pastWeek && <div className="text-[10px] text-rose-600 mt-1">prošli tjedan</div>}
-          </button>
-        );
-      })}
+  return (
+    <div className="grid gap-3 text-sm">
+      {subjects.length === 0 ? (
+        <Empty>Još nema predmeta.</Empty>
+      ) : (
+        <ul className="grid gap-2 max-h-72 overflow-auto pr-1">
+          {subjects.map((x) => (
+            <li key={x.id} className="p-2 rounded-lg border bg-white grid gap-1">
+              <div className="flex items-center justify-between gap-2">
+                <span>
+                  <b>{x.name}</b>
+                  <span className="text-slate-500"> · {x.department || "bez odjela"} · upisa: {enrolledIn(x.id)}</span>
+                </span>
+                <button className="px-2 py-0.5 rounded-lg bg-white border text-xs" onClick={() => remove(x)} title="Obriši predmet">
+                  🗑️
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-x-3 gap-y-1">
+                {teachers
+                  .filter((t) => can(store, admin, "user:update", t) || (t.subjects || []).includes(x.id))
+                  .map((t) => (
+                    <label key={t.id} className="flex items-center gap-1 text-xs">
+                      <input
+                        type="checkbox"
+                        checked={(t.subjects || []).includes(x.id)}
+                        disabled={!can(store, admin, "user:update", t)}
+                        onChange={() => toggle(x, t)}
+                      />
+                      {t.name}
+                    </label>
+                  ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="flex flex-wrap items-end gap-2" onSubmit={add}>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Novi predmet</span>
+          <input
+            className="px-3 py-2 rounded-lg border"
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            placeholder="npr. Kemija"
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Odjel</span>
+          <input
+            className="px-3 py-2 rounded-lg border disabled:bg-slate-50"
+            value={form.department}
+            onChange={(e) => setForm((f) => ({ ...f, department: e.target.value }))}
+            disabled={admin.role === "coordinator"}
+            placeholder="npr. Prirodne znanosti"
+          />
+        </label>
+        <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white">➕ Dodaj</button>
+      </form>
     </div>
   );
 }
 
-/*****************
- * STUDENT PANEL *
- *****************/
-function StudentPanel({ store, student, weekStart, activeDay }) {
-  const tutorId = store.assignments[student.id];
-  const tutor = store.users.find((u) => u.id === tutorId);
-  const dayDate = dateForWeekday(weekStart, activeDay);
+/****************
+ * ADMIN PANEL  *
+ ****************/
+function AdminPanel({ store, admin, weekStart, activeDay }) {
+  const teachables = store.users.filter((u) => u.role === "tutor" || u.role === "admin");
+  // deaktivirani ne predaju, pa se ne nude u odabiru tutora
+  const activeTeachables = teachables.filter((t) => !t.deactivatedAt);
+  // koordinator počinje od tutora iz svog odjela
+  const [selectedTutorId, setSelectedTutorId] = useState(
+    (activeTeachables.find((t) => admin.department && t.department === admin.department) || activeTeachables[0])?.id || ""
+  );
+  const [statsOpen, setStatsOpen] = useState(false);
+  const [addModal, setAddModal] = useState({ open: false, role: "tutor" }); // {open, role:'tutor'|'student'|'coordinator'}
+  const [duration, setDuration] = useState(DEFAULT_SLOT_MINUTES); // trajanje novog termina
+  const [capacity, setCapacity] = useState(1); // broj mjesta novog termina
+  const [editing, setEditing] = useState(null); // korisnik u obrascu za uređivanje
+  const [deleting, setDeleting] = useState(null); // korisnik u dijalogu za brisanje
+  const [rulesFor, setRulesFor] = useState(null); // student u dijalogu pravila rezerviranja
+  const [moving, setMoving] = useState(null); // termin za koji se predlaže premještanje
 
-  const daySlots = useMemo(
-    () =>
-      store.slots
-        .filter((s) => s.tutorId === tutorId && s.published)
-        .filter((s) => sameDay(new Date(s.when), dayDate))
-        .sort((a, b) => new Date(a.when) - new Date(b.when)),
-    [store.slots, tutorId, dayDate]
+  const tutors = store.users.filter((u) => u.role === "tutor");
+  const coordinators = store.users.filter((u) => u.role === "coordinator");
+  const admins = store.users.filter((u) => u.role === "admin");
+  const students = store.users.filter((u) => u.role === "student");
+  const absenceTutors = teachables.filter((t) => can(store, admin, "absence:manage", { tutorId: t.id }));
+  const dayDate = dateForWeekday(weekStart, activeDay);
+  // koordinator može dodavati samo korisnike svog odjela; admin bira odjel u obrascu
+  const newUserTarget = (role) => ({ role, department: admin.department });
+  const canCreate = (role) => can(store, admin, "user:create", newUserTarget(role));
+  const pendingRegs = store.registrations.filter(
+    (r) => r.status === "pending" && can(store, admin, "registration:review", r)
   );
 
-  const reserve = (slot) => {
-    const now = new Date();
-    if (new Date(slot.when) < now) {
-      alert("Ne može se rezervirati prošli termin.");
-      return;
-    }
-    if (!slot.published) {
-      alert("Termin još nije objavljen.");
-      return;
-    }
-    if (slot.reservedBy && slot.reservedBy !== student.id) {
-      alert("Termin je već rezerviran.");
-      return;
-    }
-    if (slot.reservedBy === student.id) {
-      alert("Već ste rezervirali ovaj termin.");
+  // upis studenta na predmet kod tutora; tutorId null ispisuje studenta s predmeta
+  const setEnrollment = (studentId, subjectId, tutorId, current = null) => {
+    if (!ensureCan(store, admin, "assignment:update", { studentId, tutorId: tutorId || current })) return;
+    execute(enrollCmd(store, studentId, subjectId, tutorId));
+  };
+
+  const addSlotAsAdmin = () => {
+    const teacher = teachables.find((t) => t.id === selectedTutorId);
+    if (!teacher) {
+      window.alert("Odaberite tutora.");
       return;
     }
-    slot.reservedBy = student.id;
+    if (!ensureCan(store, admin, "slot:create", { tutorId: teacher.id })) return;
+    const answer = window.prompt("Vrijeme početka (HH:MM):", "10:00");
+    if (answer == null) return;
+    const t = parseClock(answer);
+    if (!t) return alert("Neispravno vrijeme – upišite npr. 10:30.");
+    const slot = {
+      id: uid(),
+      tutorId: teacher.id,
+      when: withTime(dayDate, t.hour, t.minute).toISOString(),
+      durationMin: duration,
+      reservedBy: null,
+      done: false,
+      published: false,
+      ...capacityFields(capacity),
+    };
+    if (confirmNewSlot(store, slot)) insertSlot(store, slot);
+  };
+
+  const deleteAnySlot = (s) => {
+    if (!ensureCan(store, admin, "slot:delete", s)) return;
+    const booked = attendeesOf(s).length;
+    if (booked && !window.confirm(`Termin je rezerviran – ${booked > 1 ? `${booked} studenata će dobiti` : "student će dobiti"} obavijest o otkazivanju. Obrisati?`)) return;
+    execute(removeSlotCmd(store, s, admin));
+  };
 
-    pushNotif(store, tutor.id, {
-      type: "booking",
-      title: "Nova rezervacija",
-      message: `${student.name} je rezervirao/la termin ${fmtRangeFromISO(slot.when)}.`,
+  // Privremena lozinka se prikazuje samo adminu; korisnik je mora promijeniti pri prvoj prijavi
+  const resetPassword = async (u) => {
+    if (!ensureCan(store, admin, "user:reset-password", u)) return;
+    if (!window.confirm(`Resetirati lozinku za ${u.name}?`)) return;
+    const temp = generateTempPassword();
+    setUserPassword(store, u, await hashPassword(temp), true, "user:password-reset");
+    revokeUserSessions(store, u.id, "password-reset");
+    pushNotif(store, u.id, {
+      type: "system",
+      title: "Lozinka je resetirana",
+      message: "Administrator je resetirao vašu lozinku. Pri sljedećoj prijavi postavite novu.",
     });
     sendEmail(
       store,
-      tutor.email,
-      "Nova rezervacija termina",
-      `${student.name} je rezervirao/la termin ${fmtRangeFromISO(slot.when)}.`
+      u.email,
+      "Lozinka je resetirana",
+      "Administrator je resetirao lozinku vašeg računa. Privremenu lozinku dobit ćete od administratora; pri prijavi ćete morati postaviti novu."
     );
-    publish({ type: "slot:update" });
+    window.prompt(`Privremena lozinka za ${u.name} (proslijedite je korisniku):`, temp);
   };
 
-  const removeMyAnnouncement = (a) => {
-    if (!store.hiddenAnnouncements[student.id]) store.hiddenAnnouncements[student.id] = [];
-    const arr = store.hiddenAnnouncements[student.id];
-    if (!arr.includes(a.id)) arr.push(a.id);
-    publish({ type: "announcement:hidden", id: a.id, userId: student.id });
+  const toggleActive = (u) => {
+    if (!ensureCan(store, admin, "user:deactivate", u)) return;
+    const active = !!u.deactivatedAt;
+    if (!active) {
+      const { students, slots } = teaches(u.role) ? countUserLinks(store, u) : {};
+      const links = students || slots ? ` Studenti (${students}) će dobiti novog tutora, a budući termini (${slots}) bit će otkazani.` : "";
+      if (!window.confirm(`Deaktivirati račun ${u.name}? Korisnik će biti odjavljen i neće se moći prijaviti.${links}`)) return;
+    }
+    setUserActive(store, u, active, admin);
+  };
+
+  const saveEdit = async ({ password, ...payload }) => {
+    const u = editing;
+    if (!ensureCan(store, admin, "user:update", u)) return;
+    if (!ensureCan(store, admin, "user:update", { role: payload.role, department: payload.department })) return;
+    const taken = identityTaken(store, payload, u.id);
+    if (taken === "username") return alert("Korisničko ime je zauzeto.");
+    if (taken === "email") return alert("Email je zauzet.");
+    const patch = Object.fromEntries(Object.entries(payload).filter(([k, v]) => (u[k] ?? null) !== v));
+    if (patch.role && teaches(u.role) && !teaches(patch.role)) {
+      const { students, slots } = countUserLinks(store, u);
+      if ((students || slots) && !window.confirm(`${u.name} ima ${students} studenata i ${slots} budućih termina. Studenti će dobiti novog tutora, a termini će biti otkazani. Nastaviti?`)) return;
+    }
+    if (Object.keys(patch).length) await editUser(store, u, patch, admin);
+    setEditing(null);
+  };
+
+  const saveRules = (rules) => {
+    if (!ensureCan(store, admin, "booking:override", rulesFor)) return;
+    setBookingRules(store, rulesFor, rules, admin);
+    setRulesFor(null);
   };
 
+  const confirmDelete = async (transferTo) => {
+    if (!ensureCan(store, admin, "user:delete", deleting)) return;
+    await deleteUser(store, deleting, transferTo || null, admin);
+    setDeleting(null);
+  };
+
+  const userActions = (u) => (
+    <UserActions
+      store={store}
+      actor={admin}
+      user={u}
+      onReset={resetPassword}
+      onEdit={setEditing}
+      onRules={setRulesFor}
+      onToggleActive={toggleActive}
+      onDelete={setDeleting}
+    />
+  );
+
+  const deleteAnnouncement = (a) => {
+    if (ensureCan(store, admin, "announcement:delete", a)) execute(removeAnnouncementCmd(store, a));
+  };
+
+  const allAnnouncements = store.announcements;
+
+  // Samo termini odabranog tutora za AKTIVNI DAN
+  const daySlotsForSelected = store.slots
+    .filter((s) => s.tutorId === selectedTutorId)
+    .filter((s) => sameDay(new Date(s.when), dayDate))
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+
+  // koordinator bez odjela (npr. račun iz starije verzije baze) ne može ništa mijenjati dok mu admin ne dodijeli odjel
+  const noDepartment = coordinators.filter((c) => !c.department && !c.deactivatedAt);
+
   return (
     <section className="grid gap-4">
-      <Card title="Termini vašeg tutora">
-        <div className="text-sm text-slate-600 mb-2">
-          Prikazani su OBJAVLJENI termini vašeg tutora: <b>{tutor?.name}</b>.
+      {admin.role === "coordinator" && !admin.department && (
+        <div className="p-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 text-sm">
+          ⚠️ Vašem računu nije dodijeljen odjel, pa ne možete uređivati korisnike ni termine. Obratite se administratoru.
         </div>
-        {daySlots.length === 0 ? (
-          <Empty>Na ovaj dan nema objavljenih termina.</Empty>
+      )}
+      {admin.role === "admin" && noDepartment.length > 0 && (
+        <div className="p-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 text-sm flex flex-wrap items-center gap-2">
+          ⚠️ Koordinatori bez odjela ne mogu ništa uređivati – dodijelite im odjel:
+          {noDepartment.map((c) => (
+            <button key={c.id} className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setEditing(c)}>
+              {c.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <Card title="Korisnici">
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="p-3 rounded-xl border bg-white">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-medium">Tutori</div>
+              {canCreate("tutor") && (
+                <button className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs" onClick={() => setAddModal({ open: true, role: "tutor" })}>
+                  ➕ Novi tutor
+                </button>
+              )}
+            </div>
+            <ul className="space-y-1 text-sm max-h-48 overflow-auto pr-1">
+              {tutors.map((t) => (
+                <li key={t.id} className={`flex items-center justify-between gap-2 ${t.deactivatedAt ? "opacity-60" : ""}`}>
+                  <span className="truncate">
+                    {t.name}
+                    {t.deactivatedAt && <span className="text-xs text-slate-400"> (neaktivan)</span>}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className="text-xs text-slate-400">{t.department || t.username}</span>
+                    {userActions(t)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div className="p-3 rounded-xl border bg-white">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-medium">Studenti</div>
+              {canCreate("student") && (
+                <button className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs" onClick={() => setAddModal({ open: true, role: "student" })}>
+                  ➕ Novi student
+                </button>
+              )}
+            </div>
+            <ul className="space-y-1 text-sm max-h-48 overflow-auto pr-1">
+              {students.map((s) => {
+                const current = enrollmentsOf(store, s.id);
+                // ponuda: parovi predmet–tutor za predmete na koje student još nije upisan
+                const offers = teachingPairs(store).filter(
+                  (e) =>
+                    !current.some((c) => c.subjectId === e.subjectId) &&
+                    !store.users.find((u) => u.id === e.tutorId)?.deactivatedAt &&
+                    can(store, admin, "assignment:update", { studentId: s.id, tutorId: e.tutorId })
+                );
+                return (
+                  <li key={s.id} className={`py-1 ${s.deactivatedAt ? "opacity-60" : ""}`}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="truncate">
+                        {s.name}
+                        {s.deactivatedAt && <span className="text-xs text-slate-400"> (neaktivan)</span>}
+                      </span>
+                      {userActions(s)}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-1 mt-1">
+                      {current.length === 0 && <span className="text-xs text-slate-400">— bez upisa —</span>}
+                      {current.map((e) => (
+                        <span key={pairKey(e)} className="text-xs px-2 py-0.5 rounded-full bg-slate-100 border flex items-center gap-1">
+                          {pairLabel(store, e)}
+                          {can(store, admin, "assignment:update", { studentId: s.id, tutorId: e.tutorId }) && (
+                            <button
+                              className="text-slate-500 hover:text-rose-600"
+                              title="Ispiši s predmeta"
+                              onClick={() => setEnrollment(s.id, e.subjectId, null, e.tutorId)}
+                            >
+                              ×
+                            </button>
+                          )}
+                        </span>
+                      ))}
+                      {offers.length > 0 && (
+                        <select
+                          className="px-2 py-0.5 rounded-lg border text-xs"
+                          value=""
+                          onChange={(ev) => {
+                            const e = offers.find((o) => pairKey(o) === ev.target.value);
+                            if (e) setEnrollment(s.id, e.subjectId, e.tutorId);
+                          }}
+                        >
+                          <option value="">➕ upiši…</option>
+                          {offers.map((e) => (
+                            <option key={pairKey(e)} value={pairKey(e)}>
+                              {pairLabel(store, e)}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+          {(coordinators.length > 0 || canCreate("coordinator")) && (
+            <div className="p-3 rounded-xl border bg-white md:col-span-2">
+              <div className="flex items-center justify-between mb-2">
+                <div className="font-medium">Koordinatori</div>
+                {canCreate("coordinator") && (
+                  <button
+                    className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs"
+                    onClick={() => setAddModal({ open: true, role: "coordinator" })}
+                  >
+                    ➕ Novi koordinator
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-1 text-sm max-h-32 overflow-auto pr-1">
+                {coordinators.map((c) => (
+                  <li key={c.id} className={`flex items-center justify-between gap-2 ${c.deactivatedAt ? "opacity-60" : ""}`}>
+                    <span className="truncate">
+                      {c.name}
+                      {c.deactivatedAt && <span className="text-xs text-slate-400"> (neaktivan)</span>}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      <span className="text-xs text-slate-400">{c.department || "bez odjela"}</span>
+                      {userActions(c)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {canCreate("admin") && (
+            <div className="p-3 rounded-xl border bg-white md:col-span-2">
+              <div className="flex items-center justify-between mb-2">
+                <div className="font-medium">Administratori</div>
+                <button className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs" onClick={() => setAddModal({ open: true, role: "admin" })}>
+                  ➕ Novi administrator
+                </button>
+              </div>
+              <ul className="space-y-1 text-sm max-h-32 overflow-auto pr-1">
+                {admins.map((a) => (
+                  <li key={a.id} className={`flex items-center justify-between gap-2 ${a.deactivatedAt ? "opacity-60" : ""}`}>
+                    <span className="truncate">
+                      {a.name}
+                      {a.id === admin.id && <span className="text-xs text-slate-400"> (vi)</span>}
+                      {a.deactivatedAt && <span className="text-xs text-slate-400"> (neaktivan)</span>}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      <span className="text-xs text-slate-400">{a.department || a.username}</span>
+                      {userActions(a)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </Card>
+
+      {pendingRegs.length > 0 && (
+        <Card title={`Zahtjevi za registraciju (${pendingRegs.length})`}>
+          <RegistrationQueue store={store} actor={admin} registrations={pendingRegs} />
+        </Card>
+      )}
+
+      <Card title={`Termini za ${fmtDay(dayDate)} (odabrani tutor)`}>
+        <div className="mb-3 flex flex-wrap items-center gap-2">
+          <label className="text-sm text-slate-600">Tutor:</label>
+          <select
+            className="px-3 py-2 rounded-lg border"
+            value={selectedTutorId}
+            onChange={(e) => setSelectedTutorId(e.target.value)}
+          >
+            {activeTeachables.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+          {can(store, admin, "slot:create", { tutorId: selectedTutorId }) && (
+            <>
+              <select
+                className="px-3 py-2 rounded-lg border"
+                value={duration}
+                onChange={(e) => setDuration(Number(e.target.value))}
+                title="Trajanje novog termina"
+              >
+                {SLOT_DURATIONS.map((m) => (
+                  <option key={m} value={m}>
+                    {m} min
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                className="px-3 py-2 rounded-lg border w-20"
+                value={capacity}
+                min={1}
+                max={MAX_SLOT_CAPACITY}
+                onChange={(e) => setCapacity(Math.min(MAX_SLOT_CAPACITY, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+                title="Broj mjesta (više od 1 = grupni termin)"
+              />
+              <button className="px-3 py-2 rounded-lg bg-white border" onClick={addSlotAsAdmin}>
+                + Dodaj termin za {fmtDay(dayDate)}
+              </button>
+            </>
+          )}
+          {can(store, admin, "stats:view") && (
+            <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={() => setStatsOpen(true)}>
+              📊 Grafički prikaz
+            </button>
+          )}
+        </div>
+
+        {daySlotsForSelected.length === 0 ? (
+          <Empty>Nema termina.</Empty>
         ) : (
-          <div className="grid gap-2 max-h-80 overflow-auto pr-1">
-            {daySlots.map((s) => {
-              const isReserved = !!s.reservedBy;
-              const box = isReserved ? "border-rose-200 bg-rose-50" : "border-emerald-200 bg-emerald-50";
+          <ul className="grid gap-2 max-h-80 overflow-auto pr-1">
+            {daySlotsForSelected.map((s) => {
+              const box = slotBox(s);
+              const tutorName = store.users.find((u) => u.id === s.tutorId)?.name || "—";
+              const names = attendeesOf(s).map((id) => store.users.find((u) => u.id === id)?.name || "—");
+              const studentName = isGroupSlot(s)
+                ? `${names.join(", ") || "nema polaznika"} (${seatsLabel(s)})`
+                : names.length
+                ? names[0] + (s.pending ? " (čeka potvrdu)" : "")
+                : "slobodno";
               return (
-                <div key={s.id} className={`flex items-center justify-between p-3 rounded-xl border ${box}`}>
-                  <div>
-                    <div className="font-medium">{fmtRangeFromISO(s.when)}</div>
-                    <div className="text-xs text-slate-500">
-                      Objavio tutor: {store.users.find((u) => u.id === s.tutorId)?.name}
-                    </div>
+                <li key={s.id} className={`p-3 rounded-xl border bg-white flex items-center justify-between ${box}`}>
+                  <div className="text-sm">
+                    <div className="font-medium">{fmtSlot(s)}</div>
+                    <div className="text-xs text-slate-500">Tutor: {tutorName}</div>
+                    <div className="text-xs text-slate-500">{isGroupSlot(s) ? "Polaznici" : "Student"}: {studentName}</div>
+                    {!s.published && <div className="text-xs text-amber-600">⚠️ Nije objavljeno studentima</div>}
+                    <ClosedDayTag store={store} slot={s} />
                   </div>
-                  <div>
-                    {s.reservedBy ? (
-                      s.reservedBy === student.id ? (
-                        <span className="text-green-700 text-sm">✔️ Rezervirano (vi)</span>
-                      ) : (
-                        <span className="text-slate-600 text-sm">Zauzeto</span>
-                      )
-                    ) : (
-                      <button className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm" onClick={() => reserve(s)}>
-                        Rezerviraj
+                  <div className="flex items-center gap-2">
+                    {canPropose(store, admin, s) && (
+                      <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => setMoving(s)}>
+                        ↔ Premjesti
+                      </button>
+                    )}
+                    {can(store, admin, "slot:delete", s) && (
+                      <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => deleteAnySlot(s)}>
+                        Obriši
                       </button>
                     )}
                   </div>
-                </div>
+                </li>
               );
             })}
-          </div>
+          </ul>
         )}
       </Card>
 
-      <Card title="Objave vašeg tutora">
-        <StudentAnnouncementsList store={store} student={student} tutorId={tutorId} onHide={removeMyAnnouncement} />
+      {can(store, admin, "stats:view") && (
+        <Card title={`Statistika (tjedno) – ${fmtWeekRange(weekStart)}`}>
+          {/* Tablični u layoutu, grafovi u popupu */}
+          <AdminStatsTables store={store} initialWeekStart={weekStart} />
+        </Card>
+      )}
+
+      {can(store, admin, "settings:update") && (
+        <Card title="Arhiva termina">
+          <ArchiveSettings store={store} actor={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "settings:update") && (
+        <Card title="Pravila otkazivanja i liste čekanja">
+          <CancellationSettings store={store} actor={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "subject:manage", { department: admin.department }) && (
+        <Card title="Predmeti">
+          <SubjectCatalog store={store} admin={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "closure:manage") && (
+        <Card title="Zatvoreni dani i praznici">
+          <ClosureCalendar store={store} admin={admin} onMove={setMoving} />
+        </Card>
+      )}
+
+      {absenceTutors.length > 0 && (
+        <Card title="Odsutnosti tutora">
+          <AbsenceEditor store={store} actor={admin} tutors={absenceTutors} />
+        </Card>
+      )}
+
+      {can(store, admin, "settings:update") && (
+        <Card title="Pravila rezerviranja">
+          <BookingRulesSettings store={store} actor={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "settings:update") && (
+        <Card title="Registracija studenata">
+          <RegistrationSettings store={store} actor={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "backup:manage") && (
+        <Card title="Sigurnosna kopija baze">
+          <BackupTools store={store} actor={admin} />
+        </Card>
+      )}
+
+      {can(store, admin, "audit:view") && (
+        <Card title="Revizijski zapis (tko je što napravio)">
+          <AuditLogViewer store={store} />
+        </Card>
+      )}
+
+      <Card title="Sve objave (pregled i brisanje)">
+        {allAnnouncements.length === 0 ? (
+          <Empty>Nema objava.</Empty>
+        ) : (
+          <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
+            {allAnnouncements.map((a) => (
+              <li key={a.id} className="p-3 rounded-xl border bg-white flex items-center justify-between">
+                <div>
+                  <div className="font-medium">
+                    {a.title}{" "}
+                    <span className="text-xs text-slate-400">• {store.users.find((u) => u.id === a.tutorId)?.name}</span>
+                  </div>
+                  <div className="text-xs text-slate-500">{new Date(a.createdAt).toLocaleString("hr-HR")}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    className="px-3 py-1.5 rounded-lg bg-white border"
+                    onClick={() => window.alert("📢 " + a.title + "\n\n" + a.body)}
+                  >
+                    Otvori
+                  </button>
+                  {can(store, admin, "announcement:delete", a) && (
+                    <button
+                      className="px-3 py-1.5 rounded-lg bg-rose-600 text-white"
+                      onClick={() => deleteAnnouncement(a)}
+                    >
+                      Obriši
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
       </Card>
+
+      <RescheduleRequests store={store} user={admin} />
+
+      {statsOpen && <StatsPopup store={store} initialWeekStart={weekStart} onClose={() => setStatsOpen(false)} />}
+      {editing && (
+        <AddUserModal
+          role={editing.role}
+          user={editing}
+          roles={Object.keys(ROLE_LABELS).filter(
+            (r) => r === editing.role || can(store, admin, "user:update", { role: r, department: admin.department })
+          )}
+          department={admin.role === "coordinator" ? admin.department : null}
+          onClose={() => setEditing(null)}
+          onSubmit={saveEdit}
+        />
+      )}
+      {deleting && (
+        <DeleteUserModal store={store} user={deleting} onClose={() => setDeleting(null)} onConfirm={confirmDelete} />
+      )}
+      {rulesFor && (
+        <BookingRulesModal store={store} student={rulesFor} onClose={() => setRulesFor(null)} onSave={saveRules} />
+      )}
+      {moving && <RescheduleModal store={store} slot={moving} actor={admin} onClose={() => setMoving(null)} />}
+      {addModal.open && (
+        <AddUserModal
+          role={addModal.role}
+          department={admin.role === "coordinator" ? admin.department : null}
+          onClose={() => setAddModal({ open: false, role: "tutor" })}
+          onSubmit={async ({ password, ...payload }) => {
+            // payload: {name, username, email, department} + lozinka koja se odmah hashira
+            if (!ensureCan(store, admin, "user:create", { role: addModal.role, department: payload.department })) return;
+            const taken = identityTaken(store, payload);
+            if (taken === "username") return alert("Korisničko ime je zauzeto.");
+            if (taken === "email") return alert("Email je zauzet.");
+
+            const passwordHash = await hashPassword(password);
+            const newU = insertUser(store, { id: uid(), role: addModal.role, ...payload, passwordHash });
+
+            if (newU.role === "student") {
+              const first = defaultEnrollment(store, newU.department);
+              if (first) setEnrollments(store, newU.id, [first]);
+            }
+
+            alert("Korisnik dodan.");
+            setAddModal({ open: false, role: "tutor" });
+          }}
+        />
+      )}
     </section>
   );
 }
 
-function StudentAnnouncementsList({ store, student, tutorId, onHide }) {
-  let items = store.announcements.filter((a) => a.tutorId === tutorId);
-  const hiddenArr = store.hiddenAnnouncements[student.id] || [];
-  const hidden = new Set(hiddenArr);
-  items = items.filter((a) => !hidden.has(a.id));
+/** Gumbi za upravljanje korisnikom u popisu – prikazuju se samo dopuštene radnje. */
+function UserActions({ store, actor, user, onReset, onEdit, onRules, onToggleActive, onDelete }) {
+  const btn = "px-2 py-0.5 rounded-lg bg-white border text-xs";
+  return (
+    <>
+      {can(store, actor, "user:update", user) && (
+        <button className={btn} onClick={() => onEdit(user)} title="Uredi">
+          ✏️
+        </button>
+      )}
+      {can(store, actor, "booking:override", user) && (
+        <button className={btn} onClick={() => onRules(user)} title="Pravila rezerviranja">
+          📏
+        </button>
+      )}
+      {can(store, actor, "user:reset-password", user) && (
+        <button className={btn} onClick={() => onReset(user)} title="Reset lozinke">
+          🔑
+        </button>
+      )}
+      {can(store, actor, "user:deactivate", user) && (
+        <button className={btn} onClick={() => onToggleActive(user)} title={user.deactivatedAt ? "Aktiviraj" : "Deaktiviraj"}>
+          {user.deactivatedAt ? "▶️" : "⏸️"}
+        </button>
+      )}
+      {can(store, actor, "user:delete", user) && (
+        <button className={btn} onClick={() => onDelete(user)} title="Obriši">
+          🗑️
+        </button>
+      )}
+    </>
+  );
+}
+
+function RegistrationQueue({ store, actor, registrations }) {
+  // predloženi upis: predmet odjela kod najmanje opterećenog tutora (kao pri ručnom dodavanju studenta)
+  const [choice, setChoice] = useState({}); // regId -> "subjectId:tutorId"
+  const options = (r) =>
+    teachingPairs(store).filter((e) => can(store, actor, "registration:review", { ...r, tutorId: e.tutorId }));
+  const pairFor = (r) => {
+    if (choice[r.id] != null) return choice[r.id];
+    const suggested = pairKey(defaultEnrollment(store, r.department));
+    return options(r).some((e) => pairKey(e) === suggested) ? suggested : "";
+  };
 
-  const open = (a) => {
-    markAnnouncementRead(store, student.id, a.id);
-    alert("📢 " + a.title + "\n\n" + a.body);
+  const approve = (r) => {
+    const enrollment = options(r).find((e) => pairKey(e) === pairFor(r)) || null;
+    if (!ensureCan(store, actor, "registration:review", { ...r, tutorId: enrollment?.tutorId || null })) return;
+    if (identityTaken(store, r, r.id)) return alert("Korisničko ime ili email je u međuvremenu zauzet – zahtjev treba odbiti.");
+    approveRegistration(store, r, enrollment, actor);
   };
-  return items.length === 0 ? (
-    <Empty>Nema objava.</Empty>
-  ) : (
-    <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
-      {items.map((a) => (
-        <li key={a.id} className="p-3 rounded-xl border bg-white flex items-center justify-between">
-          <div>
-            <div className="font-medium">{a.title}</div>
-            <div className="text-xs text-slate-500">{new Date(a.createdAt).toLocaleString("hr-HR")}</div>
+
+  const reject = (r) => {
+    if (!ensureCan(store, actor, "registration:review", r)) return;
+    const reason = (window.prompt(`Razlog odbijanja zahtjeva (${r.name}):`) || "").trim();
+    if (!reason) return;
+    rejectRegistration(store, r, reason, actor);
+  };
+
+  return (
+    <ul className="grid gap-2 max-h-80 overflow-auto pr-1">
+      {registrations.map((r) => (
+        <li key={r.id} className="p-3 rounded-xl border bg-white flex flex-wrap items-center justify-between gap-2">
+          <div className="text-sm">
+            <div className="font-medium">
+              {r.name} <span className="text-xs text-slate-400">@{r.username}</span>
+            </div>
+            <div className="text-xs text-slate-500">
+              {r.email} · {r.department || "bez odjela"} · {new Date(r.createdAt).toLocaleString("hr-HR")}
+            </div>
           </div>
           <div className="flex items-center gap-2">
-            {isAnnouncementRead(a, student.id) ? (
-              <span className="text-xs text-slate-400">pročitano</span>
-            ) : (
-              <span className="text-xs text-indigo-600">novo</span>
-            )}
-            <button className="px-3 py-1.5 rounded-lg bg-white border" onClick={() => open(a)}>
-              Otvori
+            <select
+              className="px-2 py-1 rounded-lg border text-xs"
+              value={pairFor(r)}
+              onChange={(e) => setChoice((c) => ({ ...c, [r.id]: e.target.value }))}
+            >
+              <option value="">— bez upisa —</option>
+              {options(r).map((e) => (
+                <option key={pairKey(e)} value={pairKey(e)}>
+                  {pairLabel(store, e)}
+                </option>
+              ))}
+            </select>
+            <button className="px-2 py-1 rounded-lg bg-emerald-600 text-white text-xs" onClick={() => approve(r)}>
+              Odobri
             </button>
-            <button className="px-3 py-1.5 rounded-lg bg-white border" onClick={() => onHide?.(a)}>
-              Ukloni
+            <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => reject(r)}>
+              Odbij
             </button>
           </div>
         </li>
@@ -585,434 +5415,452 @@ function StudentAnnouncementsList({ store, student, tutorId, onHide }) {
   );
 }
 
-/***************
- * TUTOR PANEL *
- ***************/
-function TutorPanel({ store, tutor, weekStart, activeDay }) {
-  const dayDate = dateForWeekday(weekStart, activeDay);
-  const [hh, setHh] = useState(10);
-
-  const mySlots = store.slots
-    .filter((s) => s.tutorId === tutor.id)
-    .sort((a, b) => new Date(a.when) - new Date(b.when));
-  const daySlots = mySlots.filter((s) => sameDay(new Date(s.when), dayDate));
-
-  const pastWeek = isPastWeek(weekStart);
-
-  const add = () => {
-    if (pastWeek) {
-      alert("Dodavanje onemogućeno za ovaj tjedan.");
-      return;
-    }
-    const dt = withTime(dayDate, hh, 0);
-    const now = new Date();
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    if (dt < todayStart) {
-      alert("Ne možeš dodati termin u prošlom danu.");
-      return;
-    }
-    const slot = { id: uid(), tutorId: tutor.id, when: dt.toISOString(), reservedBy: null, done: false, published: false };
-    store.slots.push(slot);
-    publish({ type: "slot:new", slot });
-  };
+function DeleteUserModal({ store, user, onClose, onConfirm }) {
+  const [transferTo, setTransferTo] = useState("");
+  const { students, slots, reservations } = countUserLinks(store, user);
+  const others = store.users.filter((u) => teaches(u.role) && u.id !== user.id && !u.deactivatedAt);
+  return (
+    <Modal title={`🗑️ Brisanje korisnika ${user.name}`} onClose={onClose}>
+      <div className="grid gap-3 max-w-lg text-sm">
+        <ul className="list-disc pl-5 text-slate-600">
+          {teaches(user.role) && (
+            <>
+              <li>Dodijeljenih studenata: {students}</li>
+              <li>Budućih termina: {slots}</li>
+            </>
+          )}
+          {user.role === "student" && <li>Budućih rezervacija: {reservations} (termini postaju slobodni)</li>}
+          <li>Prošli termini ostaju u povijesti i statistici.</li>
+        </ul>
+        {teaches(user.role) && (students > 0 || slots > 0) && (
+          <label className="grid gap-1">
+            <span className="text-slate-600">Studenti i budući termini</span>
+            <select className="px-3 py-2 rounded-lg border" value={transferTo} onChange={(e) => setTransferTo(e.target.value)}>
+              <option value="">Otkaži termine, studente rasporedi najmanje opterećenim tutorima</option>
+              {others.map((t) => (
+                <option key={t.id} value={t.id}>
+                  Prenesi na: {t.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <div className="text-xs text-slate-500">Svi pogođeni korisnici dobit će obavijest. Brisanje se ne može poništiti.</div>
+        <div className="flex items-center gap-2">
+          <button className="px-3 py-2 rounded-lg bg-rose-600 text-white" onClick={() => onConfirm(transferTo)}>
+            Obriši
+          </button>
+          <button className="px-3 py-2 rounded-lg bg-white border" onClick={onClose}>
+            Odustani
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
 
-  const canDeleteSlot = (s) => {
-    if (tutor.role === "admin") return true;
-    if (s.tutorId !== tutor.id) return false;
-    return !s.reservedBy;
-  };
+function ArchiveSettings({ store, actor }) {
+  const [days, setDays] = useState(store.settings.archiveAfterDays);
 
-  const deleteSlot = (s) => {
-    if (!canDeleteSlot(s)) {
-      alert("Nije dozvoljeno brisanje ovog termina.");
-      return;
-    }
-    store.slots = store.slots.filter((x) => x.id !== s.id);
-    publish({ type: "slot:delete", id: s.id });
+  const save = () => {
+    if (!ensureCan(store, actor, "settings:update")) return;
+    if (days == null) return alert("Unesite broj dana od 0 do 365.");
+    updateSetting(store, "archiveAfterDays", days);
+    archivePastSlots(store);
   };
 
-  const postAnnouncement = () => {
-    const title = window.prompt("Naslov obavijesti:");
-    if (!title) return;
-    const body = window.prompt("Tekst obavijesti:") || "";
-
-    const students = Object.entries(store.assignments)
-      .filter(([sid, tid]) => tid === tutor.id)
-      .map(([sid]) => sid);
-
-    const a = {
-      id: uid(),
-      tutorId: tutor.id,
-      title,
-      body,
-      createdAt: new Date().toISOString(),
-      recipients: students,
-      readBy: [],
-    };
-    store.announcements.unshift(a);
+  return (
+    <div className="flex flex-wrap items-end gap-3">
+      <NumberField label="Arhiviraj nakon" value={days} setValue={setDays} min={0} max={365} unit="dana" />
+      <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+        Spremi i primijeni
+      </button>
+      <div className="text-sm text-slate-600">
+        U arhivi: <b>{store.history.length}</b> termina
+        {store.lastArchiveAt && (
+          <span className="text-xs text-slate-400"> · zadnje arhiviranje {new Date(store.lastArchiveAt).toLocaleString("hr-HR")}</span>
+        )}
+      </div>
+    </div>
+  );
+}
 
-    students.forEach((sid) => {
-      const stu = store.users.find((u) => u.id === sid);
-      pushNotif(store, sid, { type: "announcement", title: "Nova objava: " + title, message: body.slice(0, 120) });
-      sendEmail(store, stu.email, "Nova objava od tutora " + tutor.name + ": " + title, body);
-    });
+function CancellationSettings({ store, actor }) {
+  const [hours, setHours] = useState(store.settings.cancelCutoffHours);
+  const [allowLate, setAllowLate] = useState(store.settings.allowLateCancel);
+  const [holdMinutes, setHoldMinutes] = useState(store.settings.waitlistHoldMinutes);
+  const late = store.cancellations.filter((c) => c.late).length;
+  const waiting = store.waitlist.filter((e) => ["waiting", "offered"].includes(e.status)).length;
 
-    publish({ type: "announcement:new", a });
+  const save = () => {
+    if (!ensureCan(store, actor, "settings:update")) return;
+    if (hours == null) return alert("Rok otkazivanja: unesite cijeli broj sati od 0 do 168.");
+    if (holdMinutes == null) return alert("Zadržavanje ponude: unesite cijeli broj minuta od 5 do 1440.");
+    updateSetting(store, "cancelCutoffHours", hours);
+    updateSetting(store, "allowLateCancel", allowLate);
+    updateSetting(store, "waitlistHoldMinutes", holdMinutes);
   };
 
-  // Objavi sve draft termine u AKTUALNOM TJEDNU
-  const publishWeek = () => {
-    if (pastWeek) return;
-
-    const start = startOfWeek(weekStart);
-    const end = endOfWeek(weekStart);
-    const mineDraftThisWeek = store.slots.filter(
-      (s) => s.tutorId === tutor.id && !s.published && new Date(s.when) >= start && new Date(s.when) < end
-    );
-
-    if (mineDraftThisWeek.length === 0) {
-      alert("Nema draft termina za objavu u ovom tjednu.");
-      return;
-    }
+  return (
+    <div className="flex flex-wrap items-end gap-3">
+      <NumberField label="Rok (sati prije termina)" value={hours} setValue={setHours} min={0} max={168} />
+      <label className="text-sm flex items-center gap-2 py-2">
+        <input type="checkbox" checked={allowLate} onChange={(e) => setAllowLate(e.target.checked)} />
+        Dopusti kasno otkazivanje (bilježi se u statistici)
+      </label>
+      <NumberField label="Zadržavanje ponude (min)" value={holdMinutes} setValue={setHoldMinutes} min={5} max={1440} />
+      <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+        Spremi
+      </button>
+      <div className="text-sm text-slate-600">
+        Otkazivanja: <b>{store.cancellations.length}</b>, od toga kasnih: <b>{late}</b> · na listi čekanja:{" "}
+        <b>{waiting}</b>
+      </div>
+    </div>
+  );
+}
 
-    mineDraftThisWeek.forEach((s) => (s.published = true));
+function BookingRulesSettings({ store, actor }) {
+  const [values, setValues] = useState(() => Object.fromEntries(BOOKING_RULES.map((r) => [r.key, store.settings[r.setting]])));
+  const overrides = store.users.filter((u) => u.role === "student" && u.bookingRules).length;
 
-    const studentIds = Object.entries(store.assignments)
-      .filter(([sid, tid]) => tid === tutor.id)
-      .map(([sid]) => sid);
+  const save = () => {
+    if (!ensureCan(store, actor, "settings:update")) return;
+    const bad = BOOKING_RULES.find((r) => !Number.isInteger(values[r.key]) || values[r.key] < 0 || values[r.key] > r.max);
+    if (bad) return alert(`${bad.label}: unesite cijeli broj od 0 do ${bad.max}.`);
+    BOOKING_RULES.forEach((r) => updateSetting(store, r.setting, values[r.key]));
+  };
 
-    const dayNames = new Set(
-      mineDraftThisWeek.map((s) =>
-        new Date(s.when).toLocaleDateString("hr-HR", { weekday: "long", day: "2-digit", month: "2-digit" })
-      )
-    );
-    const msg =
-      `Objavljeni su novi termini za tjedan ${fmtWeekRange(start)}.\n` +
-      `Dani: ${Array.from(dayNames).join(", ")}.`;
+  return (
+    <div className="flex flex-wrap items-end gap-3">
+      {BOOKING_RULES.map((r) => (
+        <NumberField
+          key={r.key}
+          label={r.label}
+          value={values[r.key]}
+          setValue={(v) => setValues((cur) => ({ ...cur, [r.key]: v }))}
+          min={0}
+          max={r.max}
+        />
+      ))}
+      <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+        Spremi
+      </button>
+      <div className="text-sm text-slate-600">
+        0 = bez ograničenja · studenata s vlastitim pravilima: <b>{overrides}</b>
+      </div>
+    </div>
+  );
+}
 
-    studentIds.forEach((sid) => {
-      const stu = store.users.find((u) => u.id === sid);
-      pushNotif(store, sid, { type: "slots", title: "Novi termini objavljeni", message: msg });
-      sendEmail(store, stu.email, `Novi termini od ${tutor.name}`, msg);
-    });
+/** Iznimke od općih pravila za jednog studenta; prazno polje = opće pravilo */
+function BookingRulesModal({ store, student, onClose, onSave }) {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(BOOKING_RULES.map((r) => [r.key, student.bookingRules?.[r.key] ?? ""]))
+  );
 
-    publish({ type: "slots:published", count: mineDraftThisWeek.length });
+  const save = () => {
+    // tipfeler ne smije tiho postati 0 (= bez ograničenja)
+    const text = (r) => String(values[r.key]).trim();
+    const bad = BOOKING_RULES.find((r) => text(r) !== "" && (!/^\d+$/.test(text(r)) || Number(text(r)) > r.max));
+    if (bad) return alert(`${bad.label}: unesite cijeli broj od 0 do ${bad.max} ili ostavite prazno.`);
+    onSave(Object.fromEntries(BOOKING_RULES.map((r) => [r.key, text(r) === "" ? null : Number(text(r))])));
   };
 
   return (
-    <section className="grid gap-4">
-      <Card title="Moji termini (po danu)">
-        <div className="flex flex-wrap items-end gap-2">
-          <TimeField label="Sat" value={hh} setValue={setHh} min={0} max={23} />
-          <button
-            className="px-3 py-2 rounded-lg text-white disabled:opacity-50 disabled:cursor-not-allowed"
-            style={{ background: pastWeek ? "#e11d48" : "#4f46e5" }}
-            onClick={add}
-            disabled={pastWeek}
-          >
-            + Dodaj termin za {fmtDay(dayDate)}
-          </button>
-          <button
-            className="px-3 py-2 rounded-lg text-white"
-            style={{ background: pastWeek ? "#e11d48" : "#059669" }}
-            onClick={publishWeek}
-            disabled={pastWeek}
-            title="Objavi sve draft termine u ovom tjednu"
-          >
-            ✅ Potvrdi i pošalji
-          </button>
-          <button className="px-3 py-2 rounded-lg bg-white border" onClick={postAnnouncement}>
-            📢 Nova objava
-          </button>
+    <Modal title={`Pravila rezerviranja – ${student.name}`} onClose={onClose}>
+      <div className="grid gap-3 text-sm">
+        <div className="text-slate-600">Prazno polje znači opće pravilo, 0 znači bez ograničenja za ovog studenta.</div>
+        <div className="flex flex-wrap items-end gap-3">
+          {BOOKING_RULES.map((r) => (
+            <label key={r.key} className="grid gap-1">
+              <span className="text-slate-600">{r.label}</span>
+              <input
+                inputMode="numeric"
+                className="px-3 py-2 rounded-lg border w-32"
+                value={values[r.key]}
+                placeholder={`opće: ${store.settings[r.setting] || "—"}`}
+                onChange={(e) => setValues((cur) => ({ ...cur, [r.key]: e.target.value }))}
+              />
+            </label>
+          ))}
         </div>
-
-        <div className="mt-4 grid gap-2 max-h-80 overflow-auto pr-1">
-          {daySlots.length === 0 ? (
-            <Empty>Nema termina za ovaj dan.</Empty>
-          ) : (
-            daySlots.map((s) => {
-              const isReserved = !!s.reservedBy;
-              const box = isReserved ? "border-rose-200 bg-rose-50" : "border-emerald-200 bg-emerald-50";
-              return (
-                <div
-                  key={s.id}
-                  className={`p-3 rounded-xl border bg-white flex items-center justify-between gap-3 ${box}`}
-                >
-                  <div className="font-medium flex items-center gap-2">
-                    <span>{fmtRangeFromISO(s.when)}</span>
-                    {s.done && (
-                      <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200">
-                        odrađeno
-                      </span>
-                    )}
-                    {!s.published && (
-                      <span className="text-xs px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 border border-amber-200">
-                        draft (nije objavljeno)
-                      </span>
-                    )}
-                  </div>
-                  <div className="text-sm text-slate-600 flex items-center gap-3">
-                    {s.reservedBy ? (
-                      <>
-                        Rezervirao: <b>{store.users.find((u) => u.id === s.reservedBy)?.name}</b>
-                      </>
-                    ) : (
-                      <span className="text-slate-500">{s.published ? "slobodno" : "nevidljivo studentima"}</span>
-                    )}
-                    <button
-                      className="px-2 py-1 rounded-lg bg-white border text-xs"
-                      onClick={() => {
-                        s.done = !s.done;
-                        publish({ type: "slot:done", id: s.id, done: s.done });
-                      }}
-                    >
-                      {s.done ? "Poništi odrađeno" : "Označi odrađeno"}
-                    </button>
-                    <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => deleteSlot(s)}>
-                      Obriši
-                    </button>
-                  </div>
-                </div>
-              );
-            })
+        <div className="flex items-center gap-2">
+          <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+            Spremi
+          </button>
+          {student.bookingRules && (
+            <button className="px-3 py-2 rounded-lg bg-white border" onClick={() => onSave(null)}>
+              Vrati na opća pravila
+            </button>
           )}
         </div>
-      </Card>
-    </section>
+      </div>
+    </Modal>
   );
 }
 
-/****************
- * ADMIN PANEL  *
- ****************/
-function AdminPanel({ store, admin, weekStart, activeDay }) {
-  const [selectedTutorId, setSelectedTutorId] = useState(
-    store.users.find((u) => u.role === "tutor")?.id || ""
-  );
-  const [statsOpen, setStatsOpen] = useState(false);
-  const [addModal, setAddModal] = useState({ open: false, role: "tutor" }); // {open, role:'tutor'|'student'}
-
-  const tutors = store.users.filter((u) => u.role === "tutor");
-  const teachables = store.users.filter((u) => u.role === "tutor" || u.role === "admin");
-  const students = store.users.filter((u) => u.role === "student");
-  const dayDate = dateForWeekday(weekStart, activeDay);
-
-  const reassign = (studentId, newTutorId) => {
-    store.assignments[studentId] = newTutorId;
-    publish({ type: "assignment:update", studentId, newTutorId });
-  };
+function RegistrationSettings({ store, actor }) {
+  const [domains, setDomains] = useState(store.settings.registrationDomains);
+  const decided = store.registrations.filter((r) => r.status !== "pending").length;
 
-  const addSlotAsAdmin = () => {
-    const teacher = teachables.find((t) => t.id === selectedTutorId);
-    if (!teacher) {
-      window.alert("Odaberite tutora.");
-      return;
+  const save = () => {
+    if (!ensureCan(store, actor, "settings:update")) return;
+    const clean = domains
+      .split(",")
+      .map((d) => d.trim().toLowerCase().replace(/^@/, ""))
+      .filter(Boolean);
+    if (!clean.length || clean.some((d) => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d))) {
+      return alert("Unesite barem jednu ispravnu domenu (npr. uni.hr).");
     }
-    const hh = parseInt(window.prompt("Sat (0-23):") || "10", 10);
-    const dt = withTime(dayDate, hh, 0);
-    const slot = { id: uid(), tutorId: teacher.id, when: dt.toISOString(), reservedBy: null, done: false, published: false };
-    store.slots.push(slot);
-    publish({ type: "slot:new", slot });
+    updateSetting(store, "registrationDomains", clean.join(", "));
+    setDomains(clean.join(", "));
   };
 
-  const deleteAnySlot = (s) => {
-    store.slots = store.slots.filter((x) => x.id !== s.id);
-    publish({ type: "slot:delete", id: s.id });
-  };
+  return (
+    <div className="flex flex-wrap items-end gap-3">
+      <label className="grid gap-1 text-sm">
+        <span className="text-slate-600">Dopuštene domene emaila</span>
+        <input className="px-3 py-2 rounded-lg border" value={domains} onChange={(e) => setDomains(e.target.value)} placeholder="uni.hr, student.uni.hr" />
+      </label>
+      <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={save}>
+        Spremi
+      </button>
+      <div className="text-sm text-slate-600">
+        Obrađenih zahtjeva: <b>{decided}</b>
+      </div>
+    </div>
+  );
+}
 
-  const deleteAnnouncement = (id) => {
-    store.announcements = store.announcements.filter((a) => a.id !== id);
-    publish({ type: "announcement:delete", id });
-  };
+function BackupTools({ store, actor }) {
+  const [preview, setPreview] = useState(null); // {fileName, exportedAt, data}
+  const [error, setError] = useState("");
 
-  const allAnnouncements = store.announcements;
+  const exportNow = () => {
+    const day = new Date().toISOString().slice(0, 10);
+    downloadJSON(`tss-backup-${day}.json`, createBackup(store));
+  };
 
-  // Samo termini odabranog tutora za AKTIVNI DAN
-  const daySlotsForSelected = store.slots
-    .filter((s) => s.tutorId === selectedTutorId)
-    .filter((s) => sameDay(new Date(s.when), dayDate))
-    .sort((a, b) => new Date(a.when) - new Date(b.when));
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const parsed = await parseBackup(await file.text());
+      setPreview({ fileName: file.name, ...parsed });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const apply = (mode) => {
+    if (!ensureCan(store, actor, "backup:manage")) return;
+    if (mode === "replace") {
+      if (!window.confirm("Zamijeniti SVE postojeće podatke sadržajem kopije?")) return;
+      replaceStoreWith(store, preview.data);
+      publishChange(store, { type: "backup:restore", mode }, { entity: "db", after: { mode, file: preview.fileName } });
+      alert("Podaci su vraćeni iz kopije.");
+    } else {
+      const { skippedUsers } = mergeBackupInto(store, preview.data);
+      publishChange(store, { type: "backup:restore", mode }, { entity: "db", after: { mode, file: preview.fileName } });
+      alert(
+        "Kopija je spojena s postojećim podacima." +
+          (skippedUsers
+            ? `\nPreskočeno korisnika (zauzeto korisničko ime/email): ${skippedUsers}. Njihovi zapisi iz kopije pripisani su ` +
+              "postojećem računu iste uloge, a bez njega su izostavljeni."
+            : "")
+      );
+    }
+    setPreview(null);
+  };
 
   return (
-    <section className="grid gap-4">
-      <Card title="Korisnici">
-        <div className="grid md:grid-cols-2 gap-4">
-          <div className="p-3 rounded-xl border bg-white">
-            <div className="flex items-center justify-between mb-2">
-              <div className="font-medium">Tutori</div>
-              <button className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs" onClick={() => setAddModal({ open: true, role: "tutor" })}>
-                ➕ Novi tutor
-              </button>
-            </div>
-            <ul className="space-y-1 text-sm max-h-48 overflow-auto pr-1">
-              {tutors.map((t) => (
-                <li key={t.id} className="flex items-center justify-between">
-                  <span>{t.name}</span>
-                  <span className="text-xs text-slate-400">{t.username}</span>
-                </li>
-              ))}
-            </ul>
+    <div className="grid gap-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={exportNow}>
+          ⬇️ Preuzmi kopiju (JSON)
+        </button>
+        <label className="px-3 py-2 rounded-lg bg-white border cursor-pointer">
+          ⬆️ Vrati iz kopije…
+          <input type="file" accept="application/json,.json" className="hidden" onChange={pickFile} />
+        </label>
+      </div>
+      <div className="text-xs text-slate-500">
+        Kopija sadrži korisnike, dodjele, termine (i arhivu), objave, obavijesti i email log. Preporuka: prije svakog
+        novog semestra i prije prelaska na drugo računalo.
+      </div>
+      {error && <div className="text-sm text-rose-700">⚠️ {error}</div>}
+
+      {preview && (
+        <Modal title="⬆️ Vraćanje iz kopije" onClose={() => setPreview(null)}>
+          <div className="text-sm text-slate-600">
+            Datoteka <b>{preview.fileName}</b>
+            {preview.exportedAt && <> · izrađena {new Date(preview.exportedAt).toLocaleString("hr-HR")}</>}
           </div>
-          <div className="p-3 rounded-xl border bg-white">
-            <div className="flex items-center justify-between mb-2">
-              <div className="font-medium">Studenti</div>
-              <button className="px-2 py-1 rounded-lg bg-indigo-600 text-white text-xs" onClick={() => setAddModal({ open: true, role: "student" })}>
-                ➕ Novi student
-              </button>
-            </div>
-            <ul className="space-y-1 text-sm max-h-48 overflow-auto pr-1">
-              {students.map((s) => (
-                <li key={s.id} className="flex items-center justify-between gap-2">
-                  <span className="truncate">{s.name}</span>
-                  <select
-                    className="px-2 py-1 rounded-lg border text-xs"
-                    value={store.assignments[s.id] || ""}
-                    onChange={(e) => reassign(s.id, e.target.value)}
-                  >
-                    {teachables
-                      .filter((t) => t.role === "tutor" || t.role === "admin")
-                      .map((t) => (
-                        <option key={t.id} value={t.id}>
-                          {t.name}
-                        </option>
-                      ))}
-                  </select>
-                </li>
-              ))}
-            </ul>
+          <div className="text-sm">
+            Kopija sadrži:{" "}
+            <b>{BACKUP_COLLECTIONS.map(([k, label]) => `${countCollection(preview.data, k)} ${label}`).join(", ")}</b>.
           </div>
-        </div>
-      </Card>
+          <table className="w-full text-sm max-w-lg">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-1">Kolekcija</th>
+                <th className="py-1">Trenutno</th>
+                <th className="py-1">U kopiji</th>
+              </tr>
+            </thead>
+            <tbody>
+              {BACKUP_COLLECTIONS.map(([k, label]) => {
+                const cur = countCollection(store, k);
+                const next = countCollection(preview.data, k);
+                return (
+                  <tr key={k} className="border-t">
+                    <td className="py-1">{label}</td>
+                    <td className="py-1">{cur}</td>
+                    <td className={`py-1 ${next !== cur ? "font-semibold" : ""}`}>{next}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="flex flex-wrap items-center gap-2">
+            <button className="px-3 py-2 rounded-lg bg-rose-600 text-white" onClick={() => apply("replace")}>
+              Zamijeni sve
+            </button>
+            <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={() => apply("merge")}>
+              Spoji (dodaj samo nove zapise)
+            </button>
+            <button className="px-3 py-2 rounded-lg bg-white border" onClick={() => setPreview(null)}>
+              Odustani
+            </button>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+}
 
-      <Card title={`Termini za ${fmtDay(dayDate)} (odabrani tutor)`}>
-        <div className="mb-3 flex flex-wrap items-center gap-2">
-          <label className="text-sm text-slate-600">Tutor:</label>
-          <select
-            className="px-3 py-2 rounded-lg border"
-            value={selectedTutorId}
-            onChange={(e) => setSelectedTutorId(e.target.value)}
-          >
-            {teachables
-              .filter((t) => t.role === "tutor")
-              .map((t) => (
-                <option key={t.id} value={t.id}>
-                  {t.name}
-                </option>
-              ))}
-          </select>
-          <button className="px-3 py-2 rounded-lg bg-white border" onClick={addSlotAsAdmin}>
-            + Dodaj termin za {fmtDay(dayDate)}
-          </button>
-          <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={() => setStatsOpen(true)}>
-            📊 Grafički prikaz
-          </button>
-        </div>
+const AUDIT_ENTITIES = {
+  slot: "Termin",
+  assignment: "Dodjela",
+  user: "Korisnik",
+  announcement: "Objava",
+  settings: "Postavke",
+  registration: "Registracija",
+  availability: "Raspored dostupnosti",
+  cancellation: "Otkazivanje",
+  waitlist: "Lista čekanja",
+  reschedule: "Premještanje",
+  closure: "Zatvoreni dani",
+  subject: "Predmet",
+  notification: "Obavijest",
+  audit: "Revizijski zapis",
+  db: "Baza",
+};
+const AUDIT_PAGE = 200;
 
-        {daySlotsForSelected.length === 0 ? (
-          <Empty>Nema termina.</Empty>
-        ) : (
-          <ul className="grid gap-2 max-h-80 overflow-auto pr-1">
-            {daySlotsForSelected.map((s) => {
-              const isReserved = !!s.reservedBy;
-              const box = isReserved ? "border-rose-200 bg-rose-50" : "border-emerald-200 bg-emerald-50";
-              const tutorName = store.users.find((u) => u.id === s.tutorId)?.name || "—";
-              const studentName = s.reservedBy ? store.users.find((u) => u.id === s.reservedBy)?.name || "—" : "slobodno";
-              return (
-                <li key={s.id} className={`p-3 rounded-xl border bg-white flex items-center justify-between ${box}`}>
-                  <div className="text-sm">
-                    <div className="font-medium">{fmtRangeFromISO(s.when)}</div>
-                    <div className="text-xs text-slate-500">Tutor: {tutorName}</div>
-                    <div className="text-xs text-slate-500">Student: {studentName}</div>
-                    {!s.published && <div className="text-xs text-amber-600">⚠️ Nije objavljeno studentima</div>}
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <button className="px-2 py-1 rounded-lg bg-white border text-xs" onClick={() => deleteAnySlot(s)}>
-                      Obriši
-                    </button>
-                  </div>
-                </li>
-              );
-            })}
-          </ul>
-        )}
-      </Card>
+function fmtAuditValue(v) {
+  if (v == null) return "—";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
 
-      <Card title={`Statistika (tjedno) – ${fmtWeekRange(weekStart)}`}>
-        {/* Tablični u layoutu, grafovi u popupu */}
-        <AdminStatsTables store={store} initialWeekStart={weekStart} />
-      </Card>
+// Samo polja koja su se promijenila (ili cijela vrijednost ako nije objekt)
+function auditDiff(before, after) {
+  const isObj = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+  if (!isObj(before) && !isObj(after)) return [["", before, after]];
+  const keys = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+  return keys
+    .filter((k) => JSON.stringify(before?.[k] ?? null) !== JSON.stringify(after?.[k] ?? null))
+    .map((k) => [k, before?.[k], after?.[k]]);
+}
 
-      <Card title="Sve objave (pregled i brisanje)">
-        {allAnnouncements.length === 0 ? (
-          <Empty>Nema objava.</Empty>
-        ) : (
-          <ul className="grid gap-2 max-h-64 overflow-auto pr-1">
-            {allAnnouncements.map((a) => (
-              <li key={a.id} className="p-3 rounded-xl border bg-white flex items-center justify-between">
-                <div>
-                  <div className="font-medium">
-                    {a.title}{" "}
-                    <span className="text-xs text-slate-400">• {store.users.find((u) => u.id === a.tutorId)?.name}</span>
-                  </div>
-                  <div className="text-xs text-slate-500">{new Date(a.createdAt).toLocaleString("hr-HR")}</div>
-                </div>
-                <div className="flex items-center gap-2">
-                  <button
-                    className="px-3 py-1.5 rounded-lg bg-white border"
-                    onClick={() => window.alert("📢 " + a.title + "\n\n" + a.body)}
-                  >
-                    Otvori
-                  </button>
-                  <button
-                    className="px-3 py-1.5 rounded-lg bg-rose-600 text-white"
-                    onClick={() => deleteAnnouncement(a.id)}
-                  >
-                    Obriši
-                  </button>
-                </div>
-              </li>
-            ))}
-          </ul>
-        )}
-      </Card>
+function AuditLogViewer({ store }) {
+  const [actorId, setActorId] = useState("");
+  const [entity, setEntity] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
 
-      {statsOpen && <StatsPopup store={store} initialWeekStart={weekStart} onClose={() => setStatsOpen(false)} />}
-      {addModal.open && (
-        <AddUserModal
-          role={addModal.role}
-          onClose={() => setAddModal({ open: false, role: "tutor" })}
-          onSubmit={(payload) => {
-            // payload: {name, username, email, password}
-            const existsU = store.users.some(
-              (u) => (u.username || "").toLowerCase() === payload.username.toLowerCase()
-            );
-            if (existsU) return alert("Korisničko ime je zauzeto.");
-            const existsE = store.users.some(
-              (u) => (u.email || "").toLowerCase() === payload.email.toLowerCase()
-            );
-            if (existsE) return alert("Email je zauzet.");
+  const userName = (id) => (id ? store.users.find((u) => u.id === id)?.name || `#${id}` : "sustav");
+  const fromDate = from ? new Date(from + "T00:00:00") : null;
+  const toDate = to ? new Date(to + "T23:59:59.999") : null;
 
-            const newU = { id: uid(), role: addModal.role, ...payload };
-            store.users.push(newU);
+  const items = store.auditLog
+    .filter((e) => !actorId || (actorId === "system" ? !e.actorId : e.actorId === actorId))
+    .filter((e) => !entity || e.entity === entity)
+    .filter((e) => (!fromDate || new Date(e.at) >= fromDate) && (!toDate || new Date(e.at) <= toDate))
+    .reverse();
 
-            if (newU.role === "student") {
-              const teachables = store.users.filter((u) => u.role === "tutor" || u.role === "admin");
-              const tids = teachables.map((t) => t.id);
-              const countPer = Object.fromEntries(tids.map((id) => [id, 0]));
-              Object.entries(store.assignments).forEach(([sid, tid]) => {
-                if (countPer[tid] != null) countPer[tid]++;
-              });
-              const target = tids.sort((a, b) => countPer[a] - countPer[b])[0] || teachables[0]?.id;
-              if (target) store.assignments[newU.id] = target;
-            }
+  return (
+    <div className="grid gap-3">
+      <div className="flex flex-wrap items-end gap-2 text-sm">
+        <label className="grid gap-1">
+          <span className="text-slate-600">Korisnik</span>
+          <select className="px-2 py-1.5 rounded-lg border" value={actorId} onChange={(e) => setActorId(e.target.value)}>
+            <option value="">svi</option>
+            <option value="system">sustav</option>
+            {store.users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name} ({ROLE_LABELS[u.role] || u.role})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Vrsta</span>
+          <select className="px-2 py-1.5 rounded-lg border" value={entity} onChange={(e) => setEntity(e.target.value)}>
+            <option value="">sve</option>
+            {Object.entries(AUDIT_ENTITIES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Od</span>
+          <input type="date" className="px-2 py-1.5 rounded-lg border" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-600">Do</span>
+          <input type="date" className="px-2 py-1.5 rounded-lg border" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <div className="text-slate-500 pb-1.5">
+          Zapisa: <b>{items.length}</b>
+          {items.length > AUDIT_PAGE && <> (prikazano zadnjih {AUDIT_PAGE})</>}
+        </div>
+      </div>
 
-            publish({ type: "user:new", newU });
-            alert("Korisnik dodan.");
-            setAddModal({ open: false, role: "tutor" });
-          }}
-        />
+      {items.length === 0 ? (
+        <Empty>Nema zapisa za odabrane filtre.</Empty>
+      ) : (
+        <ul className="grid gap-2 max-h-80 overflow-auto pr-1">
+          {items.slice(0, AUDIT_PAGE).map((e) => (
+            <li key={e.id} className="p-3 rounded-xl border bg-white text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-slate-500">{new Date(e.at).toLocaleString("hr-HR")}</span>
+                <b>{userName(e.actorId)}</b>
+                <code className="text-xs px-1.5 py-0.5 rounded bg-slate-100">{e.action}</code>
+                <span className="text-xs text-slate-500">
+                  {AUDIT_ENTITIES[e.entity] || e.entity}
+                  {e.entityId && <> · {e.entityId}</>}
+                </span>
+                {e.note && <span className="text-xs text-amber-700">({e.note})</span>}
+              </div>
+              <ul className="mt-1 text-xs text-slate-600 grid gap-0.5">
+                {auditDiff(e.before, e.after).map(([k, b, a]) => (
+                  <li key={k || "value"} className="break-all">
+                    {k && <span className="text-slate-400">{k}: </span>}
+                    {fmtAuditValue(b)} → {fmtAuditValue(a)}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
       )}
-    </section>
+    </div>
   );
 }
 
@@ -1085,8 +5933,6 @@ function StatsPopup({ store, initialWeekStart, onClose }) {
 /**********************
  * Admin statistika – tablice (u layoutu)
  **********************/
-const LESSON_MINUTES = 50;
-
 function AdminStatsTables({ store, initialWeekStart }) {
   const [localWeekStart, setLocalWeekStart] = useState(startOfWeek(initialWeekStart));
   const goPrev = () => setLocalWeekStart((d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() - 7));
@@ -1158,6 +6004,8 @@ function AdminStatsTables({ store, initialWeekStart }) {
                     <th className="py-1">Odrad.</th>
                     <th className="py-1">Sati (rez.)</th>
                     <th className="py-1">Sati (odrađ.)</th>
+                    <th className="py-1">Otkaz.</th>
+                    <th className="py-1" title="Otkazano unutar roka za otkazivanje">Kasno</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -1168,6 +6016,8 @@ function AdminStatsTables({ store, initialWeekStart }) {
                       <td className="py-1">{r.done}</td>
                       <td className="py-1">{r.resHours}</td>
                       <td className="py-1">{r.doneHours}</td>
+                      <td className="py-1">{r.cancelled}</td>
+                      <td className={`py-1 ${r.lateCancelled ? "text-rose-700 font-medium" : ""}`}>{r.lateCancelled}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -1219,6 +6069,8 @@ function AdminStatsTables({ store, initialWeekStart }) {
                     <th className="py-1">Odrad.</th>
                     <th className="py-1">Sati (rez.)</th>
                     <th className="py-1">Sati (odrađ.)</th>
+                    <th className="py-1">Otkaz.</th>
+                    <th className="py-1" title="Otkazano unutar roka za otkazivanje">Kasno</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -1229,6 +6081,8 @@ function AdminStatsTables({ store, initialWeekStart }) {
                       <td className="py-1">{r.done}</td>
                       <td className="py-1">{r.resHours}</td>
                       <td className="py-1">{r.doneHours}</td>
+                      <td className="py-1">{r.cancelled}</td>
+                      <td className={`py-1 ${r.lateCancelled ? "text-rose-700 font-medium" : ""}`}>{r.lateCancelled}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -1241,26 +6095,34 @@ function AdminStatsTables({ store, initialWeekStart }) {
   );
 }
 
+// Sati prema stvarnom trajanju svakog termina
+const countCancels = (list) => ({ cancelled: list.length, lateCancelled: list.filter((c) => c.late).length });
+const sumHours = (slots) => Number((slots.reduce((m, s) => m + slotMinutes(s), 0) / 60).toFixed(2));
+
 function computeWeeklyStats(store, weekStart) {
   const start = startOfWeek(weekStart);
   const end = endOfWeek(weekStart);
 
   const teachers = store.users.filter((u) => u.role === "tutor" || u.role === "admin");
   const perTutor = teachers.map((t) => {
-    const slots = store.slots.filter((s) => s.tutorId === t.id && new Date(s.when) >= start && new Date(s.when) < end);
+    const slots = allSlots(store).filter((s) => s.tutorId === t.id && new Date(s.when) >= start && new Date(s.when) < end);
     const done = slots.filter((s) => s.done).length;
-    const hours = Number(((done * LESSON_MINUTES) / 60).toFixed(2));
+    const hours = sumHours(slots.filter((s) => s.done));
     return { name: t.name, done, hours };
   });
 
   const students = store.users.filter((u) => u.role === "student");
   const perStudent = students.map((s) => {
-    const slots = store.slots.filter((sl) => sl.reservedBy === s.id && new Date(sl.when) >= start && new Date(sl.when) < end);
+    // grupni termin broji se svakom polazniku posebno
+    const slots = allSlots(store).filter((sl) => attends(sl, s.id) && !sl.pending && new Date(sl.when) >= start && new Date(sl.when) < end);
     const reserved = slots.length;
     const done = slots.filter((sl) => sl.done).length;
-    const resHours = Number(((reserved * LESSON_MINUTES) / 60).toFixed(2));
-    const doneHours = Number(((done * LESSON_MINUTES) / 60).toFixed(2));
-    return { name: s.name, reserved, done, resHours, doneHours };
+    const resHours = sumHours(slots);
+    const doneHours = sumHours(slots.filter((sl) => sl.done));
+    const cancels = store.cancellations.filter(
+      (c) => c.studentId === s.id && new Date(c.when) >= start && new Date(c.when) < end
+    );
+    return { name: s.name, reserved, done, resHours, doneHours, ...countCancels(cancels) };
   });
 
   return [perTutor, perStudent];
@@ -1269,20 +6131,21 @@ function computeWeeklyStats(store, weekStart) {
 function computeAllTimeStats(store) {
   const teachers = store.users.filter((u) => u.role === "tutor" || u.role === "admin");
   const aggTutors = teachers.map((t) => {
-    const slots = store.slots.filter((s) => s.tutorId === t.id);
+    const slots = allSlots(store).filter((s) => s.tutorId === t.id);
     const done = slots.filter((s) => s.done).length;
-    const hours = Number(((done * LESSON_MINUTES) / 60).toFixed(2));
+    const hours = sumHours(slots.filter((s) => s.done));
     return { name: t.name, done, hours };
   });
 
   const students = store.users.filter((u) => u.role === "student");
   const aggStudents = students.map((s) => {
-    const slots = store.slots.filter((sl) => sl.reservedBy === s.id);
+    const slots = allSlots(store).filter((sl) => attends(sl, s.id) && !sl.pending);
     const reserved = slots.length;
     const done = slots.filter((sl) => sl.done).length;
-    const resHours = Number(((reserved * LESSON_MINUTES) / 60).toFixed(2));
-    const doneHours = Number(((done * LESSON_MINUTES) / 60).toFixed(2));
-    return { name: s.name, reserved, done, resHours, doneHours };
+    const resHours = sumHours(slots);
+    const doneHours = sumHours(slots.filter((sl) => sl.done));
+    const cancels = store.cancellations.filter((c) => c.studentId === s.id);
+    return { name: s.name, reserved, done, resHours, doneHours, ...countCancels(cancels) };
   });
 
   return [aggTutors, aggStudents];
@@ -1445,14 +6308,48 @@ function LoginModal({ store, onClose, onSuccess }) {
   const [identifier, setIdentifier] = useState(""); // email ili username
   const [password, setPassword] = useState("");
 
-  const submit = (e) => {
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
     e.preventDefault();
+    if (serverSessions()) {
+      setBusy(true);
+      try {
+        const { token } = await storage.login(identifier.trim(), password);
+        localStorage.setItem(SESS_KEY, token);
+      } catch (err) {
+        setBusy(false);
+        return alert(err.message);
+      }
+      setBusy(false);
+      onSuccess?.(null);
+      return onClose?.();
+    }
     const idLower = identifier.trim().toLowerCase();
     const user = store.users.find(
       (u) => (u.email || "").toLowerCase() === idLower || (u.username || "").toLowerCase() === idLower
     );
-    if (!user) return alert("Korisnik nije pronađen.");
-    if ((user.password || "") !== password) return alert("Pogrešna lozinka.");
+    // bez računa: možda postoji zahtjev za registraciju (na čekanju ili odbijen)
+    const reg = user
+      ? null
+      : store.registrations
+          .filter((r) => r.status !== "approved" && (r.email === idLower || r.username.toLowerCase() === idLower))
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    if (reg) {
+      setBusy(true);
+      const regOk = await verifyPassword(password, reg.passwordHash);
+      setBusy(false);
+      if (!regOk) return alert("Pogrešno korisničko ime ili lozinka.");
+      if (reg.status === "pending") return alert("Vaš zahtjev za registraciju još čeka odobrenje.");
+      return alert("Vaš zahtjev za registraciju je odbijen. Razlog: " + reg.reason);
+    }
+    setBusy(true);
+    // provjera se radi i kad korisnik ne postoji, a poruka je ista – ne otkriva koji računi postoje
+    const ok = await verifyPassword(password, user?.passwordHash);
+    setBusy(false);
+    if (!user || !ok) return alert("Pogrešno korisničko ime ili lozinka.");
+    // tek nakon točne lozinke – inače bi poruka otkrila da račun postoji
+    if (user.deactivatedAt) return alert("Račun je deaktiviran. Obratite se administratoru.");
     onSuccess?.(user);
     onClose?.();
   };
@@ -1482,31 +6379,192 @@ function LoginModal({ store, onClose, onSuccess }) {
           />
         </label>
         <div className="flex items-center gap-2">
-          <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white">
-            Prijavi se
+          <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" disabled={busy}>
+            {busy ? "Provjera…" : "Prijavi se"}
           </button>
           <button type="button" className="px-3 py-2 rounded-lg bg-white border" onClick={onClose}>
             Odustani
           </button>
         </div>
         <div className="text-xs text-slate-500">
-          Demo korisnici: admin/admin123, ivana/test123, marko/test123, ana/test123, petar/test123
+          Demo korisnici: admin/admin123, kata/test123 (koordinatorica), ivana/test123, marko/test123, ana/test123,
+          petar/test123
         </div>
       </form>
     </Modal>
   );
 }
 
+/**********************
+ * Promjena lozinke    *
+ **********************/
+function ChangePasswordForm({ store, user, onDone, onCancel, cancelLabel = "Odustani" }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [busy, setBusy] = useState(false);
+  const problems = next ? passwordProblems(next, user) : [];
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (problems.length) return alert("Nova lozinka mora imati: " + problems.join(", ") + ".");
+    if (next !== repeat) return alert("Nove lozinke se ne podudaraju.");
+    if (next === current) return alert("Nova lozinka mora se razlikovati od trenutne.");
+    setBusy(true);
+    if (serverSessions()) {
+      // hash je samo na poslužitelju – on provjerava trenutnu lozinku
+      try {
+        await storage.changePassword(current, next);
+      } catch (err) {
+        setBusy(false);
+        return alert(err.message);
+      }
+    } else {
+      const ok = await verifyPassword(current, user.passwordHash);
+      if (!ok) {
+        setBusy(false);
+        return alert("Trenutna lozinka nije ispravna.");
+      }
+      setUserPassword(store, user, await hashPassword(next), false);
+    }
+    sendEmail(store, user.email, "Lozinka je promijenjena", `Lozinka za račun ${user.username} je promijenjena.`);
+    setBusy(false);
+    alert("Lozinka je promijenjena.");
+    onDone?.();
+  };
+
+  return (
+    <form onSubmit={submit} className="grid gap-3 max-w-lg">
+      <label className="grid gap-1 text-sm">
+        <span className="text-slate-600">Trenutna lozinka</span>
+        <input type="password" className="px-3 py-2 rounded-lg border" value={current} onChange={(e) => setCurrent(e.target.value)} autoComplete="current-password" required />
+      </label>
+      <label className="grid gap-1 text-sm">
+        <span className="text-slate-600">Nova lozinka</span>
+        <input type="password" className="px-3 py-2 rounded-lg border" value={next} onChange={(e) => setNext(e.target.value)} autoComplete="new-password" required />
+      </label>
+      <label className="grid gap-1 text-sm">
+        <span className="text-slate-600">Ponovite novu lozinku</span>
+        <input type="password" className="px-3 py-2 rounded-lg border" value={repeat} onChange={(e) => setRepeat(e.target.value)} autoComplete="new-password" required />
+      </label>
+      <div className={`text-xs ${problems.length ? "text-rose-700" : "text-slate-500"}`}>
+        {problems.length
+          ? "Nedostaje: " + problems.join(", ") + "."
+          : `Najmanje ${PASSWORD_MIN_LENGTH} znakova, barem jedno slovo i znamenka, bez korisničkog imena.`}
+      </div>
+      <div className="flex items-center gap-2">
+        <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" disabled={busy}>
+          {busy ? "Spremanje…" : "Promijeni lozinku"}
+        </button>
+        <button type="button" className="px-3 py-2 rounded-lg bg-white border" onClick={onCancel}>
+          {cancelLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**********************
+ * Registracija        *
+ **********************/
+function RegisterModal({ store, onClose }) {
+  const [form, setForm] = useState({ name: "", username: "", email: "", department: "", password: "", repeat: "" });
+  const [busy, setBusy] = useState(false);
+  const [sent, setSent] = useState(null); // email na koji je poslana potvrda
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const domains = allowedDomains(store);
+
+  useEffect(() => {
+    if (form.name && !form.username) setForm((f) => ({ ...f, username: slug(f.name).replace(/\./g, "") }));
+    // eslint-disable-next-line
+  }, [form.name]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (form.password !== form.repeat) return alert("Lozinke se ne podudaraju.");
+    setBusy(true);
+    const res = await registerStudent(store, form);
+    setBusy(false);
+    if (!res.ok) return alert(res.error);
+    setSent(res.reg.email);
+  };
+
+  return (
+    <Modal title="📝 Registracija studenta" onClose={onClose}>
+      {sent ? (
+        <div className="grid gap-3 max-w-lg text-sm">
+          <p>
+            Zahtjev je poslan. Kad ga administrator obradi, dobit ćete email na <b>{sent}</b>; do tada prijava nije moguća.
+          </p>
+          <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white justify-self-start" onClick={onClose}>
+            U redu
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={submit} className="grid gap-3 max-w-lg text-left">
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Ime i prezime</span>
+            <input className="px-3 py-2 rounded-lg border" value={form.name} onChange={set("name")} required />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Korisničko ime</span>
+            <input className="px-3 py-2 rounded-lg border" value={form.username} onChange={set("username")} required />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Sveučilišni email</span>
+            <input
+              type="email"
+              className="px-3 py-2 rounded-lg border"
+              value={form.email}
+              onChange={set("email")}
+              placeholder={`npr. ime.prezime@${domains[0] || "uni.hr"}`}
+              required
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Odjel (neobavezno)</span>
+            <input className="px-3 py-2 rounded-lg border" value={form.department} onChange={set("department")} placeholder="npr. Matematika" />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Lozinka</span>
+            <input type="password" className="px-3 py-2 rounded-lg border" value={form.password} onChange={set("password")} autoComplete="new-password" required />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Ponovite lozinku</span>
+            <input type="password" className="px-3 py-2 rounded-lg border" value={form.repeat} onChange={set("repeat")} autoComplete="new-password" required />
+          </label>
+          <div className="text-xs text-slate-500">
+            Dopuštene domene: {domains.map((d) => "@" + d).join(", ")}. Lozinka: najmanje {PASSWORD_MIN_LENGTH} znakova, slovo i
+            znamenka.
+          </div>
+          <div className="flex items-center gap-2">
+            <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" disabled={busy}>
+              {busy ? "Slanje…" : "Pošalji zahtjev"}
+            </button>
+            <button type="button" className="px-3 py-2 rounded-lg bg-white border" onClick={onClose}>
+              Odustani
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
+
 /**********************
  * Add user modal      *
  **********************/
-function AddUserModal({ role, onClose, onSubmit }) {
-  const [name, setName] = useState("");
-  const [username, setUsername] = useState("");
-  const [email, setEmail] = useState("");
+// Bez `user` dodaje novog korisnika; s `user` uređuje postojećeg (bez lozinke, uz izbor uloge iz `roles`)
+function AddUserModal({ role: initialRole, user = null, roles = null, department: fixedDepartment = null, onClose, onSubmit }) {
+  const [name, setName] = useState(user?.name || "");
+  const [username, setUsername] = useState(user?.username || "");
+  const [email, setEmail] = useState(user?.email || "");
   const [password, setPassword] = useState("");
+  const [role, setRole] = useState(user?.role || initialRole);
+  const [department, setDepartment] = useState(user?.department || fixedDepartment || "");
 
   useEffect(() => {
+    if (user) return;
     if (name && !username) setUsername(slug(name).replace(/\./g, ""));
     if (name && !email) setEmail(`${slug(name)}@uni.hr`);
     // eslint-disable-next-line
@@ -1514,12 +6572,14 @@ function AddUserModal({ role, onClose, onSubmit }) {
 
   const submit = (e) => {
     e.preventDefault();
-    if (!name || !username || !email || !password) return alert("Ispunite sva polja.");
-    onSubmit?.({ name, username, email, password });
+    if (!name || !username || !email || (!user && !password)) return alert("Ispunite sva polja.");
+    if (role === "coordinator" && !department.trim()) return alert("Koordinator mora imati odjel.");
+    const data = { name, username, email, department: department.trim() || null };
+    onSubmit?.(user ? { ...data, role } : { ...data, password });
   };
 
   return (
-    <Modal title={`➕ Novi ${role === "tutor" ? "tutor" : "student"}`} onClose={onClose}>
+    <Modal title={user ? `✏️ Uređivanje: ${user.name}` : `➕ Novi ${ROLE_LABELS[role] || role}`} onClose={onClose}>
       <form onSubmit={submit} className="grid gap-3 max-w-lg">
         <label className="grid gap-1 text-sm">
           <span className="text-slate-600">Ime i prezime</span>
@@ -1533,16 +6593,40 @@ function AddUserModal({ role, onClose, onSubmit }) {
           <span className="text-slate-600">Email</span>
           <input type="email" className="px-3 py-2 rounded-lg border" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="npr. luka@uni.hr" required />
         </label>
+        {user ? (
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Uloga</span>
+            <select className="px-3 py-2 rounded-lg border" value={role} onChange={(e) => setRole(e.target.value)}>
+              {(roles || [role]).map((r) => (
+                <option key={r} value={r}>
+                  {ROLE_LABELS[r] || r}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : (
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Lozinka</span>
+            <input type="password" className="px-3 py-2 rounded-lg border" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="•••••••" required />
+          </label>
+        )}
         <label className="grid gap-1 text-sm">
-          <span className="text-slate-600">Lozinka</span>
-          <input type="password" className="px-3 py-2 rounded-lg border" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="•••••••" required />
+          <span className="text-slate-600">Odjel {role !== "coordinator" && "(neobavezno)"}</span>
+          <input
+            className="px-3 py-2 rounded-lg border disabled:bg-slate-50"
+            value={department}
+            onChange={(e) => setDepartment(e.target.value)}
+            placeholder="npr. Matematika"
+            disabled={!!fixedDepartment}
+            required={role === "coordinator"}
+          />
         </label>
         <div className="flex items-center gap-2">
           <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white">Spremi</button>
           <button type="button" className="px-3 py-2 rounded-lg bg-white border" onClick={onClose}>Odustani</button>
         </div>
         <div className="text-xs text-slate-500">
-          Napomena: podaci se spremaju lokalno (localStorage) — demo bez backenda.
+          Napomena: podaci se spremaju lokalno (u pregledniku) — demo bez backenda.
         </div>
       </form>
     </Modal>
@@ -1554,19 +6638,10 @@ function AddUserModal({ role, onClose, onSubmit }) {
  **********************/
 function NotificationsPanel({ store, user }) {
   const list = store.notifications[user.id] || [];
-  const markRead = (id) => {
-    const n = list.find((x) => x.id === id);
-    if (n) n.read = true;
-    publish({ type: "notification:update" });
-  };
-  const clearAll = () => {
-    store.notifications[user.id] = [];
-    publish({ type: "notification:clear" });
-  };
-  const removeOne = (id) => {
-    store.notifications[user.id] = list.filter((n) => n.id !== id);
-    publish({ type: "notification:remove" });
-  };
+  const allowed = () => ensureCan(store, user, "notification:manage", { userId: user.id });
+  const markRead = (id) => allowed() && markNotifRead(store, user.id, id);
+  const clearAll = () => allowed() && clearNotifs(store, user.id);
+  const removeOne = (id) => allowed() && removeNotif(store, user.id, id);
   return (
     <Card title="Obavijesti (u aplikaciji)">
       <div className="flex items-center justify-between mb-2">
@@ -1619,27 +6694,22 @@ function NotificationsPanel({ store, user }) {
  ************************/
 function AnnouncementsPanel({ store, user }) {
   let items = [];
-  if (user.role === "admin") items = store.announcements;
+  if (user.role === "admin" || user.role === "coordinator") items = store.announcements;
   if (user.role === "tutor") items = store.announcements.filter((a) => a.tutorId === user.id);
   if (user.role === "student") {
-    const tid = store.assignments[user.id];
-    items = store.announcements.filter((a) => a.tutorId === tid);
+    const tids = tutorIdsOf(store, user.id);
+    items = store.announcements.filter((a) => tids.includes(a.tutorId));
     const hiddenArr = store.hiddenAnnouncements[user.id] || [];
     const hidden = new Set(hiddenArr);
     items = items.filter((a) => !hidden.has(a.id));
   }
 
   const removeForMe = (a) => {
-    if (!store.hiddenAnnouncements[user.id]) store.hiddenAnnouncements[user.id] = [];
-    const arr = store.hiddenAnnouncements[user.id];
-    if (!arr.includes(a.id)) arr.push(a.id);
-    publish({ type: "announcement:hidden", id: a.id, userId: user.id });
+    if (ensureCan(store, user, "announcement:hide", a)) hideAnnouncement(store, user.id, a.id);
   };
 
   const deleteGlobal = (a) => {
-    if (user.role === "tutor" && a.tutorId !== user.id) return;
-    store.announcements = store.announcements.filter((x) => x.id !== a.id);
-    publish({ type: "announcement:delete", id: a.id });
+    if (ensureCan(store, user, "announcement:delete", a)) execute(removeAnnouncementCmd(store, a));
   };
 
   return (
@@ -1664,12 +6734,12 @@ function AnnouncementsPanel({ store, user }) {
                 >
                   Otvori
                 </button>
-                {user.role === "student" && (
+                {can(store, user, "announcement:hide", a) && (
                   <button className="px-3 py-1.5 rounded-lg bg-white border" onClick={() => removeForMe(a)}>
                     Ukloni
                   </button>
                 )}
-                {(user.role === "admin" || (user.role === "tutor" && a.tutorId === user.id)) && (
+                {can(store, user, "announcement:delete", a) && (
                   <button className="px-3 py-1.5 rounded-lg bg-rose-600 text-white" onClick={() => deleteGlobal(a)}>
                     Obriši
                   </button>
@@ -1683,6 +6753,34 @@ function AnnouncementsPanel({ store, user }) {
   );
 }
 
+/**********************
+ * Toast: poništavanje *
+ **********************/
+const UNDO_TOAST_MS = 8000;
+
+function UndoToast({ store }) {
+  const last = undoStack[undoStack.length - 1];
+  const [, tick] = useState(0);
+  const visible = last && Date.now() - last.at < UNDO_TOAST_MS;
+
+  useEffect(() => {
+    if (!visible) return;
+    const t = setTimeout(() => tick((x) => x + 1), UNDO_TOAST_MS - (Date.now() - last.at));
+    return () => clearTimeout(t);
+  }, [visible, last]);
+
+  if (!visible) return null;
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 px-4 py-2 rounded-xl bg-slate-900 text-white text-sm shadow-xl flex items-center gap-3">
+      <span>{last.label}</span>
+      <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 font-medium" onClick={() => undoLast(store)}>
+        Poništi
+      </button>
+      <span className="text-xs text-slate-400">Ctrl+Z</span>
+    </div>
+  );
+}
+
 /**********************
  * Email log (demo)    *
  **********************/
@@ -1730,25 +6828,106 @@ function Card({ title, children }) {
     </section>
   );
 }
+/** Oznaka termina koji pada u zatvoreni dan ili odsutnost tutora */
+function ClosedDayTag({ store, slot }) {
+  const c = slotClosure(store, slot);
+  if (!c) return null;
+  return (
+    <span
+      className="text-xs px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 border border-slate-300"
+      title={attendeesOf(slot).length ? "Rezervacija pada u zatvoreni dan – termin treba premjestiti ili otkazati." : undefined}
+    >
+      ⚠️ {closureLabel(c)}
+    </span>
+  );
+}
+
+// Popunjenost grupnog termina, npr. "👥 3/6 slobodno"
+function SeatsTag({ slot }) {
+  const full = seatsFree(slot) === 0;
+  return (
+    <span
+      className={`text-xs px-2 py-0.5 rounded-full border ${
+        full ? "bg-rose-50 text-rose-700 border-rose-200" : "bg-sky-50 text-sky-700 border-sky-200"
+      }`}
+    >
+      👥 {seatsLabel(slot)}
+    </span>
+  );
+}
+
 function Empty({ children }) {
   return <div className="text-sm text-slate-500 italic">{children}</div>;
 }
-function TimeField({ label, value, setValue, min, max, step = 1 }) {
+// Vrijeme "HH:MM" s preciznošću na minutu
+function ClockField({ label, value, setValue, step = 5 }) {
+  return (
+    <label className="text-sm grid gap-1">
+      <span className="text-slate-600">{label}</span>
+      <input
+        type="time"
+        className="px-3 py-2 rounded-lg border w-28"
+        value={value}
+        step={step * 60}
+        onChange={(e) => e.target.value && setValue(e.target.value)}
+      />
+    </label>
+  );
+}
+function DurationField({ label = "Trajanje", value, setValue }) {
+  return (
+    <label className="text-sm grid gap-1">
+      <span className="text-slate-600">{label}</span>
+      <select className="px-3 py-2 rounded-lg border" value={value} onChange={(e) => setValue(Number(e.target.value))}>
+        {SLOT_DURATIONS.map((m) => (
+          <option key={m} value={m}>
+            {m} min
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+function CapacityField({ label = "Mjesta", value, setValue }) {
   return (
     <label className="text-sm grid gap-1">
       <span className="text-slate-600">{label}</span>
       <input
         type="number"
-        className="px-3 py-2 rounded-lg border w-24"
+        className="px-3 py-2 rounded-lg border w-20"
         value={value}
-        min={min}
-        max={max}
-        step={step}
-        onChange={(e) => setValue(Math.max(min, Math.min(max, parseInt(e.target.value || 0, 10))))}
+        min={1}
+        max={MAX_SLOT_CAPACITY}
+        title="1 = pojedinačni termin, više = grupni termin"
+        onChange={(e) => setValue(Math.min(MAX_SLOT_CAPACITY, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
       />
     </label>
   );
 }
+/** Cijeli broj od min do max; prazan ili neispravan unos javlja se kao null i spremanje ga odbija. */
+function NumberField({ label, value, setValue, min, max, unit = null }) {
+  const [text, setText] = useState(value == null ? "" : String(value));
+  const parse = (t) => (/^\d+$/.test(t.trim()) && Number(t) >= min && Number(t) <= max ? Number(t) : null);
+  const invalid = parse(text) == null;
+  return (
+    <label className="text-sm grid gap-1">
+      <span className="text-slate-600">{label}</span>
+      <span className="flex items-center gap-1">
+        <input
+          inputMode="numeric"
+          className={`px-3 py-2 rounded-lg border w-24 ${invalid ? "border-rose-400 bg-rose-50" : ""}`}
+          value={text}
+          title={`Cijeli broj od ${min} do ${max}`}
+          onChange={(e) => {
+            setText(e.target.value);
+            setValue(parse(e.target.value));
+          }}
+        />
+        {unit && <span className="text-slate-500">{unit}</span>}
+      </span>
+    </label>
+  );
+}
 
 /*******************
  * Domenske funkcije *
@@ -1756,27 +6935,28 @@ function TimeField({ label, value, setValue, min, max, step = 1 }) {
 function sameDay(a, b) {
   return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
 }
-function markAnnouncementRead(store, userId, announcementId) {
-  const a = store.announcements.find((x) => x.id === announcementId);
-  if (!a) return;
-  a.readBy = Array.from(new Set([...(a.readBy || []), userId]));
-  publish({ type: "announcement:read", userId, announcementId });
-}
 function isAnnouncementRead(a, userId) {
   return (a.readBy || []).includes(userId);
 }
-// Tjedni reset (interno; UI nema gumb)
-function maybeWeeklyReset(store, force = false) {
-  const now = new Date();
-  const isSunday = now.getDay() === 0;
-  const last = store.lastWeeklyResetAt ? new Date(store.lastWeeklyResetAt) : null;
-  const should = force || (isSunday && (!last || last.toDateString() !== now.toDateString()));
-  if (!should) return;
-  store.slots = [];
-  store.lastWeeklyResetAt = now.toISOString();
-  pushAll(store, { type: "system", title: "Tjedni reset", message: "Stari termini i rezervacije su obrisani." });
-  publish({ type: "reset:weekly" });
-}
-function pushAll(store, payload) {
-  store.users.forEach((u) => pushNotif(store, u.id, payload));
+// Arhiva: termini stariji od `settings.archiveAfterDays` sele iz store.slots u store.history
+function archivePastSlots(store, now = new Date()) {
+  const days = Math.max(0, Number(store.settings.archiveAfterDays) || 0);
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const old = store.slots.filter((s) => new Date(s.when) < cutoff);
+  if (old.length === 0) return 0;
+  const ids = new Set(old.map((s) => s.id));
+  const archivedAt = now.toISOString();
+  store.history.push(...old.map((s) => ({ ...s, archivedAt })));
+  store.slots = store.slots.filter((s) => !ids.has(s.id));
+  store.lastArchiveAt = archivedAt;
+  publishChange(store, { type: "slots:archived", count: old.length }, {
+    entity: "slot",
+    after: { count: old.length },
+    actorId: null,
+  });
+  return old.length;
+}
+// Svi termini (aktivni + arhivirani) – za statistiku, povijest i izvoz
+function allSlots(store) {
+  return [...store.slots, ...store.history];
 }